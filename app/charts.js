@@ -0,0 +1,325 @@
+/**
+ * @file app/charts.js
+ * @description slmnetGPT v2.0 - Журнал метрик обучения и графики на canvas (без внешних библиотек).
+ *
+ * MetricsLog накапливает метрики шагов и проверок и выгружает их в CSV/JSON,
+ * LineChart рисует несколько рядов на одном canvas, Dashboard связывает их на странице.
+ * Heatmap рисует матрицу значений (например, веса внимания) с подписями строк и столбцов.
+ */
+
+class MetricsLog {
+    /**
+     * @param {number} [smoothing=0.9] - Коэффициент экспоненциального сглаживания ошибки (0 - без сглаживания).
+     */
+    constructor(smoothing = 0.9) {
+        this.smoothing = smoothing;
+        this.clear();
+    }
+
+    clear() {
+        this.steps = []; // { step, loss, smoothed_loss, grad_norm, lr }
+        this.evals = []; // { step, loss, perplexity, bits_per_char }
+        this.ema = 0;
+        this.ema_count = 0;
+    }
+
+    /**
+     * Добавляет метрики шага обучения.
+     * @param {{step: number, loss: number, grad_norm: number, lr: number}} metrics -
+     *   step - число выполненных шагов оптимизатора (как в onEvalEnd).
+     */
+    add_step({ step, loss, grad_norm, lr }) {
+        this.ema = this.smoothing * this.ema + (1 - this.smoothing) * loss;
+        this.ema_count++;
+        // Поправка на нулевое начальное значение, иначе первые точки занижены
+        const smoothed_loss = this.ema / (1 - this.smoothing ** this.ema_count);
+        this.steps.push({ step, loss, smoothed_loss, grad_norm, lr });
+    }
+
+    /**
+     * Добавляет результат проверки на отложенных данных.
+     * @param {{step: number, loss: number, perplexity: number, bits_per_char: number}} metrics
+     */
+    add_eval({ step, loss, perplexity, bits_per_char }) {
+        this.evals.push({ step, loss, perplexity, bits_per_char });
+    }
+
+    /** @returns {string} - { smoothing, steps: [...], evals: [...] } */
+    to_json() {
+        return JSON.stringify({ smoothing: this.smoothing, steps: this.steps, evals: this.evals }, null, 2);
+    }
+
+    /**
+     * Одна строка на шаг; метрики проверки стоят в строке шага, после которого она выполнена.
+     * @returns {string}
+     */
+    to_csv() {
+        const evals_by_step = new Map(this.evals.map(e => [e.step, e]));
+        const lines = ['step,loss,smoothed_loss,grad_norm,lr,val_loss,val_perplexity,val_bits_per_char'];
+        for (const s of this.steps) {
+            const e = evals_by_step.get(s.step);
+            const val = e ? [e.loss, e.perplexity, e.bits_per_char] : ['', '', ''];
+            lines.push([s.step, s.loss, s.smoothed_loss, s.grad_norm, s.lr, ...val].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// "Круглые" деления оси: шаг 1, 2 или 5 * 10^k
+function niceTicks(min, max, count) {
+    const raw_step = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw_step));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw_step);
+    // Пустой диапазон (min == max) или шаг, не сдвигающий значение в пределах точности float64:
+    // цикл ниже никогда бы не закончился, поэтому одно деление
+    if (!(step > 0) || min + step === min || max + step === max) return Number.isFinite(min) ? [min] : [];
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(t);
+    return ticks;
+}
+
+// Деления логарифмической оси (границы - десятичные логарифмы): степени 10, а на узком
+// диапазоне, где их меньше двух, - обычные "круглые" деления
+function logTicks(log_min, log_max) {
+    const ticks = [];
+    for (let p = Math.ceil(log_min); p <= log_max; p++) ticks.push(10 ** p);
+    return ticks.length >= 2 ? ticks : niceTicks(10 ** log_min, 10 ** log_max, 4).filter(t => t > 0);
+}
+
+function formatTick(value) {
+    if (value === 0) return '0';
+    const abs = Math.abs(value);
+    return abs >= 1e4 || abs < 1e-2 ? value.toExponential(0) : String(Number(value.toPrecision(3)));
+}
+
+// Размер canvas под размер на странице с учетом плотности пикселей; возвращает контекст в CSS-пикселях
+function prepareCanvas(canvas) {
+    const ratio = globalThis.devicePixelRatio ?? 1;
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+
+class LineChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} [options]
+     * @param {string} [options.title='']
+     * @param {boolean} [options.log_scale=false] - Логарифмическая шкала по оси Y (неположительные значения пропускаются).
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.title = options.title ?? '';
+        this.log_scale = options.log_scale ?? false;
+        this.padding = { left: 52, right: 12, top: 24, bottom: 22 };
+    }
+
+    /**
+     * Перерисовывает график.
+     * @param {{label: string, color: string, points: Array<[number, number]>, markers?: boolean}[]} series -
+     *   Ряды точек [x, y]; markers - рисовать точки вместо линии.
+     */
+    draw(series) {
+        const { ctx, width, height } = prepareCanvas(this.canvas);
+        ctx.font = '11px sans-serif';
+
+        ctx.fillStyle = '#1c1e21';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.title, 4, 4);
+
+        const to_y = this.log_scale ? Math.log10 : (y => y);
+        const visible = series.map(s => s.points.filter(([, y]) => Number.isFinite(y) && (!this.log_scale || y > 0)));
+        const all = visible.flat();
+        if (all.length === 0) return;
+
+        let x_min = Infinity, x_max = -Infinity, y_min = Infinity, y_max = -Infinity;
+        for (const [x, y] of all) {
+            x_min = Math.min(x_min, x);
+            x_max = Math.max(x_max, x);
+            y_min = Math.min(y_min, to_y(y));
+            y_max = Math.max(y_max, to_y(y));
+        }
+        if (x_max === x_min) x_max = x_min + 1;
+        if (y_max === y_min) {
+            y_min -= 0.5;
+            y_max += 0.5;
+        }
+
+        const { left, right, top, bottom } = this.padding;
+        const plot_w = width - left - right;
+        const plot_h = height - top - bottom;
+        const px = x => left + (x - x_min) / (x_max - x_min) * plot_w;
+        const py = y => top + (1 - (to_y(y) - y_min) / (y_max - y_min)) * plot_h;
+
+        // Сетка и подписи осей
+        ctx.strokeStyle = '#e4e6eb';
+        ctx.fillStyle = '#606770';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const y_ticks = this.log_scale ? logTicks(y_min, y_max) : niceTicks(y_min, y_max, 4);
+        for (const t of y_ticks) {
+            const y = Math.round(py(t)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plot_w, y);
+            ctx.stroke();
+            ctx.fillText(formatTick(t), left - 4, y);
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (const t of niceTicks(x_min, x_max, 5).filter(t => Number.isInteger(t))) {
+            ctx.fillText(String(t), px(t), top + plot_h + 4);
+        }
+        ctx.strokeStyle = '#bec3c9';
+        ctx.strokeRect(left + 0.5, top + 0.5, plot_w, plot_h);
+
+        // Ряды
+        series.forEach(({ color, markers }, i) => {
+            const points = visible[i];
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1.5;
+            if (markers) {
+                for (const [x, y] of points) {
+                    ctx.beginPath();
+                    ctx.arc(px(x), py(y), 3, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+                return;
+            }
+            ctx.beginPath();
+            points.forEach(([x, y], j) => (j === 0 ? ctx.moveTo(px(x), py(y)) : ctx.lineTo(px(x), py(y))));
+            ctx.stroke();
+        });
+
+        // Легенда справа над графиком
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        let legend_x = width - right;
+        for (let i = series.length - 1; i >= 0; i--) {
+            const { label, color } = series[i];
+            ctx.fillStyle = '#606770';
+            ctx.fillText(label, legend_x, 4);
+            legend_x -= ctx.measureText(label).width + 14;
+            ctx.fillStyle = color;
+            ctx.fillRect(legend_x + 2, 7, 8, 8);
+            legend_x -= 8;
+        }
+    }
+}
+
+class Dashboard {
+    /**
+     * @param {MetricsLog} metrics
+     * @param {{loss: HTMLCanvasElement, grad_norm: HTMLCanvasElement, lr: HTMLCanvasElement}} canvases
+     */
+    constructor(metrics, canvases) {
+        this.metrics = metrics;
+        this.charts = {
+            loss: new LineChart(canvases.loss, { title: 'Ошибка', log_scale: true }),
+            grad_norm: new LineChart(canvases.grad_norm, { title: 'Норма градиента', log_scale: true }),
+            lr: new LineChart(canvases.lr, { title: 'Скорость обучения' })
+        };
+        this.frame = null;
+    }
+
+    /** Перерисовка не чаще одного раза за кадр, сколько бы шагов ни пришло. */
+    schedule() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const { steps, evals } = this.metrics;
+        this.charts.loss.draw([
+            { label: 'обучение', color: '#bcd4f6', points: steps.map(s => [s.step, s.loss]) },
+            { label: 'сглаженная', color: '#1877f2', points: steps.map(s => [s.step, s.smoothed_loss]) },
+            { label: 'проверка', color: '#f02849', points: evals.map(e => [e.step, e.loss]), markers: true }
+        ]);
+        this.charts.grad_norm.draw([
+            { label: 'норма', color: '#42b72a', points: steps.map(s => [s.step, s.grad_norm]) }
+        ]);
+        this.charts.lr.draw([
+            { label: 'lr', color: '#f5a623', points: steps.map(s => [s.step, s.lr]) }
+        ]);
+    }
+}
+
+class Heatmap {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} [options]
+     * @param {string} [options.color='#1877f2'] - Цвет максимального значения (минимальное - белое).
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.color = options.color ?? '#1877f2';
+        this.layout = null; // Геометрия последней отрисовки (для cell_at)
+    }
+
+    /**
+     * @param {Float32Array|number[]} values - Матрица rows x cols по строкам.
+     * @param {number} rows
+     * @param {number} cols
+     * @param {object} [options]
+     * @param {string[]} [options.row_labels] - Подписи строк (слева).
+     * @param {string[]} [options.col_labels] - Подписи столбцов (сверху).
+     * @param {number} [options.max] - Значение, которому соответствует полный цвет (по умолчанию - максимум матрицы).
+     */
+    draw(values, rows, cols, options = {}) {
+        const { ctx, width, height } = prepareCanvas(this.canvas);
+        const { row_labels = [], col_labels = [] } = options;
+        const max = options.max ?? Math.max(...values, 1e-12);
+
+        const margin = row_labels.length > 0 || col_labels.length > 0 ? 24 : 0;
+        const cell = Math.min((width - margin) / cols, (height - margin) / rows);
+        this.layout = { margin, cell, rows, cols };
+
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(this.color.slice(i, i + 2), 16));
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                const t = Math.min(1, Math.max(0, values[i * cols + j] / max));
+                ctx.fillStyle = `rgb(${255 + (r - 255) * t}, ${255 + (g - 255) * t}, ${255 + (b - 255) * t})`;
+                // +0.5 перекрывает щели сглаживания между соседними клетками
+                ctx.fillRect(margin + j * cell, margin + i * cell, cell + 0.5, cell + 0.5);
+            }
+        }
+        ctx.strokeStyle = '#bec3c9';
+        ctx.strokeRect(margin + 0.5, margin + 0.5, cols * cell, rows * cell);
+
+        // Подписи - только если клетки достаточно крупные, чтобы их прочитать
+        if (cell < 7) return;
+        ctx.font = `${Math.min(12, Math.floor(cell))}px monospace`;
+        ctx.fillStyle = '#1c1e21';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        row_labels.forEach((label, i) => ctx.fillText(label, margin / 2, margin + (i + 0.5) * cell));
+        col_labels.forEach((label, j) => ctx.fillText(label, margin + (j + 0.5) * cell, margin / 2));
+    }
+
+    /**
+     * Клетка под точкой canvas (в CSS-пикселях, например event.offsetX/offsetY).
+     * @returns {{row: number, col: number}|null}
+     */
+    cell_at(x, y) {
+        if (!this.layout) return null;
+        const { margin, cell, rows, cols } = this.layout;
+        const row = Math.floor((y - margin) / cell);
+        const col = Math.floor((x - margin) / cell);
+        return row >= 0 && row < rows && col >= 0 && col < cols ? { row, col } : null;
+    }
+}
+
+export { MetricsLog, LineChart, Heatmap, Dashboard };
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * @file app/cli.js
+ * @description slmnetGPT v2.0 - Обучение и генерация из командной строки (Node.js 20+).
+ *
+ * Использование:
+ *   node app/cli.js train <корпус.txt> [--out model.slmn] [--resume model.slmn]
+ *                         [--save_every 500] [--log_every 100] [--<поле config> значение ...]
+ *   node app/cli.js generate <model.slmn> --prompt "текст" [--max_new_tokens 200]
+ *                         [--temperature 1] [--top_k 0] [--top_p 1] [--repetition_penalty 1]
+ *                         [--num_beams 1] [--num_samples 1] [--seed N]
+ *   node app/cli.js evaluate <model.slmn> <текст.txt> [--val_fraction 0] [--context block_size] [--stride context]
+ *                         [--batch_size 8]
+ *   node app/cli.js quantize <model.slmn> [--out model.int8.slmn] [--eval текст.txt] [--val_fraction 0]
+ *                         [--context block_size] [--stride context] [--batch_size 8]
+ *   node app/cli.js summary <model.slmn>
+ *
+ * quantize сохраняет веса в int8 (чекпоинт примерно вчетверо меньше, только для генерации и оценки);
+ * с --eval сравнивает перплексию исходной и квантизованной модели на тексте.
+ * --context задает длину окна оценки; окно длиннее block_size доступно моделям с position_encoding
+ * sinusoidal и rope (проверка обобщения на длинный контекст). summary печатает конфигурацию модели
+ * и число параметров каждого слоя.
+ * Гиперпараметры задаются флагами с именами полей DEFAULT_CONFIG (--block_size 128 и т.д.).
+ * При --resume параметры модели (архитектура, dropout) и токенизатор берутся из чекпоинта,
+ * а флаги меняют только параметры обучения (train_steps, batch_size). Ctrl+C останавливает обучение с сохранением чекпоинта.
+ */
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import slmnet from '../slmnet/slmnet.js';
+import { DEFAULT_CONFIG, createTokenizer, createOptimizer, createTrainer, remainingSteps, useBackend, quantizedCheckpoint, restoreCheckpoint } from './gpt.js';
+
+const USAGE = `Использование:
+  node app/cli.js train <корпус.txt> [--out model.slmn] [--resume model.slmn] [--save_every 500] [--log_every 100]
+                        [${Object.keys(DEFAULT_CONFIG).map(key => `--${key}`).join(' ')}]
+  node app/cli.js generate <model.slmn> --prompt "текст" [--max_new_tokens 200] [--temperature 1] [--top_k 0]
+                        [--top_p 1] [--repetition_penalty 1] [--num_beams 1] [--num_samples 1] [--seed N]
+  node app/cli.js evaluate <model.slmn> <текст.txt> [--val_fraction 0] [--context block_size] [--stride context]
+                        [--batch_size 8]
+  node app/cli.js quantize <model.slmn> [--out model.int8.slmn] [--eval текст.txt] [--val_fraction 0]
+                        [--context block_size] [--stride context] [--batch_size 8]
+  node app/cli.js summary <model.slmn>`;
+
+// Поля конфигурации, задающие модель: при продолжении обучения они берутся из чекпоинта
+const MODEL_FIELDS = ['block_size', 'embedding_dim', 'num_heads', 'num_layers', 'attn_dropout', 'resid_dropout', 'ffn_activation', 'ffn_multiplier', 'position_encoding', 'rotary_base', 'tie_weights', 'final_norm', 'output_bias', 'tokenizer', 'bpe_vocab_size'];
+
+const TRAIN_OPTIONS = {
+    out: { type: 'string', default: 'model.slmn' },
+    resume: { type: 'string' },
+    save_every: { type: 'string', default: '500' },
+    log_every: { type: 'string', default: '100' },
+    ...Object.fromEntries(Object.keys(DEFAULT_CONFIG).map(key => [key, { type: 'string' }]))
+};
+
+const GENERATE_OPTIONS = {
+    prompt: { type: 'string' },
+    max_new_tokens: { type: 'string', default: '200' },
+    temperature: { type: 'string', default: '1' },
+    top_k: { type: 'string', default: '0' },
+    top_p: { type: 'string', default: '1' },
+    repetition_penalty: { type: 'string', default: '1' },
+    num_beams: { type: 'string', default: '1' },
+    num_samples: { type: 'string', default: '1' },
+    seed: { type: 'string' }
+};
+
+const EVALUATE_OPTIONS = {
+    val_fraction: { type: 'string', default: '0' },
+    context: { type: 'string' },
+    stride: { type: 'string' },
+    batch_size: { type: 'string', default: '8' }
+};
+
+const QUANTIZE_OPTIONS = {
+    out: { type: 'string' },
+    eval: { type: 'string' },
+    ...EVALUATE_OPTIONS
+};
+
+function toNumber(name, value) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`Параметр --${name} должен быть числом, получено "${value}".`);
+    }
+    return number;
+}
+
+function toBoolean(name, value) {
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`Параметр --${name} должен быть true или false, получено "${value}".`);
+    }
+    return value === 'true';
+}
+
+// Значения флагов приводятся к типу значения по умолчанию в DEFAULT_CONFIG
+function configOverrides(values) {
+    const overrides = {};
+    for (const [key, default_value] of Object.entries(DEFAULT_CONFIG)) {
+        if (values[key] === undefined) continue;
+        overrides[key] = typeof default_value === 'number' ? toNumber(key, values[key])
+            : typeof default_value === 'boolean' ? toBoolean(key, values[key])
+            : values[key];
+    }
+    return overrides;
+}
+
+// Запись через временный файл: прерванная запись не портит предыдущий чекпоинт
+async function writeCheckpoint(path, buffer) {
+    await writeFile(`${path}.tmp`, new Uint8Array(buffer));
+    await rename(`${path}.tmp`, path);
+}
+
+async function train(corpus_path, values) {
+    const text = await readFile(corpus_path, 'utf8');
+    const overrides = configOverrides(values);
+    const save_every = toNumber('save_every', values.save_every);
+    const log_every = toNumber('log_every', values.log_every);
+
+    let config, tokenizer, model, optimizer, rng;
+    let step = 0;
+    if (values.resume) {
+        ({ config, tokenizer, model, optimizer, rng, step } = restoreCheckpoint(await readFile(values.resume)));
+        if (!optimizer) {
+            throw new Error("Чекпоинт int8 предназначен только для генерации и оценки: продолжить обучение с него нельзя.");
+        }
+        for (const key of MODEL_FIELDS) {
+            if (key in overrides && overrides[key] !== config[key]) {
+                console.warn(`Параметр --${key} игнорируется: параметры модели берутся из чекпоинта (${config[key]}).`);
+                delete overrides[key];
+            }
+        }
+        config = { ...config, ...overrides };
+        console.log(`Продолжаю обучение из ${values.resume} с шага ${step}.`);
+    } else {
+        config = { ...DEFAULT_CONFIG, ...overrides };
+        rng = new slmnet.random.RNG(config.seed);
+        tokenizer = createTokenizer(text, config);
+        if (config.tokenizer === 'bpe' && tokenizer.vocab_size < config.bpe_vocab_size) {
+            console.warn(`Словарь BPE - ${tokenizer.vocab_size} токенов вместо ${config.bpe_vocab_size}: в корпусе не осталось пар, встречающихся хотя бы дважды.`);
+        }
+        model = new slmnet.models.GPTModel(tokenizer.vocab_size, config, rng);
+        optimizer = createOptimizer(model, config);
+    }
+
+    const backend = await useBackend(config);
+    warnUnknownCharacters(tokenizer, text);
+    const encoded_text = tokenizer.encode(text);
+    console.log(`Корпус: ${encoded_text.length} токенов, словарь: ${tokenizer.vocab_size} токенов, вычисления: ${backend}.`);
+    console.log(`Конфигурация: ${JSON.stringify(config)}`);
+    console.log(`Параметров модели: ${model.num_parameters()}.`);
+
+    const save = (step) => writeCheckpoint(values.out, slmnet.checkpoint.save({ config, model, tokenizer, optimizer, step, rng: rng.get_state() }));
+    const started_at = Date.now();
+    const trainer = createTrainer({ config, tokenizer, model, optimizer, rng }, encoded_text, {
+        step,
+        checkpoint_every: save_every,
+        callbacks: {
+            onEvalEnd: ({ step, loss, perplexity, bits_per_char }) => {
+                console.log(`Шаг ${step} | Проверка: ошибка ${loss.toFixed(4)} | Перплексия: ${perplexity.toFixed(2)} | Бит/символ: ${bits_per_char.toFixed(3)}`);
+            },
+            onStepEnd: async ({ step, loss, grad_norm, lr }) => {
+                if (step % log_every === 0) {
+                    const elapsed = (Date.now() - started_at) / 1000;
+                    console.log(`Шаг ${step} | Ошибка: ${loss.toFixed(4)} | Норма градиента: ${grad_norm.toFixed(4)} | Скорость обучения: ${lr.toExponential(2)} | ${elapsed.toFixed(1)} с`);
+                }
+                // Отдаем управление циклу событий, чтобы успел сработать обработчик SIGINT
+                await new Promise(resolve => setImmediate(resolve));
+            },
+            onCheckpoint: ({ step }) => save(step)
+        }
+    });
+
+    // Ctrl+C: дожидаемся конца шага и сохраняем чекпоинт
+    process.once('SIGINT', () => {
+        trainer.stop();
+        console.log("\nПрерывание: сохраняю чекпоинт...");
+    });
+
+    const { reason, step: final_step } = await trainer.fit(remainingSteps(config, step));
+    step = final_step;
+    await save(step);
+    if (reason === 'nan') {
+        console.error(`Шаг ${step}: ошибка или норма градиентов стала NaN (бесконечностью). Обучение остановлено.`);
+        process.exitCode = 1;
+    } else if (reason === 'cancelled') {
+        console.log(`Обучение остановлено на шаге ${step}.`);
+    } else {
+        console.log("Обучение завершено!");
+    }
+    console.log(`Чекпоинт сохранен: ${values.out}`);
+}
+
+async function generate(checkpoint_path, values) {
+    if (values.prompt === undefined) {
+        throw new Error("Не задана затравка (--prompt).");
+    }
+    const { config, tokenizer, model } = restoreCheckpoint(await readFile(checkpoint_path));
+    await useBackend(config);
+    const seed = values.seed !== undefined ? toNumber('seed', values.seed) : config.seed;
+    const rng = new slmnet.random.RNG(seed);
+    const options = {
+        max_new_tokens: toNumber('max_new_tokens', values.max_new_tokens),
+        temperature: toNumber('temperature', values.temperature),
+        top_k: toNumber('top_k', values.top_k),
+        top_p: toNumber('top_p', values.top_p),
+        repetition_penalty: toNumber('repetition_penalty', values.repetition_penalty),
+        num_beams: toNumber('num_beams', values.num_beams),
+        rng
+    };
+    const num_samples = toNumber('num_samples', values.num_samples);
+    for (let i = 0; i < num_samples; i++) {
+        if (num_samples > 1) console.log(`--- Вариант ${i + 1} ---`);
+        const result = slmnet.generation.generate(model, tokenizer, values.prompt, options);
+        console.log(values.prompt + result.text);
+    }
+}
+
+// Посимвольный словарь из чекпоинта может не содержать символов нового текста: encode их пропускает
+function warnUnknownCharacters(tokenizer, text) {
+    const unknown = tokenizer.count_unknown(text);
+    if (unknown > 0) {
+        console.warn(`${unknown} символов текста нет в словаре модели: при кодировании они пропущены.`);
+    }
+}
+
+// Оценка модели на тексте с флагами EVALUATE_OPTIONS
+function evaluateText({ config, tokenizer, model }, text, values) {
+    warnUnknownCharacters(tokenizer, text);
+    const encoded = tokenizer.encode(text);
+    // При val_fraction > 0 оценивается только конец текста - как отложенная часть при обучении
+    const val_fraction = toNumber('val_fraction', values.val_fraction);
+    const tokens = val_fraction > 0 ? slmnet.evaluation.train_val_split(encoded, val_fraction).val : encoded;
+    const context = values.context !== undefined ? toNumber('context', values.context) : config.block_size;
+    return slmnet.evaluation.evaluate(model, tokens, {
+        tokenizer,
+        block_size: context,
+        stride: values.stride !== undefined ? toNumber('stride', values.stride) : context,
+        batch_size: toNumber('batch_size', values.batch_size)
+    });
+}
+
+async function evaluate(checkpoint_path, text_path, values) {
+    const session = restoreCheckpoint(await readFile(checkpoint_path));
+    await useBackend(session.config);
+    const report = evaluateText(session, await readFile(text_path, 'utf8'), values);
+
+    console.log(`Токенов: ${report.num_tokens}, символов: ${report.num_characters}`);
+    console.log(`Ошибка: ${report.loss.toFixed(4)}`);
+    console.log(`Перплексия: ${report.perplexity.toFixed(2)}`);
+    console.log(`Бит/токен: ${report.bits_per_token.toFixed(3)}`);
+    console.log(`Бит/символ: ${report.bits_per_char.toFixed(3)}`);
+    // Ошибка по позициям в окне, сгруппированная по 8 интервалам: насколько модель пользуется длинным контекстом
+    console.log("Ошибка по длине контекста:");
+    const per_position = report.per_position_loss;
+    const group = Math.ceil(per_position.length / 8);
+    for (let from = 0; from < per_position.length; from += group) {
+        const losses = per_position.slice(from, from + group).filter(loss => !isNaN(loss));
+        if (losses.length === 0) continue;
+        const mean = losses.reduce((a, b) => a + b, 0) / losses.length;
+        console.log(`  ${String(from).padStart(4)}-${String(Math.min(from + group, per_position.length) - 1).padEnd(4)} ${mean.toFixed(4)}`);
+    }
+}
+
+async function quantize(checkpoint_path, values) {
+    const buffer = await readFile(checkpoint_path);
+    const session = restoreCheckpoint(buffer);
+    if (session.quantized) {
+        throw new Error(`Чекпоинт ${checkpoint_path} уже квантизован.`);
+    }
+    await useBackend(session.config);
+    const text = values.eval !== undefined ? await readFile(values.eval, 'utf8') : null;
+    // Исходную модель нужно оценить до квантизации: quantizedCheckpoint меняет ее на месте
+    const before = text !== null ? evaluateText(session, text, values) : null;
+
+    const out = values.out ?? checkpoint_path.replace(/(\.slmn)?$/, '.int8.slmn');
+    // Для сравнения - те же веса в float32 без состояния оптимизатора
+    const { config, tokenizer, model, step } = session;
+    const float_size = slmnet.checkpoint.save({ config, tokenizer, model, step }).byteLength;
+    const compact = quantizedCheckpoint(session);
+    await writeCheckpoint(out, compact);
+    const kilobytes = (bytes) => `${(bytes / 1024).toFixed(1)} КБ`;
+    console.log(`Чекпоинт int8 сохранен: ${out}`);
+    console.log(`Размер: ${kilobytes(compact.byteLength)}; веса float32 - ${kilobytes(float_size)} (в ${(float_size / compact.byteLength).toFixed(2)} раза больше), ` +
+        `исходный чекпоинт с оптимизатором - ${kilobytes(buffer.byteLength)}`);
+
+    if (before) {
+        const after = evaluateText(session, text, values);
+        const change = (after.perplexity / before.perplexity - 1) * 100;
+        console.log(`Токенов: ${after.num_tokens}`);
+        console.log(`Перплексия: float32 ${before.perplexity.toFixed(3)}, int8 ${after.perplexity.toFixed(3)} (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)`);
+        console.log(`Бит/символ: float32 ${before.bits_per_char.toFixed(4)}, int8 ${after.bits_per_char.toFixed(4)}`);
+    }
+}
+
+async function summary(checkpoint_path) {
+    const { tokenizer, model, step, quantized } = restoreCheckpoint(await readFile(checkpoint_path));
+    console.log(`Шагов обучения: ${step}, словарь: ${tokenizer.vocab_size} токенов${quantized ? ', веса int8' : ''}.`);
+    console.log(`Конфигурация модели: ${JSON.stringify(model.config)}`);
+    // Веса int8 не являются обучаемыми тензорами, поэтому таблица строится по архитектуре
+    (quantized ? slmnet.models.GPTModel.from_config(model.config) : model).summary();
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const commands = {
+        train: { options: TRAIN_OPTIONS, run: train, files: 1 },
+        generate: { options: GENERATE_OPTIONS, run: generate, files: 1 },
+        evaluate: { options: EVALUATE_OPTIONS, run: evaluate, files: 2 },
+        quantize: { options: QUANTIZE_OPTIONS, run: quantize, files: 1 },
+        summary: { options: {}, run: summary, files: 1 }
+    };
+    if (!commands[command]) {
+        console.log(USAGE);
+        process.exitCode = command === undefined || command === 'help' || command === '--help' ? 0 : 1;
+        return;
+    }
+    const { values, positionals } = parseArgs({ args: rest, options: commands[command].options, allowPositionals: true });
+    if (positionals.length !== commands[command].files) {
+        throw new Error(`Команде ${command} нужно путей к файлам: ${commands[command].files}.\n${USAGE}`);
+    }
+    await commands[command].run(...positionals, values);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,186 @@
+/**
+ * @file app/gpt.js
+ * @description slmnetGPT v2.0 - Конфигурация и вспомогательные функции обучения модели GPT (slmnet.models.GPTModel).
+ * Общий модуль для страницы (генерация) и фонового потока обучения (train.worker.js).
+ */
+
+import slmnet from '../slmnet/slmnet.js';
+
+// --- Гиперпараметры по умолчанию для финальной, более мощной модели ---
+const DEFAULT_CONFIG = {
+    block_size: 64,      // Увеличенный контекст
+    embedding_dim: 64,   // Увеличенный размер эмбеддингов ("глубина" нейрона)
+    num_heads: 4,        // Количество "голов внимания"
+    num_layers: 4,       // Увеличенное количество слоев трансформера ("глубина" сети)
+    batch_size: 8,       // Количество последовательностей в одном микро-батче
+    accumulation_steps: 1, // Микро-батчей на шаг оптимизатора (эффективный батч = batch_size * accumulation_steps)
+    max_grad_norm: 1.0,  // Ограничение глобальной нормы градиентов
+    attn_dropout: 0.1,   // Dropout весов внимания
+    resid_dropout: 0.1,  // Dropout эмбеддингов и выходов подслоев перед остаточными связями
+    ffn_activation: 'relu', // Активация FeedForward: relu, gelu, gelu_tanh, silu, tanh, leaky_relu или управляемые swiglu, geglu, reglu
+    ffn_multiplier: 4,   // Ширина скрытого слоя FeedForward относительно embedding_dim
+    position_encoding: 'learned', // Позиции: 'learned' - обучаемые эмбеддинги, 'sinusoidal' - фиксированные синусоиды, 'rope' - вращение Q/K в внимании
+    rotary_base: 10000,  // Основание частот RoPE: чем больше, тем медленнее поворачиваются дальние пары измерений
+    tie_weights: false,  // Выходной слой использует таблицу эмбеддингов токенов (меньше параметров)
+    final_norm: true,    // LayerNorm перед выходным слоем
+    output_bias: true,   // Смещение выходного слоя
+    learning_rate: 0.001, // Максимальная скорость обучения (после разогрева)
+    warmup_steps: 200,   // Шагов линейного разогрева скорости обучения (0 - без разогрева)
+    lr_schedule: 'cosine', // После разогрева: 'cosine' - косинусное затухание до min_lr_factor, 'constant' - без изменений
+    min_lr_factor: 0.1,  // Доля learning_rate в конце косинусного затухания
+    tokenizer: 'char',   // 'char' - по символам, 'bpe' - Byte-Pair Encoding
+    bpe_vocab_size: 512, // Размер словаря BPE (3 специальных токена + 256 байтов + слияния)
+    val_fraction: 0.1,   // Доля текста (в конце), отложенная для проверки
+    eval_every: 500,     // Период проверки на отложенной части в шагах (0 - не проверять)
+    seed: 1337,          // Зерно генератора: одинаковые зерно и текст дают одинаковую модель
+    backend: 'wasm',     // Вычислительный бэкенд: 'wasm' - WebAssembly SIMD (если поддерживается), 'js' - эталонный
+    train_steps: 6000    // Увеличенное время обучения
+};
+
+// --- Вспомогательные функции ---
+function getBatch(encoded_text, block_size, batch_size, rng = slmnet.random.default_rng) {
+    const x = [];
+    const y = [];
+    for (let b = 0; b < batch_size; b++) {
+        const start_index = rng.randint(0, encoded_text.length - block_size - 1);
+        const end_index = start_index + block_size;
+        x.push(...encoded_text.slice(start_index, end_index));
+        y.push(...encoded_text.slice(start_index + 1, end_index + 1));
+    }
+    return {
+        x: new slmnet.Tensor(x, [batch_size, block_size]),
+        y: new slmnet.Tensor(y, [y.length])
+    };
+}
+
+/**
+ * Создает токенизатор, выбранный в конфигурации, и строит его словарь по тексту.
+ * @param {string} text - Обучающий текст.
+ * @param {object} config - Поле tokenizer: 'char' (по умолчанию) или 'bpe'; для BPE - bpe_vocab_size.
+ * @returns {Tokenizer} - Словарь BPE на маленьком корпусе бывает меньше bpe_vocab_size (см. BPETokenizer.train),
+ *   поэтому размер модели задается по tokenizer.vocab_size.
+ */
+function createTokenizer(text, config) {
+    if (config.tokenizer === 'bpe') {
+        return slmnet.tokenizers.BPETokenizer.train(text, config.bpe_vocab_size);
+    }
+    return new slmnet.tokenizers.CharacterTokenizer(text);
+}
+
+/**
+ * Создает оптимизатор Adam и подключает к нему расписание скорости обучения из конфигурации:
+ * линейный разогрев на warmup_steps шагов, затем (для lr_schedule = 'cosine') косинусное
+ * затухание до min_lr_factor к шагу train_steps.
+ * @param {Layer} model
+ * @param {object} config
+ * @returns {Adam}
+ */
+function createOptimizer(model, config) {
+    const optimizer = new slmnet.optimizers.Adam(model.parameters(), config.learning_rate);
+    const { LinearWarmup, CosineDecay, SequentialSchedule } = slmnet.schedulers;
+    const warmup_steps = config.warmup_steps ?? 0;
+    const decay_steps = config.train_steps - warmup_steps;
+    const schedulers = [];
+    if (warmup_steps > 0) schedulers.push(new LinearWarmup(warmup_steps));
+    if (config.lr_schedule === 'cosine' && decay_steps > 0) {
+        schedulers.push(new CosineDecay(decay_steps, { min_factor: config.min_lr_factor ?? 0 }));
+    }
+    if (schedulers.length === 1) {
+        schedulers[0].attach(optimizer);
+    } else if (schedulers.length === 2) {
+        new SequentialSchedule(schedulers, [warmup_steps]).attach(optimizer);
+    }
+    return optimizer;
+}
+
+/**
+ * Создает Trainer для обучения GPTModel на закодированном тексте. Последние val_fraction
+ * токенов откладываются для проверки (slmnet.evaluation.evaluate каждые eval_every шагов),
+ * обучающие батчи - случайные окна block_size из остальной части, выбранные генератором rng.
+ * @param {{config: object, tokenizer: Tokenizer, model: GPTModel, optimizer: Optimizer, rng: RNG}} session
+ * @param {number[]} encoded_text - Весь закодированный текст.
+ * @param {object} [options] - Дополнительные параметры Trainer (step, callbacks, ...).
+ * @returns {Trainer}
+ */
+function createTrainer({ config, tokenizer, model, optimizer, rng }, encoded_text, options = {}) {
+    const { train, val } = slmnet.evaluation.train_val_split(encoded_text, config.val_fraction ?? 0);
+    if (train.length <= config.block_size + 1) {
+        throw new Error(`Обучающая часть текста слишком короткая: ${train.length} токенов при block_size = ${config.block_size}.`);
+    }
+    const can_evaluate = val.length >= 2 && config.eval_every > 0;
+    return new slmnet.Trainer(model, optimizer, {
+        train_data: () => getBatch(train, config.block_size, config.batch_size, rng),
+        eval_fn: can_evaluate ? () => slmnet.evaluation.evaluate(model, val, { tokenizer, batch_size: config.batch_size }) : null,
+        eval_every: can_evaluate ? config.eval_every : 0,
+        // Чекпоинты без этих полей обучались без накопления, с ограничением нормы 1.0
+        accumulation_steps: config.accumulation_steps ?? 1,
+        max_grad_norm: config.max_grad_norm ?? 1.0,
+        ...options
+    });
+}
+
+/**
+ * Сколько шагов осталось до train_steps. При продолжении с чекпоинта Trainer начинает с сохраненного
+ * шага, и обучение должно закончиться на train_steps (там же, где кончается расписание скорости обучения).
+ * @param {object} config
+ * @param {number} step - Уже сделанные шаги.
+ * @returns {number}
+ */
+function remainingSteps(config, step) {
+    return Math.max(0, config.train_steps - step);
+}
+
+/**
+ * Включает вычислительный бэкенд из конфигурации. Если среда не поддерживает WebAssembly SIMD,
+ * остается эталонный бэкенд на JS.
+ * @param {object} config - Поле backend: 'wasm' или 'js'.
+ * @returns {Promise<string>} - Имя включенного бэкенда.
+ */
+async function useBackend(config) {
+    const name = config.backend ?? DEFAULT_CONFIG.backend;
+    try {
+        return (await slmnet.backends.use_backend(name)).name;
+    } catch (error) {
+        if (name === 'js') throw error;
+        console.warn(`Бэкенд ${name} недоступен (${error.message}), используется js.`);
+        return (await slmnet.backends.use_backend('js')).name;
+    }
+}
+
+/**
+ * Квантизует модель на месте (веса int8, см. slmnet/Quantization.js) и сохраняет чекпоинт для вывода:
+ * примерно вчетверо меньше обычного и без состояния оптимизатора, поэтому продолжить обучение с него нельзя.
+ * @param {{config: object, tokenizer: Tokenizer, model: GPTModel, step: number}} session
+ * @returns {ArrayBuffer}
+ */
+function quantizedCheckpoint({ config, tokenizer, model, step }) {
+    slmnet.quantization.quantize(model);
+    return slmnet.checkpoint.save({ config, tokenizer, model: slmnet.quantization.state_dict(model), quantized: true, step });
+}
+
+/**
+ * Восстанавливает модель, токенизатор, оптимизатор и генератор случайных чисел из бинарного чекпоинта.
+ * У квантизованного чекпоинта (quantizedCheckpoint) модель квантизована, а optimizer равен null.
+ * @param {ArrayBuffer} buffer - Результат slmnet.checkpoint.save() или quantizedCheckpoint().
+ * @returns {{config: object, tokenizer: object, model: GPTModel, optimizer: object|null, rng: RNG, step: number, quantized: boolean}}
+ */
+function restoreCheckpoint(buffer) {
+    const checkpoint = slmnet.checkpoint.load(buffer);
+    const config = checkpoint.config;
+    const tokenizer = slmnet.tokenizers.Tokenizer.from_json(checkpoint.tokenizer);
+    // Маски dropout берутся из того же генератора, что и батчи; его состояние восстанавливается ниже
+    const rng = new slmnet.random.RNG(config.seed);
+    const model = new slmnet.models.GPTModel(tokenizer.vocab_size, config, rng);
+    if (checkpoint.quantized) {
+        slmnet.quantization.load_state_dict(slmnet.quantization.quantize(model), checkpoint.model);
+        return { config, tokenizer, model, optimizer: null, rng, step: checkpoint.step, quantized: true };
+    }
+    model.load_state_dict(checkpoint.model);
+    // Расписание скорости обучения восстанавливается из состояния оптимизатора
+    const optimizer = new slmnet.optimizers.Adam(model.parameters(), config.learning_rate);
+    optimizer.load_state_dict(checkpoint.optimizer);
+    if (checkpoint.rng) rng.set_state(checkpoint.rng);
+    return { config, tokenizer, model, optimizer, rng, step: checkpoint.step, quantized: false };
+}
+
+export { DEFAULT_CONFIG, getBatch, createTokenizer, createOptimizer, createTrainer, remainingSteps, useBackend, quantizedCheckpoint, restoreCheckpoint };
@@ -0,0 +1,110 @@
+/**
+ * @file app/train.worker.js
+ * @description slmnetGPT v2.0 - Фоновый поток обучения модели.
+ *
+ * Протокол сообщений.
+ * Страница -> поток:
+ *   { type: 'start', text, config, checkpoint? } - начать обучение; checkpoint (ArrayBuffer) - продолжить с него
+ *   { type: 'pause' } / { type: 'resume' }        - приостановить / продолжить
+ *   { type: 'cancel' }                             - прервать обучение (веса все равно возвращаются)
+ * Поток -> страница:
+ *   { type: 'started', vocab_size, step, backend, unknown_characters }
+ *                                                  - backend - имя вычислительного бэкенда ('wasm' или 'js'),
+ *                                                    unknown_characters - сколько символов текста нет в словаре модели
+ *   { type: 'progress', step, loss, grad_norm, lr } - после каждого шага (lr - скорость обучения на этом шаге)
+ *   { type: 'eval', step, loss, perplexity, bits_per_char, per_position_loss }
+ *                                                  - проверка на отложенной части текста (каждые eval_every шагов)
+ *   { type: 'paused', step } / { type: 'resumed', step }
+ *   { type: 'finished', reason, step, checkpoint } - reason: 'completed' | 'cancelled' | 'nan';
+ *                                                    checkpoint (ArrayBuffer) передается без копирования
+ *   { type: 'error', message }
+ */
+
+import slmnet from '../slmnet/slmnet.js';
+import { createTokenizer, createOptimizer, createTrainer, remainingSteps, useBackend, restoreCheckpoint } from './gpt.js';
+
+const control = {
+    paused: false,
+    cancelled: false,
+    wake: null // Резолвер ожидания, пока обучение на паузе
+};
+
+function wakeUp() {
+    if (control.wake) {
+        control.wake();
+        control.wake = null;
+    }
+}
+
+function yieldToEvents() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function train({ text, config, checkpoint }) {
+    const backend = await useBackend(config);
+    let tokenizer, model, optimizer, rng;
+    let step = 0;
+    if (checkpoint) {
+        // Состояние генератора тоже восстанавливается: продолжение дает те же батчи, что и непрерывное обучение
+        ({ tokenizer, model, optimizer, rng, step } = restoreCheckpoint(checkpoint));
+        if (!optimizer) {
+            throw new Error("Чекпоинт int8 предназначен только для генерации: продолжить обучение с него нельзя.");
+        }
+    } else {
+        // Одно зерно - одинаковые начальные веса и последовательность батчей
+        rng = new slmnet.random.RNG(config.seed);
+        tokenizer = createTokenizer(text, config);
+        model = new slmnet.models.GPTModel(tokenizer.vocab_size, config, rng);
+        optimizer = createOptimizer(model, config);
+    }
+    // При продолжении обучения символьный токенизатор отбрасывает символы, которых нет в словаре модели
+    const encoded_text = tokenizer.encode(text);
+    self.postMessage({ type: 'started', vocab_size: tokenizer.vocab_size, step, backend, unknown_characters: tokenizer.count_unknown(text) });
+
+    const trainer = createTrainer({ config, tokenizer, model, optimizer, rng }, encoded_text, {
+        step,
+        callbacks: {
+            onEvalEnd: ({ step, loss, perplexity, bits_per_char, per_position_loss }) => {
+                self.postMessage({ type: 'eval', step, loss, perplexity, bits_per_char, per_position_loss });
+            },
+            onStepEnd: async ({ step, loss, grad_norm, lr }) => {
+                self.postMessage({ type: 'progress', step, loss, grad_norm, lr });
+                // Отдаем управление циклу событий, чтобы успели обработаться входящие сообщения
+                await yieldToEvents();
+                if (control.paused) {
+                    self.postMessage({ type: 'paused', step: step + 1 });
+                    await new Promise(resolve => { control.wake = resolve; });
+                    if (!control.cancelled) self.postMessage({ type: 'resumed', step: step + 1 });
+                }
+                if (control.cancelled) trainer.stop();
+            }
+        }
+    });
+    // С чекпоинта - только оставшиеся шаги: обучение заканчивается на train_steps, как непрерывное
+    const result = await trainer.fit(remainingSteps(config, step));
+
+    const buffer = slmnet.checkpoint.save({ config, model, tokenizer, optimizer, step: result.step, rng: rng.get_state() });
+    self.postMessage({ type: 'finished', reason: result.reason, step: result.step, checkpoint: buffer }, [buffer]);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'start':
+            control.paused = false;
+            control.cancelled = false;
+            train(message).catch(error => self.postMessage({ type: 'error', message: error.message }));
+            break;
+        case 'pause':
+            control.paused = true;
+            break;
+        case 'resume':
+            control.paused = false;
+            wakeUp();
+            break;
+        case 'cancel':
+            control.cancelled = true;
+            wakeUp();
+            break;
+    }
+};
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * @file bench/benchmark.js
+ * @description slmnetGPT v2.0 - Замер скорости обучения (Node.js 20+).
+ *
+ * Использование:
+ *   node bench/benchmark.js [--steps 20] [--warmup 3] [--kernels] [--<поле config> значение ...]
+ *
+ * Обучает модель с конфигурацией страницы (DEFAULT_CONFIG из app/gpt.js, поля можно
+ * переопределить флагами) на синтетическом тексте и печатает шаги и токены в секунду.
+ * С --kernels сначала замеряет матричное умножение (прямой и обратный проход) на формах этой модели.
+ */
+
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import slmnet from '../slmnet/slmnet.js';
+import { DEFAULT_CONFIG, createOptimizer, createTrainer, useBackend } from '../app/gpt.js';
+
+const OPTIONS = {
+    steps: { type: 'string', default: '20' },
+    warmup: { type: 'string', default: '3' },
+    kernels: { type: 'boolean', default: false },
+    ...Object.fromEntries(Object.keys(DEFAULT_CONFIG).map(key => [key, { type: 'string' }]))
+};
+
+// Размер алфавита синтетического текста - примерно как у посимвольного словаря русского текста
+const ALPHABET = 'абвгдежзийклмнопрстуфхцчшщъыьэюяАБВГДЕЖЗИКЛМНОПРСТ .,!?-«»\n';
+
+function toNumber(name, value) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`Параметр --${name} должен быть числом, получено "${value}".`);
+    }
+    return number;
+}
+
+function toBoolean(name, value) {
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`Параметр --${name} должен быть true или false, получено "${value}".`);
+    }
+    return value === 'true';
+}
+
+// Среднее время вызова fn в миллисекундах (после разогрева)
+function time(fn, repeats, warmup = 1) {
+    for (let i = 0; i < warmup; i++) fn();
+    const started = performance.now();
+    for (let i = 0; i < repeats; i++) fn();
+    return (performance.now() - started) / repeats;
+}
+
+function benchmarkKernels(config, rng) {
+    const rows = config.batch_size * config.block_size;
+    const C = config.embedding_dim;
+    const T = config.block_size;
+    const head_dim = C / config.num_heads;
+    const hidden = Math.round(C * (config.ffn_multiplier ?? 4));
+    const shapes = [
+        ['проекции Q/K/V/O', rows, C, C],
+        ['FFN вверх', rows, C, hidden],
+        ['FFN вниз', rows, hidden, C],
+        ['внимание QK^T', T, head_dim, T],
+        ['внимание AV', T, T, head_dim]
+    ];
+    console.log("Матричное умножение [M, K] x [K, N] (прямой + обратный проход):");
+    for (const [name, M, K, N] of shapes) {
+        const a = slmnet.Tensor.random([M, K], true, rng);
+        const b = slmnet.Tensor.random([K, N], true, rng);
+        const ms = time(() => a.dot(b).sum().backward(), Math.max(3, Math.round(2e7 / (M * K * N))));
+        // Прямой проход - 2MKN операций, обратный - вдвое больше
+        const gflops = 6 * M * K * N / (ms * 1e6);
+        console.log(`  ${name.padEnd(18)} [${M}, ${K}] x [${K}, ${N}]: ${ms.toFixed(3)} мс, ${gflops.toFixed(2)} GFLOP/с`);
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({ args: argv, options: OPTIONS });
+    const overrides = {};
+    for (const [key, default_value] of Object.entries(DEFAULT_CONFIG)) {
+        if (values[key] === undefined) continue;
+        overrides[key] = typeof default_value === 'number' ? toNumber(key, values[key])
+            : typeof default_value === 'boolean' ? toBoolean(key, values[key])
+            : values[key];
+    }
+    // Проверка на отложенных данных в замер не входит
+    const config = { ...DEFAULT_CONFIG, ...overrides, eval_every: 0 };
+    const steps = toNumber('steps', values.steps);
+    const warmup = toNumber('warmup', values.warmup);
+
+    const backend = await useBackend(config);
+    const rng = new slmnet.random.RNG(config.seed);
+    const text = Array.from({ length: 20000 }, () => ALPHABET[rng.randint(0, ALPHABET.length - 1)]).join('');
+    const tokenizer = new slmnet.tokenizers.CharacterTokenizer(text);
+    const model = new slmnet.models.GPTModel(tokenizer.vocab_size, config, rng);
+    const optimizer = createOptimizer(model, config);
+    const trainer = createTrainer({ config, tokenizer, model, optimizer, rng }, tokenizer.encode(text));
+
+    console.log(`Node ${process.version}, бэкенд ${backend}, модель: ${config.num_layers} слоев, embedding_dim ${config.embedding_dim}, ` +
+        `${config.num_heads} головы, block_size ${config.block_size}, batch_size ${config.batch_size}, параметров: ${model.num_parameters()}.`);
+    if (values.kernels) benchmarkKernels(config, rng);
+
+    model.train();
+    for (let i = 0; i < warmup; i++) trainer.train_step();
+    const durations = [];
+    for (let i = 0; i < steps; i++) {
+        const started = performance.now();
+        trainer.train_step();
+        durations.push(performance.now() - started);
+    }
+    durations.sort((a, b) => a - b);
+    const mean = durations.reduce((a, b) => a + b, 0) / steps;
+    const median = durations[Math.floor(steps / 2)];
+    const tokens_per_step = config.batch_size * config.block_size * (config.accumulation_steps ?? 1);
+    console.log(`Обучение: ${steps} шагов, ${mean.toFixed(1)} мс/шаг (медиана ${median.toFixed(1)} мс), ` +
+        `${(1000 / mean).toFixed(2)} шагов/с, ${Math.round(tokens_per_step * 1000 / mean)} токенов/с.`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,390 @@
+/**
+ * @file slmnet/Backend.js
+ * @description slmnetGPT v2.0 - Вычислительные бэкенды.
+ *
+ * Ops и слои строят граф вычислений, а сами циклы по данным (ядра) выполняет активный бэкенд.
+ * Ядра работают с Float32Array без тензоров и графа: прямые ядра записывают результат в out,
+ * обратные прибавляют градиенты к переданным буферам. Эталонная реализация - JSBackend;
+ * WasmBackend (WasmBackend.js) выполняет все ядра, кроме matmul_int8, на WebAssembly SIMD.
+ *
+ *   await slmnet.backends.use_backend('wasm'); // дальше все Ops используют WebAssembly
+ */
+
+/**
+ * Интерфейс бэкенда. Все матрицы хранятся по строкам.
+ */
+class Backend {
+    /** @returns {string} - Имя бэкенда ('js', 'wasm'). */
+    get name() {
+        throw new Error("Свойство name должно быть реализовано в дочернем классе.");
+    }
+
+    /**
+     * out[M, N] += A[M, K] * B[K, N], где A(i, k) = a[i * a_row + k * a_col], B(k, j) = b[k * b_row + j * b_col].
+     * Шаги (strides) позволяют умножать на транспонированные матрицы без их копирования.
+     */
+    matmul(out, a, a_row, a_col, b, b_row, b_col, M, K, N) {
+        throw new Error("Метод matmul() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Умножение на квантизованную матрицу: out[M, N] += (A[M, K] * Q[K, N]) * scales[j],
+     * где Q - значения int8 по строкам, scales - масштаб каждого столбца (см. Quantization.js).
+     */
+    matmul_int8(out, a, q, scales, M, K, N) {
+        throw new Error("Метод matmul_int8() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Поэлементная операция: out[i] = a[index_a[i]] op b[index_b[i]].
+     * @param {'add'|'sub'|'mul'|'div'} op
+     * @param {Int32Array|null} index_a - Таблица вещания (null - индексы тождественны).
+     * @param {Int32Array|null} index_b
+     */
+    binary(op, out, a, b, index_a, index_b) {
+        throw new Error("Метод binary() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Поэлементная функция: out[i] = op(x[i]).
+     * @param {'neg'|'exp'|'log'|'sqrt'|'tanh'|'pow'|'relu'|'sigmoid'|'gelu'|'gelu_tanh'|'silu'|'leaky_relu'} op
+     * @param {number} [param] - Показатель степени для pow, наклон для leaky_relu.
+     */
+    unary(op, out, x, param) {
+        throw new Error("Метод unary() должен быть реализован в дочернем классе.");
+    }
+
+    /** grad_x[i] += op'(x[i]) * grad_y[i]; y - результат unary (производные exp, sqrt, tanh и sigmoid выражаются через него). */
+    unary_backward(op, grad_x, x, y, grad_y, param) {
+        throw new Error("Метод unary_backward() должен быть реализован в дочернем классе.");
+    }
+
+    /** Softmax по строкам матрицы [rows, cols]. */
+    softmax(out, x, rows, cols) {
+        throw new Error("Метод softmax() должен быть реализован в дочернем классе.");
+    }
+
+    /** grad_x += y * (grad_y - sum(grad_y * y)) построчно; y - результат softmax. */
+    softmax_backward(grad_x, y, grad_y, rows, cols) {
+        throw new Error("Метод softmax_backward() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Нормализация строк [rows, cols]: out = x_hat * gamma + beta, x_hat = (x - mean) * rstd.
+     * x_hat (rows * cols) и rstd (rows) заполняются для обратного прохода.
+     */
+    layernorm(out, x_hat, rstd, x, gamma, beta, rows, cols, eps) {
+        throw new Error("Метод layernorm() должен быть реализован в дочернем классе.");
+    }
+
+    /** Прибавляет градиенты нормализации; буфер, равный null, пропускается. */
+    layernorm_backward(grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out, rows, cols) {
+        throw new Error("Метод layernorm_backward() должен быть реализован в дочернем классе.");
+    }
+
+    /** out[i, :] = table[ids[i], :] для строк длины dim. */
+    gather(out, table, ids, dim) {
+        throw new Error("Метод gather() должен быть реализован в дочернем классе.");
+    }
+
+    /** grad_table[ids[i], :] += grad[i, :] - обратный проход gather. */
+    scatter_add(grad_table, ids, grad, dim) {
+        throw new Error("Метод scatter_add() должен быть реализован в дочернем классе.");
+    }
+}
+
+// erf: приближение Абрамовица-Стиган 7.1.26, абсолютная ошибка не больше 1.5e-7 (в Math нет erf)
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const abs = Math.abs(x);
+    const t = 1 / (1 + 0.3275911 * abs);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return sign * (1 - poly * Math.exp(-abs * abs));
+}
+
+// Функция распределения и плотность стандартного нормального закона
+const normalCdf = (x) => 0.5 * (1 + erf(x / Math.SQRT2));
+const normalPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+// Приближение GELU через tanh (GPT-2): 0.5 * x * (1 + tanh(sqrt(2 / pi) * (x + 0.044715 * x^3)))
+const GELU_SCALE = Math.sqrt(2 / Math.PI);
+
+/**
+ * Поэлементные функции JSBackend.unary: [значение(x, param), производная(x, y, param)], где y - значение.
+ * GELU: x * Phi(x), производная Phi(x) + x * phi(x); SiLU: x * s(x), производная s(x) * (1 + x * (1 - s(x))).
+ */
+const UNARY = {
+    neg: [x => -x, () => -1],
+    exp: [x => Math.exp(x), (x, y) => y],
+    log: [x => Math.log(x), x => 1 / x],
+    // d/dx(sqrt(x)) = 1 / (2 * sqrt(x))
+    sqrt: [x => Math.sqrt(x), (x, y) => 0.5 / y],
+    // d/dx(tanh(x)) = 1 - tanh(x)^2
+    tanh: [x => Math.tanh(x), (x, y) => 1 - y * y],
+    // d/dx(x^n) = n * x^(n-1)
+    pow: [(x, n) => Math.pow(x, n), (x, y, n) => n * Math.pow(x, n - 1)],
+    relu: [x => Math.max(0, x), x => (x > 0 ? 1 : 0)],
+    sigmoid: [x => 1 / (1 + Math.exp(-x)), (x, s) => s * (1 - s)],
+    gelu: [x => x * normalCdf(x), x => normalCdf(x) + x * normalPdf(x)],
+    gelu_tanh: [
+        x => 0.5 * x * (1 + Math.tanh(GELU_SCALE * (x + 0.044715 * x * x * x))),
+        x => {
+            const t = Math.tanh(GELU_SCALE * (x + 0.044715 * x * x * x));
+            return 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * GELU_SCALE * (1 + 3 * 0.044715 * x * x);
+        }
+    ],
+    silu: [x => x / (1 + Math.exp(-x)), x => {
+        const s = 1 / (1 + Math.exp(-x));
+        return s * (1 + x * (1 - s));
+    }],
+    // x при x > 0, иначе slope * x
+    leaky_relu: [(x, slope) => (x > 0 ? x : slope * x), (x, y, slope) => (x > 0 ? 1 : slope)]
+};
+
+function unaryFunctions(op) {
+    if (!Object.hasOwn(UNARY, op)) {
+        throw new Error(`Неизвестная поэлементная функция: ${op}.`);
+    }
+    return UNARY[op];
+}
+
+// Ширина блока столбцов правой матрицы: полоса [K, BLOCK] переиспользуется из кэша для всех строк левой
+const BLOCK = 64;
+
+/**
+ * Эталонный бэкенд на JavaScript: работает везде и служит образцом для проверки остальных.
+ */
+class JSBackend extends Backend {
+    get name() {
+        return 'js';
+    }
+
+    /**
+     * Результат считается плитками 2 x 4: восемь сумм живут в регистрах весь цикл по k,
+     * а в out (Float32Array) пишутся один раз - запись в типизированный массив на каждом k
+     * обходится дороже самого умножения.
+     */
+    matmul(out, a, a_row, a_col, b, b_row, b_col, M, K, N) {
+        for (let j0 = 0; j0 < N; j0 += BLOCK) {
+            const j1 = Math.min(j0 + BLOCK, N);
+            let i = 0;
+            for (; i + 1 < M; i += 2) {
+                const a0 = i * a_row;
+                const a1 = a0 + a_row;
+                const out0 = i * N;
+                const out1 = out0 + N;
+                let j = j0;
+                for (; j + 3 < j1; j += 4) {
+                    let s00 = 0, s01 = 0, s02 = 0, s03 = 0, s10 = 0, s11 = 0, s12 = 0, s13 = 0;
+                    const b_j = j * b_col;
+                    for (let k = 0; k < K; k++) {
+                        const x0 = a[a0 + k * a_col];
+                        const x1 = a[a1 + k * a_col];
+                        const offset = k * b_row + b_j;
+                        const b0 = b[offset], b1 = b[offset + b_col], b2 = b[offset + 2 * b_col], b3 = b[offset + 3 * b_col];
+                        s00 += x0 * b0; s01 += x0 * b1; s02 += x0 * b2; s03 += x0 * b3;
+                        s10 += x1 * b0; s11 += x1 * b1; s12 += x1 * b2; s13 += x1 * b3;
+                    }
+                    out[out0 + j] += s00; out[out0 + j + 1] += s01; out[out0 + j + 2] += s02; out[out0 + j + 3] += s03;
+                    out[out1 + j] += s10; out[out1 + j + 1] += s11; out[out1 + j + 2] += s12; out[out1 + j + 3] += s13;
+                }
+                // Оставшиеся (меньше четырех) столбцы блока
+                for (; j < j1; j++) {
+                    let s0 = 0, s1 = 0;
+                    for (let k = 0; k < K; k++) {
+                        const b_kj = b[k * b_row + j * b_col];
+                        s0 += a[a0 + k * a_col] * b_kj;
+                        s1 += a[a1 + k * a_col] * b_kj;
+                    }
+                    out[out0 + j] += s0;
+                    out[out1 + j] += s1;
+                }
+            }
+            // Последняя строка при нечетном M
+            if (i < M) {
+                const a0 = i * a_row;
+                for (let j = j0; j < j1; j++) {
+                    let sum = 0;
+                    for (let k = 0; k < K; k++) sum += a[a0 + k * a_col] * b[k * b_row + j * b_col];
+                    out[i * N + j] += sum;
+                }
+            }
+        }
+    }
+
+    /**
+     * Порядок i-k-j: строка произведения копится в row, а масштабы применяются один раз на столбец.
+     * Квантизованные слои работают на выводе, где M обычно мало (одна позиция на шаг генерации).
+     */
+    matmul_int8(out, a, q, scales, M, K, N) {
+        const row = new Float32Array(N);
+        for (let i = 0; i < M; i++) {
+            row.fill(0);
+            for (let k = 0; k < K; k++) {
+                const x = a[i * K + k];
+                if (x === 0) continue;
+                const offset = k * N;
+                for (let j = 0; j < N; j++) row[j] += x * q[offset + j];
+            }
+            const out_offset = i * N;
+            for (let j = 0; j < N; j++) out[out_offset + j] += row[j] * scales[j];
+        }
+    }
+
+    binary(op, out, a, b, index_a, index_b) {
+        const n = out.length;
+        // Отдельный цикл на каждую операцию: без вызова функции на каждый элемент
+        switch (op) {
+            case 'add':
+                for (let i = 0; i < n; i++) out[i] = a[index_a ? index_a[i] : i] + b[index_b ? index_b[i] : i];
+                break;
+            case 'sub':
+                for (let i = 0; i < n; i++) out[i] = a[index_a ? index_a[i] : i] - b[index_b ? index_b[i] : i];
+                break;
+            case 'mul':
+                for (let i = 0; i < n; i++) out[i] = a[index_a ? index_a[i] : i] * b[index_b ? index_b[i] : i];
+                break;
+            case 'div':
+                for (let i = 0; i < n; i++) out[i] = a[index_a ? index_a[i] : i] / b[index_b ? index_b[i] : i];
+                break;
+            default:
+                throw new Error(`Неизвестная поэлементная операция: ${op}.`);
+        }
+    }
+
+    unary(op, out, x, param) {
+        const [fn] = unaryFunctions(op);
+        for (let i = 0; i < out.length; i++) out[i] = fn(x[i], param);
+    }
+
+    unary_backward(op, grad_x, x, y, grad_y, param) {
+        const [, grad] = unaryFunctions(op);
+        for (let i = 0; i < grad_x.length; i++) grad_x[i] += grad(x[i], y[i], param) * grad_y[i];
+    }
+
+    softmax(out, x, rows, cols) {
+        for (let i = 0; i < rows; i++) {
+            const offset = i * cols;
+            // Стабилизация: вычитаем максимум из каждой строки для предотвращения переполнения
+            let max_val = -Infinity;
+            for (let j = 0; j < cols; j++) {
+                if (x[offset + j] > max_val) max_val = x[offset + j];
+            }
+            let sum_exp = 0;
+            for (let j = 0; j < cols; j++) {
+                const exp_val = Math.exp(x[offset + j] - max_val);
+                out[offset + j] = exp_val;
+                sum_exp += exp_val;
+            }
+            for (let j = 0; j < cols; j++) out[offset + j] /= sum_exp;
+        }
+    }
+
+    softmax_backward(grad_x, y, grad_y, rows, cols) {
+        // Произведение Якобиана softmax на входящий градиент: dx_j = y_j * (g_j - sum_k(g_k * y_k))
+        for (let i = 0; i < rows; i++) {
+            const offset = i * cols;
+            let dot = 0;
+            for (let j = 0; j < cols; j++) dot += grad_y[offset + j] * y[offset + j];
+            for (let j = 0; j < cols; j++) grad_x[offset + j] += y[offset + j] * (grad_y[offset + j] - dot);
+        }
+    }
+
+    layernorm(out, x_hat, rstd, x, gamma, beta, rows, cols, eps) {
+        for (let i = 0; i < rows; i++) {
+            const offset = i * cols;
+            let sum = 0;
+            for (let j = 0; j < cols; j++) sum += x[offset + j];
+            const mean = sum / cols;
+
+            let sum_sq_diff = 0;
+            for (let j = 0; j < cols; j++) sum_sq_diff += (x[offset + j] - mean) ** 2;
+            rstd[i] = 1.0 / Math.sqrt(sum_sq_diff / cols + eps);
+
+            for (let j = 0; j < cols; j++) {
+                const normalized = (x[offset + j] - mean) * rstd[i];
+                x_hat[offset + j] = normalized;
+                out[offset + j] = normalized * gamma[j] + beta[j];
+            }
+        }
+    }
+
+    layernorm_backward(grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out, rows, cols) {
+        for (let i = 0; i < rows; i++) {
+            const offset = i * cols;
+            let d_norm_sum = 0;
+            let d_norm_x_norm_sum = 0;
+            for (let j = 0; j < cols; j++) {
+                const upstream = grad_out[offset + j];
+                if (grad_gamma) grad_gamma[j] += upstream * x_hat[offset + j];
+                if (grad_beta) grad_beta[j] += upstream;
+                // Промежуточные суммы для градиента x
+                const d_norm = gamma[j] * upstream;
+                d_norm_sum += d_norm;
+                d_norm_x_norm_sum += d_norm * x_hat[offset + j];
+            }
+            if (grad_x) {
+                const scale = rstd[i] / cols;
+                for (let j = 0; j < cols; j++) {
+                    const d_norm = gamma[j] * grad_out[offset + j];
+                    grad_x[offset + j] += scale * (cols * d_norm - d_norm_sum - x_hat[offset + j] * d_norm_x_norm_sum);
+                }
+            }
+        }
+    }
+
+    gather(out, table, ids, dim) {
+        for (let i = 0; i < ids.length; i++) {
+            const row = ids[i] * dim;
+            out.set(table.subarray(row, row + dim), i * dim);
+        }
+    }
+
+    scatter_add(grad_table, ids, grad, dim) {
+        for (let i = 0; i < ids.length; i++) {
+            const row = ids[i] * dim;
+            const offset = i * dim;
+            for (let j = 0; j < dim; j++) grad_table[row + j] += grad[offset + j];
+        }
+    }
+}
+
+let active_backend = new JSBackend();
+
+/** @returns {Backend} - Бэкенд, через который сейчас выполняются Ops и слои. */
+function get_backend() {
+    return active_backend;
+}
+
+/**
+ * Делает бэкенд активным.
+ * @param {Backend} backend
+ * @returns {Backend}
+ */
+function set_backend(backend) {
+    if (!(backend instanceof Backend)) {
+        throw new Error("set_backend ожидает экземпляр Backend.");
+    }
+    active_backend = backend;
+    return backend;
+}
+
+/**
+ * Создает бэкенд по имени и делает его активным. Модуль WebAssembly собирается и компилируется только
+ * при выборе 'wasm'. Сам WasmBackend.js импортируется динамически, но slmnet.js импортирует его
+ * статически (ради slmnet.backends.WasmBackend), так что при работе через slmnet.js он уже загружен.
+ * @param {'js'|'wasm'} name
+ * @returns {Promise<Backend>} - Отклоняется, если среда не поддерживает WebAssembly SIMD.
+ */
+async function use_backend(name) {
+    if (name === 'js') {
+        return set_backend(new JSBackend());
+    }
+    if (name === 'wasm') {
+        const { WasmBackend } = await import('./WasmBackend.js');
+        return set_backend(await WasmBackend.create());
+    }
+    throw new Error(`Неизвестный бэкенд: ${name}. Доступны: js, wasm.`);
+}
+
+export { Backend, JSBackend, get_backend, set_backend, use_backend };
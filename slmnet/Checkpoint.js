@@ -0,0 +1,156 @@
+/**
+ * @file slmnet/Checkpoint.js
+ * @description slmnetGPT v2.0 - Компактный бинарный формат чекпоинтов.
+ *
+ * Структура файла:
+ *   [4 байта] сигнатура "SLMN"
+ *   [uint32]  версия формата
+ *   [uint32]  длина JSON-заголовка в байтах
+ *   [N байт]  JSON-заголовок (UTF-8), выровненный до 4 байт
+ *   [...]     двоичные данные всех массивов подряд
+ *
+ * Заголовок повторяет структуру сохраняемого объекта, но вместо тензоров
+ * и типизированных массивов в нем лежат ссылки на участки двоичных данных.
+ */
+
+import { Tensor } from './Tensor.js';
+import { Layer } from './Layers.js';
+
+const MAGIC = 'SLMN';
+const VERSION = 1;
+
+const DTYPES = {
+    float32: Float32Array,
+    int8: Int8Array      // Квантизованные веса (Quantization.js)
+};
+
+function dtypeOf(array) {
+    for (const [name, ArrayType] of Object.entries(DTYPES)) {
+        if (array instanceof ArrayType) return name;
+    }
+    return null;
+}
+
+function align4(n) {
+    return (n + 3) & ~3;
+}
+
+/**
+ * Заменяет массивы ссылками на двоичные данные и собирает список этих массивов.
+ */
+function encodeValue(value, chunks, state) {
+    if (value instanceof Tensor) {
+        return { __tensor__: encodeArray(value.data, chunks, state), shape: value.shape };
+    }
+    if (ArrayBuffer.isView(value)) {
+        return { __array__: encodeArray(value, chunks, state) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => encodeValue(item, chunks, state));
+    }
+    if (value !== null && typeof value === 'object') {
+        const encoded = {};
+        for (const key of Object.keys(value)) {
+            encoded[key] = encodeValue(value[key], chunks, state);
+        }
+        return encoded;
+    }
+    return value;
+}
+
+function encodeArray(array, chunks, state) {
+    const dtype = dtypeOf(array);
+    if (!dtype) throw new Error(`Тип массива ${array.constructor.name} не поддерживается форматом чекпоинта.`);
+    const ref = { dtype, offset: state.offset, length: array.length };
+    chunks.push({ offset: state.offset, array });
+    state.offset = align4(state.offset + array.byteLength);
+    return ref;
+}
+
+function decodeValue(value, blob) {
+    if (Array.isArray(value)) {
+        return value.map(item => decodeValue(item, blob));
+    }
+    if (value !== null && typeof value === 'object') {
+        if (value.__tensor__) {
+            return new Tensor(decodeArray(value.__tensor__, blob), value.shape);
+        }
+        if (value.__array__) {
+            return decodeArray(value.__array__, blob);
+        }
+        const decoded = {};
+        for (const key of Object.keys(value)) {
+            decoded[key] = decodeValue(value[key], blob);
+        }
+        return decoded;
+    }
+    return value;
+}
+
+function decodeArray(ref, blob) {
+    const ArrayType = DTYPES[ref.dtype];
+    if (!ArrayType) throw new Error(`Неизвестный тип данных в чекпоинте: ${ref.dtype}.`);
+    const start = blob.byteOffset + ref.offset;
+    // Копируем участок, чтобы результат не зависел от исходного буфера
+    return new ArrayType(blob.buffer.slice(start, start + ref.length * ArrayType.BYTES_PER_ELEMENT));
+}
+
+/**
+ * Сохраняет чекпоинт в ArrayBuffer.
+ * Слои, токенизаторы и оптимизаторы в contents автоматически заменяются
+ * их состоянием (state_dict() / to_json()).
+ * @param {object} contents - Например { config, model, tokenizer, optimizer, step }.
+ * @returns {ArrayBuffer}
+ */
+function save_checkpoint(contents) {
+    const prepared = {};
+    for (const [key, value] of Object.entries(contents)) {
+        if (value instanceof Layer) prepared[key] = value.state_dict();
+        else if (value && typeof value.to_json === 'function') prepared[key] = value.to_json();
+        else if (value && typeof value.state_dict === 'function') prepared[key] = value.state_dict();
+        else prepared[key] = value;
+    }
+
+    const chunks = [];
+    const header = encodeValue(prepared, chunks, { offset: 0 });
+    const header_bytes = new TextEncoder().encode(JSON.stringify(header));
+    const blob_start = align4(12 + header_bytes.length);
+    const blob_size = chunks.length > 0 ? align4(chunks[chunks.length - 1].offset + chunks[chunks.length - 1].array.byteLength) : 0;
+
+    const buffer = new ArrayBuffer(blob_start + blob_size);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+    view.setUint32(4, VERSION, true);
+    view.setUint32(8, header_bytes.length, true);
+    bytes.set(header_bytes, 12);
+    for (const { offset, array } of chunks) {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), blob_start + offset);
+    }
+    return buffer;
+}
+
+/**
+ * Загружает чекпоинт, сохраненный save_checkpoint().
+ * Состояние модели возвращается словарем тензоров, пригодным для Layer.load_state_dict().
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {object}
+ */
+function load_checkpoint(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+    if (magic !== MAGIC) {
+        throw new Error("Файл не является чекпоинтом slmnet.");
+    }
+    const version = view.getUint32(4, true);
+    if (version !== VERSION) {
+        throw new Error(`Неподдерживаемая версия чекпоинта: ${version}.`);
+    }
+    const header_length = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + header_length)));
+    const blob = bytes.subarray(align4(12 + header_length));
+    return decodeValue(header, blob);
+}
+
+export { save_checkpoint, load_checkpoint };
@@ -0,0 +1,131 @@
+/**
+ * @file slmnet/Evaluation.js
+ * @description slmnetGPT v2.0 - Оценка языковых моделей на отложенных данных.
+ *
+ * Текст (последовательность ID токенов) делится на обучающую и проверочную части,
+ * а проверочная часть оценивается детерминированно: скользящим окном длины block_size
+ * каждый токен предсказывается ровно один раз.
+ */
+
+import { Tensor, no_grad } from './Tensor.js';
+
+/**
+ * Делит закодированный текст на обучающую и проверочную части (проверочная - в конце текста,
+ * чтобы окна двух частей не пересекались).
+ * @param {number[]} encoded - ID токенов.
+ * @param {number} [val_fraction=0.1] - Доля проверочной части.
+ * @returns {{train: number[], val: number[]}}
+ */
+function train_val_split(encoded, val_fraction = 0.1) {
+    if (!(val_fraction >= 0 && val_fraction < 1)) {
+        throw new Error(`Доля проверочных данных должна быть в [0, 1), получено ${val_fraction}.`);
+    }
+    const split = encoded.length - Math.floor(encoded.length * val_fraction);
+    return { train: encoded.slice(0, split), val: encoded.slice(split) };
+}
+
+/**
+ * Окна оценки. Окно начинается с позиции start, содержит length входов и столько же целей
+ * (следующих токенов); оцениваются позиции начиная с score_from - остальные уже оценены
+ * предыдущими окнами, но служат контекстом.
+ */
+function slidingWindows(num_tokens, block_size, stride) {
+    const windows = [];
+    let scored_until = 0; // Цели с индексами до scored_until включительно уже оценены
+    for (let start = 0; start < num_tokens - 1; start += stride) {
+        const length = Math.min(block_size, num_tokens - 1 - start);
+        windows.push({ start, length, score_from: Math.max(0, scored_until - start) });
+        scored_until = start + length;
+        if (scored_until >= num_tokens - 1) break;
+    }
+    return windows;
+}
+
+/**
+ * Оценивает модель на последовательности токенов.
+ * @param {Layer} model - Модель с forward(idx [batch_size, seq_len]) -> логиты [batch_size, seq_len, vocab_size].
+ * @param {number[]} encoded - Проверочные ID токенов (не меньше двух).
+ * @param {object} [options]
+ * @param {number} [options.block_size=model.config.block_size] - Длина окна контекста.
+ * @param {number} [options.stride=block_size] - Сдвиг окна. При stride < block_size каждая оцениваемая
+ *   позиция получает не меньше block_size - stride токенов контекста (точнее, но дороже).
+ * @param {number} [options.batch_size=8] - Сколько окон обрабатывается за один проход.
+ * @param {object} [options.tokenizer] - Для подсчета символов (bits_per_char) по декодированному тексту;
+ *   без токенизатора один токен считается одним символом.
+ * @returns {{loss: number, perplexity: number, bits_per_token: number, bits_per_char: number,
+ *   num_tokens: number, num_characters: number, per_position_loss: number[]}}
+ *   loss - средняя ошибка (в натах на токен); per_position_loss[t] - средняя ошибка
+ *   предсказания токена, у которого t токенов контекста в окне (NaN, если таких не было).
+ */
+function evaluate(model, encoded, options = {}) {
+    const block_size = options.block_size ?? model.config?.block_size;
+    if (!block_size) {
+        throw new Error("Для оценки нужно указать block_size.");
+    }
+    const stride = options.stride ?? block_size;
+    const batch_size = options.batch_size ?? 8;
+    if (!(stride > 0 && stride <= block_size)) {
+        throw new Error(`stride должен быть в (0, block_size], получено ${stride}.`);
+    }
+    if (encoded.length < 2) {
+        throw new Error("Для оценки нужно хотя бы два токена.");
+    }
+
+    const windows = slidingWindows(encoded.length, block_size, stride);
+    const position_sum = new Float64Array(block_size);
+    const position_count = new Float64Array(block_size);
+    let total_loss = 0;
+    let num_tokens = 0;
+
+    const was_training = model.training === true;
+    if (typeof model.eval === 'function') model.eval();
+    try {
+        for (let w = 0; w < windows.length;) {
+            // В один батч попадают только окна одинаковой длины (короче бывает лишь последнее)
+            const length = windows[w].length;
+            const batch = [];
+            while (w < windows.length && batch.length < batch_size && windows[w].length === length) {
+                batch.push(windows[w++]);
+            }
+            const ids = batch.flatMap(({ start }) => encoded.slice(start, start + length));
+            const logits = no_grad(() => model.forward(new Tensor(ids, [batch.length, length])));
+            const vocab_size = logits.shape[logits.shape.length - 1];
+
+            batch.forEach(({ start, score_from }, b) => {
+                for (let t = score_from; t < length; t++) {
+                    const offset = (b * length + t) * vocab_size;
+                    let max = -Infinity;
+                    for (let v = 0; v < vocab_size; v++) max = Math.max(max, logits.data[offset + v]);
+                    let sum = 0;
+                    for (let v = 0; v < vocab_size; v++) sum += Math.exp(logits.data[offset + v] - max);
+                    const target = encoded[start + t + 1];
+                    const loss = max + Math.log(sum) - logits.data[offset + target];
+                    total_loss += loss;
+                    position_sum[t] += loss;
+                    position_count[t]++;
+                    num_tokens++;
+                }
+            });
+        }
+    } finally {
+        if (was_training) model.train();
+    }
+
+    // Оценены все цели encoded[1..], поэтому символы считаются по ним - кодовыми точками Unicode,
+    // а не единицами UTF-16 (.length считает эмодзи и другие символы вне BMP за два)
+    const num_characters = options.tokenizer
+        ? [...options.tokenizer.decode(encoded.slice(1))].length
+        : num_tokens;
+    const loss = total_loss / num_tokens;
+    return {
+        loss,
+        perplexity: Math.exp(loss),
+        bits_per_token: loss / Math.LN2,
+        bits_per_char: total_loss / Math.LN2 / num_characters,
+        num_tokens,
+        num_characters,
+        per_position_loss: Array.from(position_sum, (sum, t) => sum / position_count[t])
+    };
+}
+
+export { train_val_split, evaluate };
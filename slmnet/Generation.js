@@ -0,0 +1,298 @@
+/**
+ * @file slmnet/Generation.js
+ * @description slmnetGPT v2.0 - Генерация текста авторегрессионными моделями.
+ *
+ * Поддерживаются жадный выбор, сэмплирование с температурой, top-k, nucleus (top-p),
+ * штрафы за повторы (repetition / frequency / presence), лучевой поиск (beam search),
+ * стоп-последовательности и ограничение числа новых токенов.
+ *
+ * Модель должна реализовывать forward(idx) -> логиты [batch_size, seq_len, vocab_size].
+ * Если модель умеет create_cache(batch_size) и next_token_logits(contexts, cache),
+ * генерация идет инкрементально через KV-кэш. На время генерации модель переводится
+ * в режим вывода (eval), поэтому dropout не действует; прежний режим затем восстанавливается.
+ */
+
+import { Tensor, no_grad } from './Tensor.js';
+import { default_rng } from './Random.js';
+
+const DEFAULT_OPTIONS = {
+    max_new_tokens: 100,
+    greedy: false,            // Всегда брать самый вероятный токен
+    temperature: 1.0,         // 0 эквивалентно жадному выбору
+    top_k: 0,                 // 0 - без ограничения
+    top_p: 1.0,               // 1 - без ограничения
+    repetition_penalty: 1.0,  // > 1 штрафует все токены, уже встречавшиеся в контексте (включая затравку)
+    frequency_penalty: 0,     // Вычитается из логита за каждое появление токена в сгенерированном тексте
+    presence_penalty: 0,      // Вычитается из логита, если токен уже появлялся в сгенерированном тексте
+    num_beams: 1,             // > 1 включает лучевой поиск (детерминированный)
+    length_penalty: 1.0,      // Для лучевого поиска: оценка делится на длину^length_penalty
+    stop: [],                 // Стоп-строки: генерация заканчивается, как только одна из них появилась
+    stop_token_ids: [],       // Стоп-токены (например, ID <eos>)
+    block_size: null,         // Окно контекста для моделей без KV-кэша (по умолчанию model.config.block_size)
+    rng: default_rng          // Генератор случайных чисел (RNG) для сэмплирования
+};
+
+/**
+ * Возвращает функцию, выдающую логиты следующего токена для набора контекстов
+ * (Float32Array формы [contexts.length, vocab_size]), и KV-кэш, если он используется.
+ */
+function createStepper(model, batch_size, opts) {
+    if (typeof model.create_cache === 'function' && typeof model.next_token_logits === 'function') {
+        const cache = model.create_cache(batch_size);
+        return {
+            cache,
+            next: (contexts) => model.next_token_logits(contexts, cache).data
+        };
+    }
+
+    const block_size = opts.block_size ?? model.config?.block_size;
+    if (!block_size) {
+        throw new Error("Для модели без KV-кэша нужно указать block_size.");
+    }
+    return {
+        cache: null,
+        next: (contexts) => {
+            const windows = contexts.map(context => context.slice(-block_size));
+            const seq_len = windows[0].length;
+            const logits = model.forward(new Tensor(windows.flat(), [windows.length, seq_len]));
+            const vocab_size = logits.shape[logits.shape.length - 1];
+            const last = new Float32Array(contexts.length * vocab_size);
+            for (let b = 0; b < contexts.length; b++) {
+                const offset = (b * seq_len + seq_len - 1) * vocab_size;
+                last.set(logits.data.subarray(offset, offset + vocab_size), b * vocab_size);
+            }
+            return last;
+        }
+    };
+}
+
+/**
+ * Применяет штрафы за повторы к логитам одной последовательности.
+ * @param {Float64Array} logits - Изменяется на месте.
+ * @param {number[]} context - Весь контекст (затравка + сгенерированное).
+ * @param {number[]} generated - Только сгенерированные токены.
+ */
+function applyPenalties(logits, context, generated, opts) {
+    if (opts.repetition_penalty !== 1.0) {
+        for (const id of new Set(context)) {
+            logits[id] = logits[id] > 0 ? logits[id] / opts.repetition_penalty : logits[id] * opts.repetition_penalty;
+        }
+    }
+    if (opts.frequency_penalty !== 0 || opts.presence_penalty !== 0) {
+        const counts = new Map();
+        for (const id of generated) counts.set(id, (counts.get(id) || 0) + 1);
+        for (const [id, count] of counts) {
+            logits[id] -= opts.frequency_penalty * count + opts.presence_penalty;
+        }
+    }
+}
+
+function argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) best = i;
+    }
+    return best;
+}
+
+/**
+ * Нормализует логиты в логарифмы вероятностей (на месте).
+ * @param {Float64Array} logits
+ */
+function logSoftmax(logits) {
+    let max = -Infinity;
+    for (const value of logits) if (value > max) max = value;
+    let sum = 0;
+    for (const value of logits) sum += Math.exp(value - max);
+    const log_sum = max + Math.log(sum);
+    for (let i = 0; i < logits.length; i++) logits[i] -= log_sum;
+    return logits;
+}
+
+/**
+ * Выбирает следующий токен по логитам с учетом температуры, top-k и top-p.
+ * @param {Float64Array} logits
+ * @returns {number}
+ */
+function sampleToken(logits, opts) {
+    if (opts.greedy || opts.temperature === 0) {
+        return argmax(logits);
+    }
+
+    for (let i = 0; i < logits.length; i++) logits[i] /= opts.temperature;
+    const probs = logSoftmax(logits).map(Math.exp);
+
+    // Кандидаты в порядке убывания вероятности
+    let candidates = Array.from(probs.keys()).sort((a, b) => probs[b] - probs[a]);
+    if (opts.top_k > 0) {
+        candidates = candidates.slice(0, opts.top_k);
+    }
+    if (opts.top_p < 1.0) {
+        // Минимальный набор самых вероятных токенов с суммарной вероятностью >= top_p
+        let cumulative = 0;
+        let cutoff = candidates.length;
+        for (let i = 0; i < candidates.length; i++) {
+            cumulative += probs[candidates[i]];
+            if (cumulative >= opts.top_p) {
+                cutoff = i + 1;
+                break;
+            }
+        }
+        candidates = candidates.slice(0, cutoff);
+    }
+
+    let total = 0;
+    for (const id of candidates) total += probs[id];
+    const rand = opts.rng.random() * total;
+    let cumulative = 0;
+    for (const id of candidates) {
+        cumulative += probs[id];
+        if (rand < cumulative) return id;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Проверяет условия остановки для сгенерированных токенов.
+ * @returns {{stopped: boolean, text: string}} - text обрезан перед стоп-строкой.
+ */
+function checkStop(tokenizer, generated, opts) {
+    const last = generated[generated.length - 1];
+    if (opts.stop_token_ids.includes(last)) {
+        return { stopped: true, text: tokenizer.decode(generated.slice(0, -1)) };
+    }
+    const text = tokenizer.decode(generated);
+    for (const stop of opts.stop) {
+        const index = text.indexOf(stop);
+        if (stop && index !== -1) {
+            return { stopped: true, text: text.slice(0, index) };
+        }
+    }
+    return { stopped: false, text };
+}
+
+function sampleGenerate(model, tokenizer, prompt_ids, opts) {
+    const stepper = createStepper(model, 1, opts);
+    const context = [...prompt_ids];
+    const generated = [];
+    let text = '';
+
+    for (let i = 0; i < opts.max_new_tokens; i++) {
+        const logits = Float64Array.from(stepper.next([context]));
+        applyPenalties(logits, context, generated, opts);
+        const next_id = sampleToken(logits, opts);
+        context.push(next_id);
+        generated.push(next_id);
+
+        const stop = checkStop(tokenizer, generated, opts);
+        text = stop.text;
+        if (stop.stopped) {
+            return { text, ids: generated, finish_reason: 'stop' };
+        }
+    }
+    return { text, ids: generated, finish_reason: 'length' };
+}
+
+function beamGenerate(model, tokenizer, prompt_ids, opts) {
+    const num_beams = opts.num_beams;
+    const stepper = createStepper(model, num_beams, opts);
+    const score = (beam) => beam.log_prob / Math.pow(Math.max(beam.generated.length, 1), opts.length_penalty);
+
+    // Все лучи стартуют с затравки; на первом шаге учитывается только первый луч,
+    // чтобы не получить num_beams одинаковых продолжений.
+    let beams = Array.from({ length: num_beams }, (_, b) => ({
+        context: [...prompt_ids],
+        generated: [],
+        log_prob: b === 0 ? 0 : -Infinity
+    }));
+    const finished = [];
+
+    for (let step = 0; step < opts.max_new_tokens; step++) {
+        const logits = stepper.next(beams.map(beam => beam.context));
+        const vocab_size = logits.length / num_beams;
+
+        const candidates = [];
+        beams.forEach((beam, b) => {
+            if (beam.log_prob === -Infinity) return;
+            const row = Float64Array.from(logits.subarray(b * vocab_size, (b + 1) * vocab_size));
+            applyPenalties(row, beam.context, beam.generated, opts);
+            logSoftmax(row);
+            for (let id = 0; id < vocab_size; id++) {
+                candidates.push({ beam: b, id, log_prob: beam.log_prob + row[id] });
+            }
+        });
+        candidates.sort((a, b) => b.log_prob - a.log_prob);
+
+        const next_beams = [];
+        const sources = [];
+        for (const candidate of candidates) {
+            if (next_beams.length === num_beams) break;
+            const parent = beams[candidate.beam];
+            const beam = {
+                context: [...parent.context, candidate.id],
+                generated: [...parent.generated, candidate.id],
+                log_prob: candidate.log_prob
+            };
+            const stop = checkStop(tokenizer, beam.generated, opts);
+            if (stop.stopped) {
+                finished.push({ ...beam, text: stop.text, finish_reason: 'stop' });
+                continue;
+            }
+            next_beams.push(beam);
+            sources.push(candidate.beam);
+        }
+
+        // Лучшая завершенная гипотеза не может быть улучшена незавершенными лучами
+        if (next_beams.length === 0 || (finished.length >= num_beams &&
+            Math.max(...finished.map(score)) >= Math.max(...next_beams.map(score)))) {
+            beams = [];
+            break;
+        }
+        while (next_beams.length < num_beams) {
+            next_beams.push({ ...next_beams[0], log_prob: -Infinity });
+            sources.push(sources[0]);
+        }
+        if (stepper.cache) stepper.cache.reorder(sources);
+        beams = next_beams;
+    }
+
+    for (const beam of beams) {
+        if (beam.log_prob === -Infinity) continue;
+        finished.push({ ...beam, text: tokenizer.decode(beam.generated), finish_reason: 'length' });
+    }
+    finished.sort((a, b) => score(b) - score(a));
+    const best = finished[0];
+    return { text: best.text, ids: best.generated, finish_reason: best.finish_reason };
+}
+
+/**
+ * Генерирует продолжение затравки.
+ * @param {object} model - Модель (см. описание модуля).
+ * @param {object} tokenizer - Токенизатор с методами encode(text) и decode(ids).
+ * @param {string|number[]} prompt - Затравка: строка или уже закодированные ID.
+ * @param {object} [options] - См. DEFAULT_OPTIONS.
+ * @returns {{text: string, ids: number[], finish_reason: 'length'|'stop'}}
+ *   text - только сгенерированный текст (без затравки и стоп-строки).
+ */
+function generate(model, tokenizer, prompt, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const prompt_ids = typeof prompt === 'string' ? tokenizer.encode(prompt) : [...prompt];
+    if (prompt_ids.length === 0) {
+        throw new Error("Затравка пуста (или не содержит известных токенизатору символов).");
+    }
+    if (opts.max_new_tokens <= 0) {
+        return { text: '', ids: [], finish_reason: 'length' };
+    }
+    const was_training = model.training === true;
+    if (typeof model.eval === 'function') model.eval();
+    try {
+        // Граф не строится: градиенты при генерации не нужны
+        return no_grad(() => opts.num_beams > 1
+            ? beamGenerate(model, tokenizer, prompt_ids, opts)
+            : sampleGenerate(model, tokenizer, prompt_ids, opts));
+    } finally {
+        if (was_training) model.train();
+    }
+}
+
+export { generate };
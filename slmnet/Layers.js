@@ -3,48 +3,162 @@
  * @description slmnetGPT v2.0 - Набор строительных блоков (слоев) для нейросетей.
  */
 
-import { Tensor } from './Tensor.js';
+import { Tensor, needs_grad } from './Tensor.js';
 import { Ops } from './Ops.js';
+import { default_rng } from './Random.js';
+import { get_backend } from './Backend.js';
 
 class Layer {
-    constructor() {}
+    constructor() {
+        this.training = true; // Режим обучения (влияет, например, на Dropout); переключается train() / eval()
+    }
 
     forward(inputs) {
         throw new Error("Метод forward() должен быть реализован в дочернем классе.");
     }
     
     parameters() {
+        return this.named_parameters().map(([_, param]) => param);
+    }
+
+    /**
+     * Обходит обучаемые параметры слоя и его дочерних слоев.
+     * @param {string} [prefix=''] - Префикс пути (используется при рекурсии).
+     * @returns {Array<[string, Tensor]>} - Пары [путь, тензор], например ['blocks.layers.0.attention.wq.weights', Tensor].
+     */
+    named_parameters(prefix = '') {
         const params = [];
         for (const key in this) {
             const prop = this[key];
             if (prop instanceof Tensor && prop.requires_grad) {
-                params.push(prop);
+                params.push([prefix + key, prop]);
             }
             else if (prop instanceof Layer) {
-                params.push(...prop.parameters());
+                params.push(...prop.named_parameters(`${prefix}${key}.`));
             }
             else if (Array.isArray(prop)) {
-                for(const item of prop) {
+                prop.forEach((item, i) => {
                     if (item instanceof Layer) {
-                        params.push(...item.parameters());
+                        params.push(...item.named_parameters(`${prefix}${key}.${i}.`));
                     }
-                }
+                });
             }
         }
         return params;
     }
 
+    /**
+     * Возвращает словарь состояния: путь параметра -> тензор (без копирования данных).
+     * @returns {Object<string, Tensor>}
+     */
+    state_dict() {
+        const state = {};
+        for (const [name, param] of this.named_parameters()) {
+            state[name] = param;
+        }
+        return state;
+    }
+
+    /**
+     * Копирует значения параметров из словаря состояния.
+     * @param {Object<string, Tensor|Float32Array>} state - Словарь, полученный из state_dict().
+     * @param {boolean} [strict=true] - Требовать точного совпадения набора ключей.
+     */
+    load_state_dict(state, strict = true) {
+        const own = this.named_parameters();
+        if (strict) {
+            const own_names = new Set(own.map(([name]) => name));
+            const missing = [...own_names].filter(name => !(name in state));
+            const unexpected = Object.keys(state).filter(name => !own_names.has(name));
+            if (missing.length > 0 || unexpected.length > 0) {
+                throw new Error(`Словарь состояния не совпадает с моделью. Отсутствуют: [${missing}]. Лишние: [${unexpected}].`);
+            }
+        }
+        for (const [name, param] of own) {
+            if (!(name in state)) continue;
+            const value = state[name];
+            const data = value instanceof Tensor ? value.data : value;
+            if (data.length !== param.size || (value instanceof Tensor && JSON.stringify(value.shape) !== JSON.stringify(param.shape))) {
+                throw new Error(`Несовпадение формы для '${name}': ожидалось [${param.shape}], получено [${value instanceof Tensor ? value.shape : data.length}].`);
+            }
+            param.data.set(data);
+        }
+    }
+
     __call__(inputs) {
         return this.forward(inputs);
     }
+
+    /**
+     * Дочерние слои (поля-слои и слои в полях-массивах) - те же, что обходит named_parameters().
+     * @returns {Layer[]}
+     */
+    children() {
+        const children = [];
+        for (const key in this) {
+            const prop = this[key];
+            if (prop instanceof Layer) {
+                children.push(prop);
+            }
+            else if (Array.isArray(prop)) {
+                children.push(...prop.filter(item => item instanceof Layer));
+            }
+        }
+        return children;
+    }
+
+    /**
+     * Обходит слой и все вложенные слои в том же порядке и с теми же путями, что named_parameters().
+     * @returns {Array<[string, Layer]>} - Пары [путь, слой], сам слой - с путем '', например ['blocks.layers.0.attention', MultiHeadAttention].
+     */
+    named_modules() {
+        const modules = [['', this]];
+        for (const key in this) {
+            const prop = this[key];
+            const children = prop instanceof Layer ? [[key, prop]]
+                : Array.isArray(prop) ? prop.map((item, i) => [`${key}.${i}`, item]).filter(([_, item]) => item instanceof Layer)
+                : [];
+            for (const [name, child] of children) {
+                for (const [path, module] of child.named_modules()) {
+                    modules.push([path ? `${name}.${path}` : name, module]);
+                }
+            }
+        }
+        return modules;
+    }
+
+    /**
+     * Переключает слой и все дочерние слои в режим обучения (или вывода при mode = false).
+     * @param {boolean} [mode=true]
+     * @returns {Layer} this
+     */
+    train(mode = true) {
+        this.training = mode;
+        for (const child of this.children()) child.train(mode);
+        return this;
+    }
+
+    /**
+     * Переключает слой и все дочерние слои в режим вывода: Dropout отключается.
+     * @returns {Layer} this
+     */
+    eval() {
+        return this.train(false);
+    }
 }
 
 class DenseLayer extends Layer {
-    constructor(in_features, out_features, use_bias = true) {
+    /**
+     * @param {number} in_features
+     * @param {number} out_features
+     * @param {boolean} [use_bias=true]
+     * @param {RNG} [rng=default_rng] - Генератор для инициализации весов.
+     */
+    constructor(in_features, out_features, use_bias = true, rng = default_rng) {
         super();
         const limit = Math.sqrt(2 / in_features); 
         this.weights = new Tensor(
-            Float32Array.from({ length: in_features * out_features }, () => (Math.random() * 2 - 1) * limit),
+            Float32Array.from({ length: in_features * out_features }, () => (rng.random() * 2 - 1) * limit),
             [in_features, out_features],
             true
         );
@@ -53,8 +167,16 @@ class DenseLayer extends Layer {
     }
 
     forward(inputs) {
-        const matmul_result = inputs.dot(this.weights);
-        return this.use_bias ? matmul_result.add(this.bias) : matmul_result;
+        // Входы большей размерности (например, [batch_size, seq_len, in_features])
+        // сворачиваются в матрицу, а результат разворачивается обратно.
+        if (inputs.shape.length > 2) {
+            const leading_shape = inputs.shape.slice(0, -1);
+            const in_features = inputs.shape[inputs.shape.length - 1];
+            const flat = inputs.reshape([inputs.size / in_features, in_features]);
+            const out_features = this.weights.shape[1];
+            return this.forward(flat).reshape([...leading_shape, out_features]);
+        }
+        return Ops.linear(inputs, this.weights, this.bias);
     }
 }
 
@@ -85,49 +207,168 @@ class Sigmoid extends Layer {
     }
 }
 
+class Tanh extends Layer {
+    forward(inputs) {
+        return inputs.tanh();
+    }
+}
+
+class GELU extends Layer {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.approximate=false] - Приближение через tanh (как в GPT-2).
+     */
+    constructor(options = {}) {
+        super();
+        this.approximate = options.approximate ?? false;
+    }
+
+    forward(inputs) {
+        return inputs.gelu(this.approximate);
+    }
+}
+
+class SiLU extends Layer {
+    forward(inputs) {
+        return inputs.silu();
+    }
+}
+
+class LeakyReLU extends Layer {
+    /**
+     * @param {number} [negative_slope=0.01] - Наклон при отрицательных входах.
+     */
+    constructor(negative_slope = 0.01) {
+        super();
+        this.negative_slope = negative_slope;
+    }
+
+    forward(inputs) {
+        return inputs.leaky_relu(this.negative_slope);
+    }
+}
+
+/**
+ * Dropout: в режиме обучения обнуляет каждый элемент с вероятностью p, а остальные
+ * умножает на 1 / (1 - p), чтобы среднее не менялось. В режиме вывода ничего не делает.
+ */
+class Dropout extends Layer {
+    /**
+     * @param {number} [p=0.5] - Вероятность обнуления, от 0 (включительно) до 1 (не включительно).
+     * @param {RNG} [rng=default_rng] - Генератор для масок.
+     */
+    constructor(p = 0.5, rng = default_rng) {
+        super();
+        if (!(p >= 0 && p < 1)) {
+            throw new Error(`Вероятность dropout должна быть в [0, 1), получено ${p}.`);
+        }
+        this.p = p;
+        this.rng = rng;
+    }
+
+    forward(inputs) {
+        if (!this.training || this.p === 0) {
+            return inputs;
+        }
+        const scale = 1 / (1 - this.p);
+        const mask = new Float32Array(inputs.size);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = this.rng.random() < this.p ? 0 : scale;
+        }
+        return inputs.mul(new Tensor(mask, inputs.shape));
+    }
+}
+
 class EmbeddingLayer extends Layer {
-    constructor(vocab_size, embedding_dim) {
+    constructor(vocab_size, embedding_dim, rng = default_rng) {
         super();
         this.embedding_dim = embedding_dim;
-        this.weights = Tensor.random([vocab_size, embedding_dim], true);
+        this.weights = Tensor.random([vocab_size, embedding_dim], true, rng);
     }
 
+    /**
+     * @param {Tensor} ids_tensor - ID токенов формы [batch_size, seq_len].
+     * @returns {Tensor} - Эмбеддинги формы [batch_size, seq_len, embedding_dim].
+     */
     forward(ids_tensor) {
         const [batch_size, seq_len] = ids_tensor.shape;
+        const backend = get_backend();
         const result_data = new Float32Array(batch_size * seq_len * this.embedding_dim);
-
-        for (let i = 0; i < ids_tensor.size; i++) {
-            const id = ids_tensor.data[i];
-            const weight_offset = id * this.embedding_dim;
-            const result_offset = i * this.embedding_dim;
-            // Копируем вектор
-            for (let j = 0; j < this.embedding_dim; j++) {
-                result_data[result_offset + j] = this.weights.data[weight_offset + j];
-            }
-        }
+        backend.gather(result_data, this.weights.data, ids_tensor.data, this.embedding_dim);
         
-        const result = new Tensor(result_data, [batch_size * seq_len, this.embedding_dim], this.weights.requires_grad);
+        const requires_grad = needs_grad(this.weights);
+        const result = new Tensor(result_data, [batch_size, seq_len, this.embedding_dim], requires_grad);
         
-        if (this.weights.requires_grad) {
+        if (requires_grad) {
             result._ctx = {
                 inputs: [ids_tensor, this.weights],
                 backward: (upstream_grad) => {
+                    // Накапливаем градиенты строк, соответствующих ID
                     if (this.weights.requires_grad) {
-                        for (let i = 0; i < ids_tensor.size; i++) {
-                            const id = ids_tensor.data[i];
-                            const weight_offset = id * this.embedding_dim;
-                            const grad_offset = i * this.embedding_dim;
-                            // Накапливаем градиенты
-                            for (let j = 0; j < this.embedding_dim; j++) {
-                                this.weights.grad.data[weight_offset + j] += upstream_grad.data[grad_offset + j];
-                            }
-                        }
+                        backend.scatter_add(this.weights.grad_data(), ids_tensor.data, upstream_grad.data, this.embedding_dim);
                     }
                 }
             };
         }
         return result;
     }
+
+    /**
+     * Обратное направление: скалярные произведения входов со всеми строками таблицы,
+     * x.dot(weights^T) + bias. Так выходной слой модели может использовать веса эмбеддингов (weight tying).
+     * @param {Tensor} inputs - Тензор формы [..., embedding_dim].
+     * @param {Tensor|null} [bias=null] - Смещение из vocab_size элементов.
+     * @returns {Tensor} - Логиты формы [..., vocab_size].
+     */
+    attend(inputs, bias = null) {
+        const leading_shape = inputs.shape.slice(0, -1);
+        const flat = inputs.reshape([inputs.size / this.embedding_dim, this.embedding_dim]);
+        return Ops.linear(flat, this.weights, bias, true).reshape([...leading_shape, this.weights.shape[0]]);
+    }
+}
+
+/**
+ * Фиксированные синусоидальные позиционные кодировки (Vaswani et al., 2017):
+ * PE[p, 2i] = sin(p / base^(2i / d)), PE[p, 2i + 1] = cos(p / base^(2i / d)).
+ * Обучаемых параметров нет, и кодировка определена для любой позиции, в том числе за пределами block_size.
+ */
+class SinusoidalPositionalEncoding extends Layer {
+    /**
+     * @param {number} embedding_dim
+     * @param {number} [base=10000] - Основание частот.
+     */
+    constructor(embedding_dim, base = 10000) {
+        super();
+        this.embedding_dim = embedding_dim;
+        this.base = base;
+    }
+
+    /**
+     * Кодировки позиций offset .. offset + seq_len - 1.
+     * @param {number} seq_len
+     * @param {number} [offset=0]
+     * @returns {Tensor} - Тензор формы [1, seq_len, embedding_dim] без градиента.
+     */
+    encoding(seq_len, offset = 0) {
+        const dim = this.embedding_dim;
+        const data = new Float32Array(seq_len * dim);
+        for (let t = 0; t < seq_len; t++) {
+            for (let j = 0; j < dim; j++) {
+                const angle = (offset + t) * Math.pow(this.base, -2 * Math.floor(j / 2) / dim);
+                data[t * dim + j] = j % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+            }
+        }
+        return new Tensor(data, [1, seq_len, dim]);
+    }
+
+    /**
+     * @param {Tensor} x - Входы формы [batch_size, seq_len, embedding_dim].
+     * @param {number} [offset=0] - Позиция первого элемента (для KV-кэша).
+     * @returns {Tensor} - x с прибавленными кодировками позиций; градиент проходит в x без изменений.
+     */
+    forward(x, offset = 0) {
+        return x.add(this.encoding(x.shape[1], offset));
+    }
 }
 
 /**
@@ -143,32 +384,17 @@ class LayerNorm extends Layer {
     }
 
     forward(x) {
-        const [rows, cols] = x.shape;
-        const requires_grad = x.requires_grad || this.gamma.requires_grad || this.beta.requires_grad;
+        // Нормализация идет по последнему измерению; все ведущие измерения - это "строки"
+        const cols = x.shape[x.shape.length - 1];
+        const rows = x.size / cols;
+        const requires_grad = needs_grad(x, this.gamma, this.beta);
 
+        const backend = get_backend();
         const result_data = new Float32Array(x.size);
         // Сохраняем промежуточные значения для backward pass
-        const mean = new Float32Array(rows);
-        const variance = new Float32Array(rows);
         const x_normalized = new Float32Array(x.size);
-
-        for(let i = 0; i < rows; i++) {
-            const offset = i * cols;
-            let sum = 0;
-            for(let j = 0; j < cols; j++) sum += x.data[offset + j];
-            mean[i] = sum / cols;
-
-            let sum_sq_diff = 0;
-            for(let j = 0; j < cols; j++) sum_sq_diff += Math.pow(x.data[offset + j] - mean[i], 2);
-            variance[i] = sum_sq_diff / cols;
-
-            const std_dev_inv = 1.0 / Math.sqrt(variance[i] + this.eps);
-            for(let j = 0; j < cols; j++) {
-                const normalized = (x.data[offset + j] - mean[i]) * std_dev_inv;
-                x_normalized[offset + j] = normalized;
-                result_data[offset + j] = normalized * this.gamma.data[j] + this.beta.data[j];
-            }
-        }
+        const rstd = new Float64Array(rows); // 1 / sqrt(дисперсия + eps) каждой строки
+        backend.layernorm(result_data, x_normalized, rstd, x.data, this.gamma.data, this.beta.data, rows, cols, this.eps);
         
         const result = new Tensor(result_data, x.shape, requires_grad);
         
@@ -176,47 +402,12 @@ class LayerNorm extends Layer {
             result._ctx = {
                 inputs: [x, this.gamma, this.beta],
                 backward: (upstream_grad) => {
-                    const C = this.feature_dim;
-
-                    for (let i = 0; i < rows; i++) {
-                        const offset = i * C;
-                        const std_inv = 1.0 / Math.sqrt(variance[i] + this.eps);
-                        
-                        let d_norm_sum = 0;
-                        let d_norm_x_norm_sum = 0;
-
-                        for (let j = 0; j < C; j++) {
-                            const grad_idx = offset + j;
-                            const upstream = upstream_grad.data[grad_idx];
-                            const x_norm_val = x_normalized[grad_idx];
-                            
-                            // Градиент для gamma
-                            if (this.gamma.requires_grad) {
-                                this.gamma.grad.data[j] += upstream * x_norm_val;
-                            }
-                            // Градиент для beta
-                            if (this.beta.requires_grad) {
-                                this.beta.grad.data[j] += upstream;
-                            }
-
-                            // Промежуточные суммы для градиента x
-                            const d_norm = this.gamma.data[j] * upstream;
-                            d_norm_sum += d_norm;
-                            d_norm_x_norm_sum += d_norm * x_norm_val;
-                        }
-
-                        // Градиент для x
-                        if (x.requires_grad) {
-                            for (let j = 0; j < C; j++) {
-                                const grad_idx = offset + j;
-                                const d_norm = this.gamma.data[j] * upstream_grad.data[grad_idx];
-                                const x_norm_val = x_normalized[grad_idx];
-                                
-                                let dx = C * d_norm - d_norm_sum - x_norm_val * d_norm_x_norm_sum;
-                                x.grad.data[grad_idx] += (std_inv / C) * dx;
-                            }
-                        }
-                    }
+                    backend.layernorm_backward(
+                        x.requires_grad ? x.grad_data() : null,
+                        this.gamma.requires_grad ? this.gamma.grad_data() : null,
+                        this.beta.requires_grad ? this.beta.grad_data() : null,
+                        x_normalized, rstd, this.gamma.data, upstream_grad.data, rows, cols
+                    );
                 }
             };
         }
@@ -225,91 +416,241 @@ class LayerNorm extends Layer {
 }
 
 class MultiHeadAttention extends Layer {
-    constructor(embedding_dim, num_heads) {
+    /**
+     * @param {number} embedding_dim
+     * @param {number} num_heads
+     * @param {object} [options]
+     * @param {RNG} [options.rng=default_rng] - Генератор для инициализации весов и масок dropout.
+     * @param {number} [options.attn_dropout=0] - Dropout весов внимания (после softmax).
+     * @param {number} [options.resid_dropout=0] - Dropout выхода внимания (перед остаточной связью).
+     * @param {boolean} [options.rotary=false] - Поворачивать запросы и ключи RoPE (см. Ops.rotary_embedding).
+     * @param {number} [options.rotary_base=10000] - Основание частот RoPE.
+     */
+    constructor(embedding_dim, num_heads, options = {}) {
         super();
+        const { rng = default_rng, attn_dropout = 0, resid_dropout = 0, rotary = false, rotary_base = 10000 } = options;
         if (embedding_dim % num_heads !== 0) throw new Error("embedding_dim должен делиться на num_heads.");
         this.embedding_dim = embedding_dim;
         this.num_heads = num_heads;
         this.head_dim = embedding_dim / num_heads;
-
-        this.wq = new DenseLayer(embedding_dim, embedding_dim, false);
-        this.wk = new DenseLayer(embedding_dim, embedding_dim, false);
-        this.wv = new DenseLayer(embedding_dim, embedding_dim, false);
-        this.wo = new DenseLayer(embedding_dim, embedding_dim, false);
+        if (rotary && this.head_dim % 2 !== 0) {
+            throw new Error(`Для RoPE размер головы (embedding_dim / num_heads) должен быть четным, получено ${this.head_dim}.`);
+        }
+        this.rotary = rotary;
+        this.rotary_base = rotary_base;
+
+        this.wq = new DenseLayer(embedding_dim, embedding_dim, false, rng);
+        this.wk = new DenseLayer(embedding_dim, embedding_dim, false, rng);
+        this.wv = new DenseLayer(embedding_dim, embedding_dim, false, rng);
+        this.wo = new DenseLayer(embedding_dim, embedding_dim, false, rng);
+        this.attn_dropout = new Dropout(attn_dropout, rng);
+        this.resid_dropout = new Dropout(resid_dropout, rng);
+
+        // Запись весов внимания последнего прохода (см. record_attention): тензор [batch_size, num_heads, seq_len, seq_len]
+        this.record_attention = false;
+        this.attention_weights = null;
     }
 
+    /**
+     * @param {Tensor} x - Входы формы [batch_size, seq_len, embedding_dim].
+     * Внимание считается независимо для каждой последовательности батча.
+     * @returns {Tensor} - Выходы формы [batch_size, seq_len, embedding_dim].
+     */
     forward(x) {
-        const [seq_len, _] = x.shape;
+        const [batch_size, seq_len, _] = x.shape;
         
         const Q = this.wq.forward(x);
         const K = this.wk.forward(x);
         const V = this.wv.forward(x);
 
         // Манипуляции с формами для разделения на головы
-        const q_heads = Q.reshape([seq_len, this.num_heads, this.head_dim]);
-        const k_heads = K.reshape([seq_len, this.num_heads, this.head_dim]);
-        const v_heads = V.reshape([seq_len, this.num_heads, this.head_dim]);
+        const head_shape = [batch_size, seq_len, this.num_heads, this.head_dim];
+        let q_heads = Q.reshape(head_shape);
+        let k_heads = K.reshape(head_shape);
+        const v_heads = V.reshape(head_shape);
+        if (this.rotary) {
+            q_heads = Ops.rotary_embedding(q_heads, 0, this.rotary_base);
+            k_heads = Ops.rotary_embedding(k_heads, 0, this.rotary_base);
+        }
 
         const attention_outputs = [];
-        for (let h = 0; h < this.num_heads; h++) {
-            // "Вырезаем" данные для одной головы. Это "глупые" операции без графа.
-            const q = this._get_head(q_heads, h);
-            const k = this._get_head(k_heads, h);
-            const v = this._get_head(v_heads, h);
-
-            let scores = q.dot(k.transpose());
-            scores = scores.mul(new Tensor([1.0 / Math.sqrt(this.head_dim)]));
-
-            for(let i = 0; i < seq_len; i++) {
-                for(let j = i + 1; j < seq_len; j++) {
-                    scores.data[i * seq_len + j] = -Infinity;
-                }
+        const recorded = this.record_attention ? new Float32Array(batch_size * this.num_heads * seq_len * seq_len) : null;
+        // Масштаб 1 / sqrt(head_dim) - один тензор на все головы
+        const scale = new Tensor([1.0 / Math.sqrt(this.head_dim)]);
+        for (let b = 0; b < batch_size; b++) {
+            for (let h = 0; h < this.num_heads; h++) {
+                // "Вырезаем" данные для одной головы одной последовательности. Каждый срез - узел графа.
+                const q = this._get_head(q_heads, b, h);
+                const k = this._get_head(k_heads, b, h);
+                const v = this._get_head(v_heads, b, h);
+
+                let scores = q.dot(k.transpose());
+                scores = scores.mul(scale);
+                scores = Ops.causal_mask(scores);
+                
+                const probabilities = Ops.softmax(scores);
+                // Записываются веса до dropout - то, что модель "хочет" видеть
+                if (recorded) recorded.set(probabilities.data, (b * this.num_heads + h) * seq_len * seq_len);
+                const attention_weights = this.attn_dropout.forward(probabilities);
+                attention_outputs.push(attention_weights.dot(v));
             }
-            
-            const attention_weights = Ops.softmax(scores);
-            attention_outputs.push(attention_weights.dot(v));
         }
+        if (recorded) this.attention_weights = new Tensor(recorded, [batch_size, this.num_heads, seq_len, seq_len]);
 
-        // ИСПРАВЛЕНИЕ: Правильно объединяем головы для корректного графа
-        const combined = this._combine_heads(attention_outputs, seq_len);
+        const combined = this._combine_heads(attention_outputs, batch_size, seq_len);
         
-        return this.wo.forward(combined);
+        return this.resid_dropout.forward(this.wo.forward(combined));
     }
     
-    _get_head(tensor_3d, head_index) {
-        const [seq_len, num_heads, head_dim] = tensor_3d.shape;
+    /**
+     * Инкрементальный проход для генерации: ключи и значения новых позиций дописываются
+     * в кэш слоя, а запросы новых позиций смотрят на все закэшированные позиции.
+     * Каждый новый токен стоит O(длина кэша) вместо пересчета всего контекста.
+     * Граф вычислений внутри внимания не строится и dropout не применяется - путь предназначен только для вывода.
+     * При записи внимания attention_weights получает форму [batch_size, num_heads, new_len, past_len + new_len]:
+     * строки - новые позиции, столбцы - все позиции кэша. С RoPE в кэш пишутся уже повернутые ключи.
+     * @param {Tensor} x - Входы новых позиций формы [batch_size, new_len, embedding_dim].
+     * @param {object} layer_cache - Кэш этого слоя из KVCache.layers.
+     * @returns {Tensor} - Выходы формы [batch_size, new_len, embedding_dim].
+     */
+    forward_cached(x, layer_cache) {
+        const [batch_size, new_len, _] = x.shape;
+        const { keys, values, capacity } = layer_cache;
+        const past_len = layer_cache.length;
+        if (batch_size !== layer_cache.batch_size) {
+            throw new Error(`Размер батча ${batch_size} не совпадает с кэшем (${layer_cache.batch_size}).`);
+        }
+        if (past_len + new_len > capacity) {
+            throw new Error(`KV-кэш переполнен: ${past_len} + ${new_len} позиций при емкости ${capacity}.`);
+        }
+
+        const C = this.embedding_dim;
+        let Q = this.wq.forward(x);
+        let K = this.wk.forward(x);
+        const V = this.wv.forward(x);
+        if (this.rotary) {
+            // Новые позиции продолжают закэшированные: их номера начинаются с past_len
+            const head_shape = [batch_size, new_len, this.num_heads, this.head_dim];
+            Q = Ops.rotary_embedding(Q.reshape(head_shape), past_len, this.rotary_base);
+            K = Ops.rotary_embedding(K.reshape(head_shape), past_len, this.rotary_base);
+        }
+
+        // Дописываем ключи и значения новых позиций: кэш имеет форму [batch_size, capacity, C]
+        for (let b = 0; b < batch_size; b++) {
+            const src = b * new_len * C;
+            const dst = (b * capacity + past_len) * C;
+            keys.set(K.data.subarray(src, src + new_len * C), dst);
+            values.set(V.data.subarray(src, src + new_len * C), dst);
+        }
+
+        const scale = 1.0 / Math.sqrt(this.head_dim);
+        const total_len = past_len + new_len;
+        const combined_data = new Float32Array(batch_size * new_len * C);
+        const scores = new Float32Array(total_len);
+        const recorded = this.record_attention ? new Float32Array(batch_size * this.num_heads * new_len * total_len) : null;
+        for (let b = 0; b < batch_size; b++) {
+            const cache_offset = b * capacity * C;
+            for (let i = 0; i < new_len; i++) {
+                const q_offset = (b * new_len + i) * C;
+                const visible = past_len + i + 1; // Причинная маска: видны только позиции до текущей включительно
+                for (let h = 0; h < this.num_heads; h++) {
+                    const head_offset = h * this.head_dim;
+                    let max_score = -Infinity;
+                    for (let j = 0; j < visible; j++) {
+                        let dot = 0;
+                        const k_offset = cache_offset + j * C + head_offset;
+                        for (let d = 0; d < this.head_dim; d++) {
+                            dot += Q.data[q_offset + head_offset + d] * keys[k_offset + d];
+                        }
+                        scores[j] = dot * scale;
+                        if (scores[j] > max_score) max_score = scores[j];
+                    }
+                    let sum_exp = 0;
+                    for (let j = 0; j < visible; j++) {
+                        scores[j] = Math.exp(scores[j] - max_score);
+                        sum_exp += scores[j];
+                    }
+                    const row_offset = ((b * this.num_heads + h) * new_len + i) * total_len;
+                    for (let j = 0; j < visible; j++) {
+                        const weight = scores[j] / sum_exp;
+                        if (recorded) recorded[row_offset + j] = weight;
+                        const v_offset = cache_offset + j * C + head_offset;
+                        for (let d = 0; d < this.head_dim; d++) {
+                            combined_data[q_offset + head_offset + d] += weight * values[v_offset + d];
+                        }
+                    }
+                }
+            }
+        }
+        layer_cache.length = total_len;
+        if (recorded) this.attention_weights = new Tensor(recorded, [batch_size, this.num_heads, new_len, total_len]);
+
+        return this.wo.forward(new Tensor(combined_data, [batch_size, new_len, C]));
+    }
+
+    _get_head(tensor_4d, batch_index, head_index) {
+        const [_, seq_len, num_heads, head_dim] = tensor_4d.shape;
+        const batch_offset = batch_index * seq_len * num_heads * head_dim;
         const head_data = new Float32Array(seq_len * head_dim);
         for (let i = 0; i < seq_len; i++) {
             for (let j = 0; j < head_dim; j++) {
-                head_data[i * head_dim + j] = tensor_3d.data[i * num_heads * head_dim + head_index * head_dim + j];
+                head_data[i * head_dim + j] = tensor_4d.data[batch_offset + i * num_heads * head_dim + head_index * head_dim + j];
             }
         }
-        return new Tensor(head_data, [seq_len, head_dim]);
+        const requires_grad = needs_grad(tensor_4d);
+        const result = new Tensor(head_data, [seq_len, head_dim], requires_grad);
+
+        if (requires_grad) {
+            result._ctx = {
+                inputs: [tensor_4d],
+                backward: (upstream_grad) => {
+                    // Возвращаем градиент головы на ее место в общем тензоре
+                    const grad = tensor_4d.grad_data();
+                    for (let i = 0; i < seq_len; i++) {
+                        for (let j = 0; j < head_dim; j++) {
+                            grad[batch_offset + i * num_heads * head_dim + head_index * head_dim + j] += upstream_grad.data[i * head_dim + j];
+                        }
+                    }
+                }
+            };
+        }
+        return result;
     }
 
-    _combine_heads(heads_list, seq_len) {
-        const combined_data = new Float32Array(seq_len * this.embedding_dim);
-        for (let i = 0; i < seq_len; i++) {
+    /**
+     * Собирает выходы голов обратно в тензор [batch_size, seq_len, embedding_dim].
+     * @param {Tensor[]} heads_list - Выходы голов в порядке (последовательность, голова).
+     */
+    _combine_heads(heads_list, batch_size, seq_len) {
+        const C = this.embedding_dim;
+        const combined_data = new Float32Array(batch_size * seq_len * C);
+        for (let b = 0; b < batch_size; b++) {
             for (let h = 0; h < this.num_heads; h++) {
-                const head_data = heads_list[h].data;
-                for (let j = 0; j < this.head_dim; j++) {
-                    combined_data[i * this.embedding_dim + h * this.head_dim + j] = head_data[i * this.head_dim + j];
+                const head_data = heads_list[b * this.num_heads + h].data;
+                for (let i = 0; i < seq_len; i++) {
+                    for (let j = 0; j < this.head_dim; j++) {
+                        combined_data[(b * seq_len + i) * C + h * this.head_dim + j] = head_data[i * this.head_dim + j];
+                    }
                 }
             }
         }
         
-        const requires_grad = heads_list.some(h => h.requires_grad);
-        const result = new Tensor(combined_data, [seq_len, this.embedding_dim], requires_grad);
+        const requires_grad = needs_grad(...heads_list);
+        const result = new Tensor(combined_data, [batch_size, seq_len, C], requires_grad);
         
         if (requires_grad) {
             result._ctx = {
                 inputs: heads_list,
                 backward: (upstream_grad) => {
-                    for (let h = 0; h < this.num_heads; h++) {
-                        const head_grad_tensor = heads_list[h].grad;
-                        for (let i = 0; i < seq_len; i++) {
-                            for (let j = 0; j < this.head_dim; j++) {
-                                head_grad_tensor.data[i * this.head_dim + j] += upstream_grad.data[i * this.embedding_dim + h * this.head_dim + j];
+                    for (let b = 0; b < batch_size; b++) {
+                        for (let h = 0; h < this.num_heads; h++) {
+                            const head = heads_list[b * this.num_heads + h];
+                            if (!head.requires_grad) continue;
+                            const grad = head.grad_data();
+                            for (let i = 0; i < seq_len; i++) {
+                                for (let j = 0; j < this.head_dim; j++) {
+                                    grad[i * this.head_dim + j] += upstream_grad.data[(b * seq_len + i) * C + h * this.head_dim + j];
+                                }
                             }
                         }
                     }
@@ -320,41 +661,196 @@ class MultiHeadAttention extends Layer {
     }
 }
 
+// Слои активаций по имени (опция activation у FeedForward и TransformerBlock)
+const ACTIVATIONS = {
+    relu: () => new ReLU(),
+    gelu: () => new GELU(),
+    gelu_tanh: () => new GELU({ approximate: true }),
+    silu: () => new SiLU(),
+    tanh: () => new Tanh(),
+    sigmoid: () => new Sigmoid(),
+    leaky_relu: () => new LeakyReLU()
+};
+
+// Управляемые (gated) варианты и активация их ворот
+const GATED_ACTIVATIONS = {
+    swiglu: 'silu',
+    geglu: 'gelu',
+    reglu: 'relu'
+};
+
+/**
+ * Полносвязная часть блока трансформера: Dense -> активация -> Dense.
+ * Управляемые варианты (swiglu, geglu, reglu) считают down(act(gate(x)) * up(x)), как в LLaMA и PaLM;
+ * у них три матрицы вместо двух, поэтому скрытый слой обычно берут меньше (hidden_multiplier = 8 / 3).
+ */
 class FeedForward extends Layer {
-    constructor(embedding_dim, hidden_dim) {
+    /**
+     * @param {number} embedding_dim
+     * @param {number|null} [hidden_dim=null] - Размер скрытого слоя; null - embedding_dim * options.hidden_multiplier.
+     * @param {object} [options]
+     * @param {RNG} [options.rng=default_rng] - Генератор для инициализации весов.
+     * @param {string} [options.activation='relu'] - relu, gelu, gelu_tanh, silu, tanh, sigmoid, leaky_relu
+     *   или управляемый вариант: swiglu, geglu, reglu.
+     * @param {number} [options.hidden_multiplier=4] - Во сколько раз скрытый слой шире embedding_dim.
+     */
+    constructor(embedding_dim, hidden_dim = null, options = {}) {
         super();
-        this.net = new Sequential([
-            new DenseLayer(embedding_dim, hidden_dim),
-            new ReLU(),
-            new DenseLayer(hidden_dim, embedding_dim)
-        ]);
+        const { rng = default_rng, activation = 'relu', hidden_multiplier = 4 } = options;
+        const gate_activation = GATED_ACTIVATIONS[activation];
+        if (!ACTIVATIONS[activation] && !gate_activation) {
+            const names = [...Object.keys(ACTIVATIONS), ...Object.keys(GATED_ACTIVATIONS)];
+            throw new Error(`Неизвестная активация: ${activation}. Доступны: ${names.join(', ')}.`);
+        }
+        const hidden = hidden_dim ?? Math.round(embedding_dim * hidden_multiplier);
+        this.activation = activation;
+        if (gate_activation) {
+            this.gate = new DenseLayer(embedding_dim, hidden, true, rng);
+            this.up = new DenseLayer(embedding_dim, hidden, true, rng);
+            this.act = ACTIVATIONS[gate_activation]();
+            this.down = new DenseLayer(hidden, embedding_dim, true, rng);
+        } else {
+            this.net = new Sequential([
+                new DenseLayer(embedding_dim, hidden, true, rng),
+                ACTIVATIONS[activation](),
+                new DenseLayer(hidden, embedding_dim, true, rng)
+            ]);
+        }
     }
 
     forward(x) {
-        return this.net.forward(x);
+        if (this.net) {
+            return this.net.forward(x);
+        }
+        return this.down.forward(this.act.forward(this.gate.forward(x)).mul(this.up.forward(x)));
     }
 }
 
 class TransformerBlock extends Layer {
-    constructor(embedding_dim, num_heads) {
+    /**
+     * @param {number} embedding_dim
+     * @param {number} num_heads
+     * @param {object} [options]
+     * @param {RNG} [options.rng=default_rng] - Генератор для инициализации весов и масок dropout.
+     * @param {number} [options.attn_dropout=0] - Dropout весов внимания.
+     * @param {number} [options.resid_dropout=0] - Dropout выходов внимания и FeedForward перед остаточными связями.
+     * @param {string} [options.activation='relu'] - Активация FeedForward (см. FeedForward).
+     * @param {number} [options.hidden_multiplier=4] - Ширина скрытого слоя FeedForward относительно embedding_dim.
+     * @param {boolean} [options.rotary=false] - RoPE в слое внимания.
+     * @param {number} [options.rotary_base=10000] - Основание частот RoPE.
+     */
+    constructor(embedding_dim, num_heads, options = {}) {
         super();
-        this.attention = new MultiHeadAttention(embedding_dim, num_heads);
-        this.ffn = new FeedForward(embedding_dim, embedding_dim * 4);
+        const { rng = default_rng, attn_dropout = 0, resid_dropout = 0, activation = 'relu', hidden_multiplier = 4, rotary = false, rotary_base = 10000 } = options;
+        this.attention = new MultiHeadAttention(embedding_dim, num_heads, { rng, attn_dropout, resid_dropout, rotary, rotary_base });
+        this.ffn = new FeedForward(embedding_dim, null, { rng, activation, hidden_multiplier });
+        this.ffn_dropout = new Dropout(resid_dropout, rng);
         this.ln1 = new LayerNorm(embedding_dim);
         this.ln2 = new LayerNorm(embedding_dim);
     }
 
-    forward(x) {
+    /**
+     * @param {Tensor} x - Входы формы [batch_size, seq_len, embedding_dim].
+     * @param {object} [layer_cache=null] - Кэш слоя из KVCache.layers; если передан,
+     *   внимание считается инкрементально (см. MultiHeadAttention.forward_cached).
+     */
+    forward(x, layer_cache = null) {
         const norm_x1 = this.ln1.forward(x);
-        const attention_output = this.attention.forward(norm_x1);
+        const attention_output = layer_cache
+            ? this.attention.forward_cached(norm_x1, layer_cache)
+            : this.attention.forward(norm_x1);
         const x1 = x.add(attention_output);
 
         const norm_x2 = this.ln2.forward(x1);
-        const ffn_output = this.ffn.forward(norm_x2);
+        const ffn_output = this.ffn_dropout.forward(this.ffn.forward(norm_x2));
         const x2 = x1.add(ffn_output);
         
         return x2;
     }
 }
 
-export { Layer, DenseLayer, Sequential, ReLU, Sigmoid, EmbeddingLayer, LayerNorm, MultiHeadAttention, FeedForward, TransformerBlock };
\ No newline at end of file
+/**
+ * Кэш ключей и значений внимания для инкрементальной генерации.
+ * Для каждого слоя хранит буферы формы [batch_size, capacity, embedding_dim].
+ */
+class KVCache {
+    /**
+     * @param {number} num_layers - Количество слоев внимания (TransformerBlock).
+     * @param {number} batch_size - Количество параллельно генерируемых последовательностей.
+     * @param {number} capacity - Максимальное число позиций (обычно block_size).
+     * @param {number} embedding_dim
+     */
+    constructor(num_layers, batch_size, capacity, embedding_dim) {
+        this.batch_size = batch_size;
+        this.capacity = capacity;
+        this.embedding_dim = embedding_dim;
+        this.tokens_seen = 0; // Сколько токенов контекста уже учтено (используется моделью при переполнении)
+        this.layers = Array.from({ length: num_layers }, () => ({
+            keys: new Float32Array(batch_size * capacity * embedding_dim),
+            values: new Float32Array(batch_size * capacity * embedding_dim),
+            length: 0,
+            batch_size,
+            capacity
+        }));
+    }
+
+    /** Количество закэшированных позиций. */
+    get length() {
+        return this.layers.length > 0 ? this.layers[0].length : 0;
+    }
+
+    /** Очищает кэш (буферы не обнуляются - они перезаписываются по мере заполнения). */
+    reset() {
+        this.tokens_seen = 0;
+        for (const layer of this.layers) layer.length = 0;
+    }
+
+    /**
+     * Переставляет строки батча: строка b получает содержимое строки indices[b].
+     * Нужно, например, для лучевого поиска, когда лучи меняются местами.
+     * @param {number[]} indices
+     */
+    reorder(indices) {
+        const row = this.capacity * this.embedding_dim;
+        for (const layer of this.layers) {
+            const keys = new Float32Array(layer.keys.length);
+            const values = new Float32Array(layer.values.length);
+            indices.forEach((src, dst) => {
+                keys.set(layer.keys.subarray(src * row, (src + 1) * row), dst * row);
+                values.set(layer.values.subarray(src * row, (src + 1) * row), dst * row);
+            });
+            layer.keys = keys;
+            layer.values = values;
+        }
+    }
+}
+
+/**
+ * Включает (или выключает) запись весов внимания во всех слоях MultiHeadAttention модели.
+ * После каждого прохода веса доступны через attention_maps(model).
+ * @param {Layer} model
+ * @param {boolean} [enabled=true]
+ */
+function record_attention(model, enabled = true) {
+    for (const layer of attentionLayers(model)) {
+        layer.record_attention = enabled;
+        if (!enabled) layer.attention_weights = null;
+    }
+}
+
+/**
+ * Веса внимания последнего прохода - по одному элементу на слой MultiHeadAttention
+ * (в порядке обхода модели, то есть по порядку TransformerBlock).
+ * @param {Layer} model
+ * @returns {Array<Tensor|null>} - Тензоры [batch_size, num_heads, запросы, ключи]; null, если слой еще не записал веса.
+ */
+function attention_maps(model) {
+    return attentionLayers(model).map(layer => layer.attention_weights);
+}
+
+function attentionLayers(layer) {
+    if (layer instanceof MultiHeadAttention) return [layer];
+    return layer.children().flatMap(attentionLayers);
+}
+
+export { Layer, DenseLayer, Sequential, ReLU, Sigmoid, Tanh, GELU, SiLU, LeakyReLU, Dropout, EmbeddingLayer, SinusoidalPositionalEncoding, LayerNorm, MultiHeadAttention, FeedForward, TransformerBlock, KVCache, record_attention, attention_maps };
\ No newline at end of file
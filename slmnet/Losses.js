@@ -3,18 +3,23 @@
  * @description slmnetGPT v2.0 - Функции потерь.
  */
 
-import { Tensor } from './Tensor.js';
+import { Tensor, needs_grad } from './Tensor.js';
 import { Ops } from './Ops.js';
 
 /**
  * Вычисляет ошибку перекрестной энтропии.
  * Более стабильная версия, которая объединяет LogSoftmax и NLLLoss.
- * @param {Tensor} logits - "Сырые" выходы модели. Форма [batch_size * seq_len, vocab_size].
+ * Ошибка усредняется по всем batch_size * seq_len токенам.
+ * @param {Tensor} logits - "Сырые" выходы модели. Форма [batch_size, seq_len, vocab_size] или [batch_size * seq_len, vocab_size].
  * @param {Tensor} targets - Целевые ID. Форма [batch_size * seq_len].
  * @returns {Tensor} - Скалярный тензор ошибки.
  */
 function cross_entropy_loss(logits, targets) {
     const batch_size = targets.size;
+    const vocab_size = logits.shape[logits.shape.length - 1];
+    if (logits.size !== batch_size * vocab_size) {
+        throw new Error(`Число логитов [${logits.shape}] не соответствует числу целевых токенов (${batch_size}).`);
+    }
     
     // 1. Применяем Softmax к логитам
     const probs = Ops.softmax(logits);
@@ -24,12 +29,13 @@ function cross_entropy_loss(logits, targets) {
     for(let i = 0; i < batch_size; i++) {
         const target_id = targets.data[i];
         // Добавляем epsilon для стабильности, чтобы избежать log(0)
-        const prob = Math.max(probs.data[i * probs.shape[1] + target_id], 1e-9); 
+        const prob = Math.max(probs.data[i * vocab_size + target_id], 1e-9); 
         correct_log_probs_data[i] = -Math.log(prob);
     }
 
     // 3. Создаем тензор из этих значений
-    const neg_log_likelihood = new Tensor(correct_log_probs_data, [batch_size, 1], logits.requires_grad);
+    const requires_grad = needs_grad(logits);
+    const neg_log_likelihood = new Tensor(correct_log_probs_data, [batch_size, 1], requires_grad);
     
     // 4. Усредняем ошибку
     const loss = neg_log_likelihood.sum().mul(new Tensor([1.0 / batch_size]));
@@ -37,7 +43,7 @@ function cross_entropy_loss(logits, targets) {
     // --- Создаем контекст для обратного прохода ---
     // Производная CrossEntropy+Softmax очень проста: (probs - Y) / N
     // где Y - one-hot вектор правильных ответов.
-    if (logits.requires_grad) {
+    if (requires_grad) {
         loss._ctx = {
             inputs: [logits, targets],
             backward: (upstream_grad) => {
@@ -48,12 +54,13 @@ function cross_entropy_loss(logits, targets) {
                     // Вычитаем 1 из вероятностей для правильных классов
                     for(let i = 0; i < batch_size; i++) {
                         const target_id = targets.data[i];
-                        grad_data[i * probs.shape[1] + target_id] -= 1;
+                        grad_data[i * vocab_size + target_id] -= 1;
                     }
                     
                     // Усредняем градиент и домножаем на upstream_grad
+                    const logits_grad = logits.grad_data();
                     for(let i = 0; i < grad_data.length; i++) {
-                        logits.grad.data[i] += (grad_data[i] / batch_size) * upstream_grad.data[0];
+                        logits_grad[i] += (grad_data[i] / batch_size) * upstream_grad.data[0];
                     }
                 }
             }
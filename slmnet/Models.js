@@ -0,0 +1,208 @@
+/**
+ * @file slmnet/Models.js
+ * @description slmnetGPT v2.0 - Готовые модели: языковая модель GPT (декодер трансформера).
+ */
+
+import { Tensor } from './Tensor.js';
+import { Layer, EmbeddingLayer, SinusoidalPositionalEncoding, Dropout, LayerNorm, DenseLayer, Sequential, TransformerBlock, KVCache } from './Layers.js';
+import { default_rng } from './Random.js';
+
+// Обязательные поля конфигурации GPTModel
+const REQUIRED_FIELDS = ['block_size', 'embedding_dim', 'num_heads', 'num_layers'];
+
+/**
+ * Значения необязательных полей конфигурации GPTModel. Они совпадают с архитектурой
+ * чекпоинтов, сохраненных до появления этих полей.
+ */
+const GPT_DEFAULTS = {
+    attn_dropout: 0,              // Dropout весов внимания
+    resid_dropout: 0,             // Dropout эмбеддингов и выходов подслоев перед остаточными связями
+    ffn_activation: 'relu',       // Активация FeedForward (см. FeedForward)
+    ffn_multiplier: 4,            // Ширина скрытого слоя FeedForward относительно embedding_dim
+    position_encoding: 'learned', // 'learned', 'sinusoidal' или 'rope'
+    rotary_base: 10000,           // Основание частот RoPE (при position_encoding 'rope')
+    tie_weights: false,           // Выходной слой использует транспонированную таблицу token_embedding
+    final_norm: true,             // LayerNorm перед выходным слоем
+    output_bias: true             // Смещение выходного слоя
+};
+
+/**
+ * Языковая модель GPT: эмбеддинги токенов и позиций, стек TransformerBlock,
+ * финальная нормализация и выходной слой, дающий логиты следующего токена.
+ *
+ *   const model = new slmnet.models.GPTModel(tokenizer.vocab_size, { block_size: 64, embedding_dim: 64, num_heads: 4, num_layers: 4 });
+ *   const copy = slmnet.models.GPTModel.from_config(JSON.parse(JSON.stringify(model.config)));
+ */
+class GPTModel extends Layer {
+    /**
+     * @param {number} vocab_size
+     * @param {object} config - Поля REQUIRED_FIELDS и необязательные поля GPT_DEFAULTS; остальные поля
+     *   (например, параметры обучения) игнорируются.
+     * @param {RNG} [rng=default_rng] - Генератор для инициализации весов и масок dropout.
+     */
+    constructor(vocab_size, config, rng = default_rng) {
+        super();
+        const missing = REQUIRED_FIELDS.filter(key => !(config[key] > 0));
+        if (missing.length > 0) {
+            throw new Error(`В конфигурации модели нет обязательных полей: ${missing.join(', ')}.`);
+        }
+        // Конфигурация модели - простой объект, пригодный для JSON (см. from_config)
+        this.config = { vocab_size };
+        for (const key of [...REQUIRED_FIELDS, ...Object.keys(GPT_DEFAULTS)]) {
+            this.config[key] = config[key] ?? GPT_DEFAULTS[key];
+        }
+        const { block_size, embedding_dim, num_heads, num_layers, position_encoding } = this.config;
+
+        this.token_embedding = new EmbeddingLayer(vocab_size, embedding_dim, rng);
+        if (position_encoding === 'learned') {
+            this.position_embedding = new EmbeddingLayer(block_size, embedding_dim, rng);
+        } else if (position_encoding === 'sinusoidal') {
+            this.sinusoidal_encoding = new SinusoidalPositionalEncoding(embedding_dim);
+        } else if (position_encoding !== 'rope') {
+            throw new Error(`Неизвестная позиционная кодировка: ${position_encoding}. Доступны: learned, sinusoidal, rope.`);
+        }
+        this.embedding_dropout = new Dropout(this.config.resid_dropout, rng);
+        const block_options = {
+            rng,
+            attn_dropout: this.config.attn_dropout,
+            resid_dropout: this.config.resid_dropout,
+            activation: this.config.ffn_activation,
+            hidden_multiplier: this.config.ffn_multiplier,
+            rotary: position_encoding === 'rope',
+            rotary_base: this.config.rotary_base
+        };
+        this.blocks = new Sequential(
+            Array.from({ length: num_layers }, () => new TransformerBlock(embedding_dim, num_heads, block_options))
+        );
+        this.final_ln = this.config.final_norm ? new LayerNorm(embedding_dim) : null;
+        if (this.config.tie_weights) {
+            // Веса выхода - таблица token_embedding (EmbeddingLayer.attend), отдельно хранится только смещение
+            this.output_head = null;
+            this.output_bias = this.config.output_bias ? Tensor.zeros([1, vocab_size], true) : null;
+        } else {
+            this.output_head = new DenseLayer(embedding_dim, vocab_size, this.config.output_bias, rng);
+        }
+    }
+
+    /**
+     * Создает модель по конфигурации, в которой есть vocab_size (например, по model.config).
+     * @param {object} config
+     * @param {RNG} [rng=default_rng]
+     * @returns {GPTModel}
+     */
+    static from_config(config, rng = default_rng) {
+        if (!(config.vocab_size > 0)) {
+            throw new Error("В конфигурации модели нет поля vocab_size.");
+        }
+        return new GPTModel(config.vocab_size, config, rng);
+    }
+
+    // idx: [batch_size, seq_len] -> логиты [batch_size, seq_len, vocab_size]
+    // При переданном cache idx содержит только новые позиции, продолжающие закэшированные.
+    // С синусоидальными кодировками и RoPE последовательность может быть длиннее block_size.
+    forward(idx, cache = null) {
+        const [_, seq_len] = idx.shape;
+        const offset = cache ? cache.length : 0;
+        let x = this.token_embedding.forward(idx);
+        if (this.position_embedding) {
+            if (offset + seq_len > this.config.block_size) {
+                throw new Error(`Позиций ${offset + seq_len} больше block_size (${this.config.block_size}): обучаемые позиционные эмбеддинги есть только для первых block_size позиций.`);
+            }
+            const pos_ids = new Tensor(Float32Array.from({length: seq_len}, (_, i) => offset + i), [1, seq_len]);
+            // [1, seq_len, C] вещается на все последовательности батча
+            x = x.add(this.position_embedding.forward(pos_ids));
+        } else if (this.sinusoidal_encoding) {
+            x = this.sinusoidal_encoding.forward(x, offset);
+        }
+        x = this.embedding_dropout.forward(x);
+        if (cache) {
+            this.blocks.layers.forEach((block, l) => { x = block.forward(x, cache.layers[l]); });
+        } else {
+            x = this.blocks.forward(x);
+        }
+        if (this.final_ln) x = this.final_ln.forward(x);
+        return this.output_head ? this.output_head.forward(x) : this.token_embedding.attend(x, this.output_bias);
+    }
+
+    /**
+     * Создает KV-кэш для инкрементальной генерации.
+     * @param {number} [batch_size=1]
+     * @returns {KVCache}
+     */
+    create_cache(batch_size = 1) {
+        return new KVCache(this.config.num_layers, batch_size, this.config.block_size, this.config.embedding_dim);
+    }
+
+    /**
+     * Логиты следующего токена для каждой последовательности. Через кэш прогоняются
+     * только токены, добавленные с прошлого вызова. Когда кэш заполняется, он
+     * перезаполняется последними block_size / 2 токенами с позиций 0.., и логиты совпадают с полным
+     * проходом по этому окну. Просто сдвинуть окно нельзя ни при какой позиционной кодировке: ключи и
+     * значения слоев выше первого вычислены с вниманием к токенам, выпадающим из окна. У выученных и
+     * синусоидальных позиций ключи к тому же зависят от номера позиции (у RoPE скалярные произведения
+     * зависят только от разности позиций). Перезаполнение случается лишь раз в block_size / 2 шагов.
+     * @param {number[][]} contexts - Полные контексты (по одному на строку батча, одинаковой длины).
+     * @param {KVCache} cache - Кэш, созданный create_cache() для этих контекстов.
+     * @returns {Tensor} - Логиты формы [batch_size, vocab_size].
+     */
+    next_token_logits(contexts, cache) {
+        const total = contexts[0].length;
+        let new_count = total - cache.tokens_seen;
+        if (new_count <= 0) {
+            throw new Error("Контекст не содержит новых токенов относительно KV-кэша.");
+        }
+        if (cache.length + new_count > cache.capacity) {
+            cache.reset();
+            new_count = Math.min(total, cache.capacity, Math.max(new_count, Math.ceil(cache.capacity / 2)));
+        }
+        const ids = contexts.flatMap(context => context.slice(total - new_count));
+        const logits = this.forward(new Tensor(ids, [contexts.length, new_count]), cache);
+        cache.tokens_seen = total;
+
+        // Оставляем только последнюю позицию каждой последовательности
+        const vocab_size = logits.shape[2];
+        const last = new Float32Array(contexts.length * vocab_size);
+        for (let b = 0; b < contexts.length; b++) {
+            const offset = (b * new_count + new_count - 1) * vocab_size;
+            last.set(logits.data.subarray(offset, offset + vocab_size), b * vocab_size);
+        }
+        return new Tensor(last, [contexts.length, vocab_size]);
+    }
+
+    /**
+     * Количество обучаемых параметров (общие веса при tie_weights учитываются один раз).
+     * @returns {number}
+     */
+    num_parameters() {
+        return this.parameters().reduce((sum, param) => sum + param.size, 0);
+    }
+
+    /**
+     * Таблица параметров по модулям: путь, тип, формы и количество параметров каждого слоя,
+     * у которого есть собственные параметры, и итог.
+     * @param {function(string): void} [print=console.log] - Куда вывести таблицу.
+     * @returns {string} - Текст таблицы.
+     */
+    summary(print = console.log) {
+        const rows = [['Модуль', 'Тип', 'Формы', 'Параметров']];
+        for (const [path, module] of this.named_modules()) {
+            const own = Object.entries(module).filter(([_, prop]) => prop instanceof Tensor && prop.requires_grad);
+            if (own.length === 0) continue;
+            // Собственные параметры самой модели (смещение связанного выхода) подписываются именами полей
+            const name = path || own.map(([key]) => key).join(', ');
+            const shapes = own.map(([_, param]) => `[${param.shape.join(', ')}]`).join(' ');
+            const count = own.reduce((sum, [_, param]) => sum + param.size, 0);
+            rows.push([name, module.constructor.name, shapes, String(count)]);
+        }
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+        const lines = rows.map(row => row.map((cell, column) => column === 3 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])).join('  '));
+        lines.splice(1, 0, '-'.repeat(lines[0].length));
+        lines.push(`Всего параметров: ${this.num_parameters()}` +
+            (this.config.tie_weights ? ' (выходной слой использует веса token_embedding)' : ''));
+        const text = lines.join('\n');
+        print(text);
+        return text;
+    }
+}
+
+export { GPTModel, GPT_DEFAULTS };
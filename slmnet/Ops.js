@@ -5,118 +5,312 @@
  * и вычисления градиентов.
  */
 
-import { Tensor } from './Tensor.js';
+import { Tensor, needs_grad } from './Tensor.js';
+import { get_backend } from './Backend.js';
 
-const Ops = {
+// --- Вспомогательные функции вещания (broadcasting) и редукций ---
 
-    add: (a, b) => {
-        const requires_grad = a.requires_grad || b.requires_grad;
-        let resultData;
-        let resultShape = a.shape;
+/**
+ * Превращает число в скалярный тензор, тензоры возвращает как есть.
+ * @param {Tensor|number} x
+ * @returns {Tensor}
+ */
+function asTensor(x) {
+    return x instanceof Tensor ? x : new Tensor([x], [1]);
+}
+
+function sameShape(shapeA, shapeB) {
+    if (shapeA.length !== shapeB.length) return false;
+    for (let i = 0; i < shapeA.length; i++) {
+        if (shapeA[i] !== shapeB[i]) return false;
+    }
+    return true;
+}
 
-        // Случай 1: Поэлементное сложение
-        if (JSON.stringify(a.shape) === JSON.stringify(b.shape)) {
-            resultData = a.data.map((val, i) => val + b.data[i]);
+/**
+ * Вычисляет итоговую форму по правилам вещания NumPy:
+ * формы выравниваются по правому краю, измерение 1 растягивается до любого размера.
+ * @param {number[]} shapeA
+ * @param {number[]} shapeB
+ * @returns {number[]}
+ */
+function broadcastShapes(shapeA, shapeB) {
+    const ndim = Math.max(shapeA.length, shapeB.length);
+    const result = new Array(ndim);
+    for (let i = 0; i < ndim; i++) {
+        const dimA = shapeA[shapeA.length - ndim + i] ?? 1;
+        const dimB = shapeB[shapeB.length - ndim + i] ?? 1;
+        if (dimA !== dimB && dimA !== 1 && dimB !== 1) {
+            throw new Error(`Формы тензоров [${shapeA}] и [${shapeB}] несовместимы для вещания.`);
         }
-        // Случай 2: Вещание (Broadcasting) для смещений (bias)
-        // a - матрица (N, M), b - вектор-строка (1, M)
-        else if (a.shape.length === 2 && b.shape.length === 2 && b.shape[0] === 1 && a.shape[1] === b.shape[1]) {
-            const [rowsA, colsA] = a.shape;
-            resultData = new Float32Array(a.size);
-            for (let i = 0; i < rowsA; i++) {
-                for (let j = 0; j < colsA; j++) {
-                    resultData[i * colsA + j] = a.data[i * colsA + j] + b.data[j];
-                }
-            }
-        } else {
-            throw new Error(`Формы тензоров [${a.shape}] и [${b.shape}] несовместимы для сложения (поддерживается только вещание смещений).`);
+        result[i] = dimA === 1 ? dimB : dimA;
+    }
+    return result;
+}
+
+/**
+ * Строит таблицу: для каждого элемента тензора формы outShape - индекс
+ * соответствующего элемента в тензоре формы shape, который на него вещается.
+ * Возвращает null, если формы совпадают (индексы тождественны).
+ * @param {number[]} shape
+ * @param {number[]} outShape
+ * @returns {Int32Array|null}
+ */
+function broadcastIndex(shape, outShape) {
+    if (sameShape(shape, outShape)) return null;
+
+    const ndim = outShape.length;
+    const offset = ndim - shape.length;
+    const size = outShape.reduce((a, b) => a * b, 1);
+    const index = new Int32Array(size);
+
+    // Шаги по измерениям исходного тензора; 0 - для растягиваемых измерений
+    const strides = new Array(ndim).fill(0);
+    let stride = 1;
+    for (let d = shape.length - 1; d >= 0; d--) {
+        strides[offset + d] = shape[d] === 1 ? 0 : stride;
+        stride *= shape[d];
+    }
+
+    const counter = new Array(ndim).fill(0);
+    let position = 0;
+    for (let i = 0; i < size; i++) {
+        index[i] = position;
+        for (let d = ndim - 1; d >= 0; d--) {
+            counter[d]++;
+            position += strides[d];
+            if (counter[d] < outShape[d]) break;
+            position -= strides[d] * outShape[d];
+            counter[d] = 0;
         }
+    }
+    return index;
+}
 
-        const result = new Tensor(resultData, resultShape, requires_grad);
+/**
+ * Общая реализация поэлементной бинарной операции с вещанием.
+ * Градиенты по вещаемым измерениям суммируются автоматически.
+ * @param {Tensor|number} a
+ * @param {Tensor|number} b
+ * @param {'add'|'sub'|'mul'|'div'} op - Прямое вычисление (ядро Backend.binary).
+ * @param {function(number, number, number): number} grad_a - d(fn)/da по (a, b, результат).
+ * @param {function(number, number, number): number} grad_b - d(fn)/db по (a, b, результат).
+ * @returns {Tensor}
+ */
+function elementwise(a, b, op, grad_a, grad_b) {
+    a = asTensor(a);
+    b = asTensor(b);
+    const requires_grad = needs_grad(a, b);
+    // Частый случай - одинаковые формы: без вычисления формы вещания и таблиц индексов
+    const same = sameShape(a.shape, b.shape);
+    const resultShape = same ? a.shape : broadcastShapes(a.shape, b.shape);
+    const indexA = same ? null : broadcastIndex(a.shape, resultShape);
+    const indexB = same ? null : broadcastIndex(b.shape, resultShape);
 
-        if (requires_grad) {
-            result._ctx = {
-                inputs: [a, b],
-                backward: (upstream_grad) => {
-                    if (a.requires_grad) {
-                        // Градиент по 'a' равен входящему градиенту
-                        for (let i = 0; i < a.grad.data.length; i++) {
-                            a.grad.data[i] += upstream_grad.data[i];
-                        }
-                    }
-                    if (b.requires_grad) {
-                        // Если было вещание, градиент по 'b' нужно просуммировать
-                        if(a.shape.length === 2 && b.shape.length === 2 && b.shape[0] === 1) {
-                            const [rowsA, colsA] = a.shape;
-                            for (let j = 0; j < colsA; j++) {
-                                let sum = 0;
-                                for (let i = 0; i < rowsA; i++) {
-                                    sum += upstream_grad.data[i * colsA + j];
-                                }
-                                b.grad.data[j] += sum;
-                            }
-                        } else {
-                             // Если формы совпадали, градиент по 'b' равен входящему градиенту
-                             for (let i = 0; i < b.grad.data.length; i++) {
-                                b.grad.data[i] += upstream_grad.data[i];
-                            }
-                        }
-                    }
+    const size = resultShape.reduce((x, y) => x * y, 1);
+    const resultData = new Float32Array(size);
+    get_backend().binary(op, resultData, a.data, b.data, indexA, indexB);
+    const result = new Tensor(resultData, resultShape, requires_grad);
+
+    if (requires_grad) {
+        result._ctx = {
+            inputs: [a, b],
+            backward: (upstream_grad) => {
+                const a_grad = a.requires_grad ? a.grad_data() : null;
+                const b_grad = b.requires_grad ? b.grad_data() : null;
+                for (let i = 0; i < size; i++) {
+                    const ia = indexA ? indexA[i] : i;
+                    const ib = indexB ? indexB[i] : i;
+                    const g = upstream_grad.data[i];
+                    if (a_grad) a_grad[ia] += grad_a(a.data[ia], b.data[ib], resultData[i]) * g;
+                    if (b_grad) b_grad[ib] += grad_b(a.data[ia], b.data[ib], resultData[i]) * g;
                 }
-            };
+            }
+        };
+    }
+    return result;
+}
+
+/**
+ * Общая реализация поэлементной унарной операции (ядра Backend.unary и Backend.unary_backward).
+ * @param {Tensor} a
+ * @param {string} op - Имя функции (см. Backend.unary).
+ * @param {number} [param] - Параметр функции (показатель степени, наклон).
+ * @returns {Tensor}
+ */
+function unary(a, op, param) {
+    const requires_grad = needs_grad(a);
+    const backend = get_backend();
+    const resultData = new Float32Array(a.size);
+    backend.unary(op, resultData, a.data, param);
+    const result = new Tensor(resultData, a.shape, requires_grad);
+
+    if (requires_grad) {
+        result._ctx = {
+            inputs: [a],
+            backward: (upstream_grad) => {
+                backend.unary_backward(op, a.grad_data(), a.data, resultData, upstream_grad.data, param);
+            }
+        };
+    }
+    return result;
+}
+
+// --- Позиционные кодировки ---
+
+// Углы поворота RoPE: для позиции p и пары i угол p * base^(-2i / head_dim); таблицы [seq_len, head_dim / 2]
+function rotaryAngles(seq_len, head_dim, offset, base) {
+    const half = head_dim / 2;
+    const cos = new Float64Array(seq_len * half);
+    const sin = new Float64Array(seq_len * half);
+    for (let t = 0; t < seq_len; t++) {
+        for (let i = 0; i < half; i++) {
+            const angle = (offset + t) * Math.pow(base, -2 * i / head_dim);
+            cos[t * half + i] = Math.cos(angle);
+            sin[t * half + i] = Math.sin(angle);
         }
-        return result;
-    },
+    }
+    return { cos, sin };
+}
+
+/**
+ * Разбирает аргументы редукции.
+ * @param {number[]} shape - Форма исходного тензора.
+ * @param {number|number[]|null} axis - Ось (или оси); null - все оси. Допустимы отрицательные значения.
+ * @param {boolean} keepdims - Сохранять ли свернутые оси с размером 1.
+ * @returns {{keptShape: number[], resultShape: number[], index: Int32Array|null}}
+ *   keptShape - форма результата с сохраненными осями,
+ *   index - для каждого элемента исходного тензора индекс элемента результата.
+ */
+function reduction(shape, axis, keepdims) {
+    const ndim = shape.length;
+    const axes = axis === null || axis === undefined
+        ? shape.map((_, i) => i)
+        : (Array.isArray(axis) ? axis : [axis]).map(ax => {
+            const normalized = ax < 0 ? ax + ndim : ax;
+            if (normalized < 0 || normalized >= ndim) {
+                throw new Error(`Ось ${ax} вне диапазона для тензора формы [${shape}].`);
+            }
+            return normalized;
+        });
+
+    const keptShape = shape.map((dim, i) => axes.includes(i) ? 1 : dim);
+    let resultShape = keepdims ? keptShape : shape.filter((_, i) => !axes.includes(i));
+    if (resultShape.length === 0) resultShape = [1];
+
+    return { keptShape, resultShape, index: broadcastIndex(keptShape, shape) };
+}
+
+const Ops = {
+
+    add: (a, b) => elementwise(a, b, 'add',
+        () => 1,
+        () => 1
+    ),
 
-    mul: (a, b) => {
-        const requires_grad = a.requires_grad || b.requires_grad;
-        let resultData;
-        let resultShape = a.shape;
+    sub: (a, b) => elementwise(a, b, 'sub',
+        () => 1,
+        () => -1
+    ),
 
-        // Поэлементное умножение
-        if (JSON.stringify(a.shape) === JSON.stringify(b.shape)) {
-            resultData = a.data.map((val, i) => val * b.data[i]);
+    mul: (a, b) => elementwise(a, b, 'mul',
+        (x, y) => y,
+        (x) => x
+    ),
+
+    div: (a, b) => elementwise(a, b, 'div',
+        (x, y) => 1 / y,
+        (x, y) => -x / (y * y)
+    ),
+
+    neg: (a) => unary(a, 'neg'),
+
+    exp: (a) => unary(a, 'exp'),
+
+    log: (a) => unary(a, 'log'),
+
+    sqrt: (a) => unary(a, 'sqrt'),
+
+    tanh: (a) => unary(a, 'tanh'),
+
+    pow: (a, n) => unary(a, 'pow', n),
+
+    relu: (a) => unary(a, 'relu'),
+
+    sigmoid: (a) => unary(a, 'sigmoid'),
+
+    /**
+     * GELU: x * Phi(x), где Phi - функция распределения стандартного нормального закона.
+     * @param {Tensor} a
+     * @param {boolean} [approximate=false] - Приближение через tanh (как в GPT-2) вместо точной формулы.
+     */
+    gelu: (a, approximate = false) => unary(a, approximate ? 'gelu_tanh' : 'gelu'),
+
+    // SiLU (swish): x * sigmoid(x)
+    silu: (a) => unary(a, 'silu'),
+
+    // Leaky ReLU: x при x > 0, иначе negative_slope * x
+    leaky_relu: (a, negative_slope = 0.01) => unary(a, 'leaky_relu', negative_slope),
+
+    dot: (a, b) => {
+        if (a.shape.length !== 2 || b.shape.length !== 2) {
+            throw new Error('Матричное умножение поддерживается только для 2D-тензоров.');
+        }
+        if (a.shape[1] !== b.shape[0]) {
+            throw new Error(`Несовместимые формы для матричного умножения: [${a.shape}] и [${b.shape}].`);
         }
-        // Умножение на скаляр (b - скаляр)
-        else if (b.size === 1) {
-            const scalar = b.data[0];
-            resultData = a.data.map(val => val * scalar);
+        return Ops.linear(a, b);
+    },
+
+    /**
+     * Полносвязное преобразование x.dot(weight) + bias одним проходом (без промежуточного тензора
+     * произведения и без таблицы индексов вещания для смещения).
+     * @param {Tensor} x - Входы формы [rows, in_features].
+     * @param {Tensor} weight - Веса формы [in_features, out_features] (при transpose_weight - [out_features, in_features]).
+     * @param {Tensor|null} [bias=null] - Смещение из out_features элементов (например, формы [1, out_features]).
+     * @param {boolean} [transpose_weight=false] - Умножать на weight^T (например, на таблицу эмбеддингов
+     *   при связанных весах); транспонирование задается шагами, без копирования весов.
+     * @returns {Tensor} - Результат формы [rows, out_features].
+     */
+    linear: (x, weight, bias = null, transpose_weight = false) => {
+        const in_features = weight.shape[transpose_weight ? 1 : 0];
+        if (x.shape.length !== 2 || weight.shape.length !== 2 || x.shape[1] !== in_features) {
+            throw new Error(`Несовместимые формы для линейного преобразования: [${x.shape}] и [${weight.shape}]${transpose_weight ? ' (транспонированные веса)' : ''}.`);
         }
-        // Умножение на скаляр (a - скаляр)
-        else if (a.size === 1) {
-            const scalar = a.data[0];
-            resultData = b.data.map(val => val * scalar);
-            resultShape = b.shape;
-        } else {
-             throw new Error(`Формы тензоров [${a.shape}] и [${b.shape}] несовместимы для умножения.`);
+        const [M, K] = x.shape;
+        const N = weight.shape[transpose_weight ? 0 : 1];
+        if (bias && bias.size !== N) {
+            throw new Error(`Смещение из ${bias.size} элементов не подходит к ${N} выходам.`);
         }
+        // Шаги весов: W(k, j) = weight.data[k * w_row + j * w_col]
+        const [w_row, w_col] = transpose_weight ? [1, K] : [N, 1];
 
-        const result = new Tensor(resultData, resultShape, requires_grad);
+        const requires_grad = needs_grad(x, weight, bias);
+        const resultData = new Float32Array(M * N);
+        if (bias) {
+            for (let i = 0; i < M; i++) resultData.set(bias.data, i * N);
+        }
+        const backend = get_backend();
+        backend.matmul(resultData, x.data, K, 1, weight.data, w_row, w_col, M, K, N);
+        const result = new Tensor(resultData, [M, N], requires_grad);
 
         if (requires_grad) {
             result._ctx = {
-                inputs: [a, b],
+                inputs: bias ? [x, weight, bias] : [x, weight],
                 backward: (upstream_grad) => {
-                    if (a.requires_grad) {
-                        if (a.size === b.size) { // Поэлементное
-                            for (let i = 0; i < a.grad.data.length; i++) {
-                                a.grad.data[i] += b.data[i] * upstream_grad.data[i];
-                            }
-                        } else if (b.size === 1) { // a - тензор, b - скаляр
-                            for (let i = 0; i < a.grad.data.length; i++) {
-                                a.grad.data[i] += b.data[0] * upstream_grad.data[i];
-                            }
-                        }
+                    // grad_x = upstream_grad.dot(W^T), grad_W = x^T.dot(upstream_grad) (при transpose_weight
+                    // копится его транспонированная форма upstream_grad^T.dot(x)): транспонирование задается шагами
+                    if (x.requires_grad) backend.matmul(x.grad_data(), upstream_grad.data, N, 1, weight.data, w_col, w_row, M, N, K);
+                    if (weight.requires_grad) {
+                        if (transpose_weight) backend.matmul(weight.grad_data(), upstream_grad.data, 1, N, x.data, K, 1, N, M, K);
+                        else backend.matmul(weight.grad_data(), x.data, 1, K, upstream_grad.data, N, 1, K, M, N);
                     }
-                    if (b.requires_grad) {
-                         if (a.size === b.size) { // Поэлементное
-                            for (let i = 0; i < b.grad.data.length; i++) {
-                                b.grad.data[i] += a.data[i] * upstream_grad.data[i];
-                            }
-                        } else if (a.size === 1) { // b - тензор, a - скаляр
-                            for (let i = 0; i < b.grad.data.length; i++) {
-                               b.grad.data[i] += a.data[0] * upstream_grad.data[i];
-                            }
+                    if (bias && bias.requires_grad) {
+                        const g = upstream_grad.data;
+                        const bias_grad = bias.grad_data();
+                        for (let i = 0; i < M; i++) {
+                            const row = i * N;
+                            for (let j = 0; j < N; j++) bias_grad[j] += g[row + j];
                         }
                     }
                 }
@@ -125,19 +319,31 @@ const Ops = {
         return result;
     },
 
-    pow: (a, n) => {
-        const requires_grad = a.requires_grad;
-        const resultData = a.data.map(val => Math.pow(val, n));
-        const result = new Tensor(resultData, a.shape, requires_grad);
+    /**
+     * Сумма элементов по осям.
+     * @param {Tensor} a
+     * @param {number|number[]|null} [axis=null] - null - сумма всех элементов (результат формы [1]).
+     * @param {boolean} [keepdims=false]
+     */
+    sum: (a, axis = null, keepdims = false) => {
+        const requires_grad = needs_grad(a);
+        const { resultShape, index } = reduction(a.shape, axis, keepdims);
+        const resultData = new Float32Array(resultShape.reduce((x, y) => x * y, 1));
+        for (let i = 0; i < a.size; i++) {
+            resultData[index ? index[i] : i] += a.data[i];
+        }
+        const result = new Tensor(resultData, resultShape, requires_grad);
 
         if (requires_grad) {
             result._ctx = {
                 inputs: [a],
                 backward: (upstream_grad) => {
+                    // Градиент суммы - это 1, поэтому каждый элемент получает
+                    // входящий градиент той ячейки результата, в которую он был просуммирован.
                     if (a.requires_grad) {
-                        for (let i = 0; i < a.grad.data.length; i++) {
-                            // d/dx(x^n) = n * x^(n-1)
-                            a.grad.data[i] += (n * Math.pow(a.data[i], n - 1)) * upstream_grad.data[i];
+                        const a_grad = a.grad_data();
+                        for (let i = 0; i < a_grad.length; i++) {
+                            a_grad[i] += upstream_grad.data[index ? index[i] : i];
                         }
                     }
                 }
@@ -146,19 +352,41 @@ const Ops = {
         return result;
     },
 
-    relu: (a) => {
-        const requires_grad = a.requires_grad;
-        const resultData = a.data.map(val => Math.max(0, val));
-        const result = new Tensor(resultData, a.shape, requires_grad);
+    /**
+     * Среднее значение по осям. Аргументы как у Ops.sum.
+     */
+    mean: (a, axis = null, keepdims = false) => {
+        const total = Ops.sum(a, axis, keepdims);
+        return Ops.mul(total, 1 / (a.size / total.size));
+    },
+
+    /**
+     * Максимум по осям. Градиент получает только первый максимальный элемент.
+     * Аргументы как у Ops.sum.
+     */
+    max: (a, axis = null, keepdims = false) => {
+        const requires_grad = needs_grad(a);
+        const { resultShape, index } = reduction(a.shape, axis, keepdims);
+        const resultSize = resultShape.reduce((x, y) => x * y, 1);
+        const resultData = new Float32Array(resultSize).fill(-Infinity);
+        const argmax = new Int32Array(resultSize).fill(-1);
+        for (let i = 0; i < a.size; i++) {
+            const j = index ? index[i] : i;
+            if (a.data[i] > resultData[j] || argmax[j] === -1) {
+                resultData[j] = a.data[i];
+                argmax[j] = i;
+            }
+        }
+        const result = new Tensor(resultData, resultShape, requires_grad);
 
         if (requires_grad) {
             result._ctx = {
                 inputs: [a],
                 backward: (upstream_grad) => {
                     if (a.requires_grad) {
-                        for (let i = 0; i < a.grad.data.length; i++) {
-                            // Производная ReLU: 1 если x > 0, иначе 0
-                            a.grad.data[i] += (a.data[i] > 0 ? 1 : 0) * upstream_grad.data[i];
+                        const a_grad = a.grad_data();
+                        for (let j = 0; j < resultSize; j++) {
+                            a_grad[argmax[j]] += upstream_grad.data[j];
                         }
                     }
                 }
@@ -166,86 +394,51 @@ const Ops = {
         }
         return result;
     },
-    
-    sigmoid: (a) => {
-        const requires_grad = a.requires_grad;
-        const resultData = a.data.map(val => 1 / (1 + Math.exp(-val)));
+
+    softmax: (a) => {
+        const requires_grad = needs_grad(a);
+        // Softmax считается по последнему измерению; все ведущие измерения - это "строки"
+        const cols = a.shape[a.shape.length - 1];
+        const rows = a.size / cols;
+        const backend = get_backend();
+        const resultData = new Float32Array(a.size);
+        backend.softmax(resultData, a.data, rows, cols);
         const result = new Tensor(resultData, a.shape, requires_grad);
 
         if (requires_grad) {
             result._ctx = {
                 inputs: [a],
                 backward: (upstream_grad) => {
-                    if (a.requires_grad) {
-                        for (let i = 0; i < a.grad.data.length; i++) {
-                            // Производная сигмоиды: s(x) * (1 - s(x))
-                            const s = result.data[i];
-                            a.grad.data[i] += (s * (1 - s)) * upstream_grad.data[i];
-                        }
-                    }
+                    if (a.requires_grad) backend.softmax_backward(a.grad_data(), resultData, upstream_grad.data, rows, cols);
                 }
             };
         }
         return result;
     },
 
-    dot: (a, b) => {
-        if (a.shape.length !== 2 || b.shape.length !== 2) {
-            throw new Error('Матричное умножение поддерживается только для 2D-тензоров.');
-        }
-        if (a.shape[1] !== b.shape[0]) {
-            throw new Error(`Несовместимые формы для матричного умножения: [${a.shape}] и [${b.shape}].`);
-        }
+    transpose: (a) => {
+        if (a.shape.length !== 2) throw new Error("Транспонирование поддерживается только для 2D тензоров");
 
-        const requires_grad = a.requires_grad || b.requires_grad;
-        const [rowsA, colsA] = a.shape;
-        const [rowsB, colsB] = b.shape;
-        const resultShape = [rowsA, colsB];
-        const resultData = new Float32Array(rowsA * colsB).fill(0);
-
-        // Прямой проход: стандартное матричное умножение
-        for (let i = 0; i < rowsA; i++) {
-            for (let j = 0; j < colsB; j++) {
-                for (let k = 0; k < colsA; k++) {
-                    resultData[i * colsB + j] += a.data[i * colsA + k] * b.data[k * colsB + j];
-                }
+        const requires_grad = needs_grad(a);
+        const [rows, cols] = a.shape;
+        const transposedData = new Float32Array(rows * cols);
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                transposedData[j * rows + i] = a.data[i * cols + j];
             }
         }
-        const result = new Tensor(resultData, resultShape, requires_grad);
-        
+        const result = new Tensor(transposedData, [cols, rows], requires_grad);
+
         if (requires_grad) {
             result._ctx = {
-                inputs: [a, b],
+                inputs: [a],
                 backward: (upstream_grad) => {
-                    const [rowsA_ctx, colsA_ctx] = a.shape;
-                    const [rowsB_ctx, colsB_ctx] = b.shape;
-
-                    // Вычисление градиента для 'a'
                     if (a.requires_grad) {
-                        // Формула: grad_A = upstream_grad.dot(B^T)
-                        for (let i = 0; i < rowsA_ctx; i++) {
-                            for (let j = 0; j < colsA_ctx; j++) {
-                                let sum = 0;
-                                for (let k = 0; k < colsB_ctx; k++) {
-                                    // upstream_grad[i, k] * b[j, k] (B транспонированная)
-                                    sum += upstream_grad.data[i * colsB_ctx + k] * b.data[j * colsB_ctx + k];
-                                }
-                                a.grad.data[i * colsA_ctx + j] += sum;
-                            }
-                        }
-                    }
-
-                    // Вычисление градиента для 'b'
-                    if (b.requires_grad) {
-                        // Формула: grad_B = A^T.dot(upstream_grad)
-                        for (let i = 0; i < rowsB_ctx; i++) {
-                            for (let j = 0; j < colsB_ctx; j++) {
-                                let sum = 0;
-                                for (let k = 0; k < rowsA_ctx; k++) {
-                                    // a[k, i] (A транспонированная) * upstream_grad[k, j]
-                                    sum += a.data[k * colsA_ctx + i] * upstream_grad.data[k * colsB_ctx + j];
-                                }
-                                b.grad.data[i * colsB_ctx + j] += sum;
+                        // Градиент транспонирования - транспонированный входящий градиент
+                        const a_grad = a.grad_data();
+                        for (let i = 0; i < rows; i++) {
+                            for (let j = 0; j < cols; j++) {
+                                a_grad[i * cols + j] += upstream_grad.data[j * rows + i];
                             }
                         }
                     }
@@ -254,22 +447,36 @@ const Ops = {
         }
         return result;
     },
-    
-    sum: (a) => {
-        const requires_grad = a.requires_grad;
-        const sumResult = a.data.reduce((acc, val) => acc + val, 0);
-        const result = new Tensor([sumResult], [1], requires_grad);
+
+    /**
+     * Причинная (causal) маска для квадратной матрицы оценок внимания:
+     * элементы выше главной диагонали (будущие позиции) заменяются на -Infinity.
+     * Градиент проходит только через незамаскированные элементы.
+     */
+    causal_mask: (a) => {
+        if (a.shape.length !== 2) throw new Error("Причинная маска поддерживается только для 2D тензоров.");
+
+        const requires_grad = needs_grad(a);
+        const [rows, cols] = a.shape;
+        const resultData = new Float32Array(a.data);
+        for (let i = 0; i < rows; i++) {
+            for (let j = i + 1; j < cols; j++) {
+                resultData[i * cols + j] = -Infinity;
+            }
+        }
+        const result = new Tensor(resultData, a.shape, requires_grad);
 
         if (requires_grad) {
             result._ctx = {
                 inputs: [a],
                 backward: (upstream_grad) => {
-                    // Градиент суммы - это 1, умноженная на входящий градиент.
-                    // Поэтому мы просто добавляем входящий градиент (скаляр) ко всем элементам
-                    // градиента исходного тензора.
                     if (a.requires_grad) {
-                        for (let i = 0; i < a.grad.data.length; i++) {
-                            a.grad.data[i] += upstream_grad.data[0];
+                        const a_grad = a.grad_data();
+                        for (let i = 0; i < rows; i++) {
+                            const limit = Math.min(i + 1, cols);
+                            for (let j = 0; j < limit; j++) {
+                                a_grad[i * cols + j] += upstream_grad.data[i * cols + j];
+                            }
                         }
                     }
                 }
@@ -278,47 +485,50 @@ const Ops = {
         return result;
     },
 
-    softmax: (a) => {
-        const requires_grad = a.requires_grad;
-
-        if (a.shape.length !== 2) throw new Error("Softmax пока реализован только для 2D тензоров.");
-        const [rows, cols] = a.shape;
-        const resultData = new Float32Array(a.size);
+    /**
+     * Вращательные позиционные эмбеддинги (RoPE, Su et al., 2021) для запросов и ключей внимания.
+     * Соседние пары (2i, 2i + 1) вектора головы в позиции p поворачиваются на угол p * base^(-2i / head_dim),
+     * поэтому скалярное произведение запроса и ключа зависит только от расстояния между их позициями.
+     * Поворот ортогонален: градиент - обратный поворот входящего градиента.
+     * @param {Tensor} a - Тензор формы [batch_size, seq_len, num_heads, head_dim] с четным head_dim.
+     * @param {number} [offset=0] - Позиция первого элемента последовательности (для KV-кэша).
+     * @param {number} [base=10000] - Основание частот.
+     */
+    rotary_embedding: (a, offset = 0, base = 10000) => {
+        if (a.shape.length !== 4) throw new Error("RoPE применяется к тензорам формы [batch_size, seq_len, num_heads, head_dim].");
+        const [batch_size, seq_len, num_heads, head_dim] = a.shape;
+        if (head_dim % 2 !== 0) throw new Error(`Для RoPE размер головы должен быть четным, получено ${head_dim}.`);
 
-        for (let i = 0; i < rows; i++) {
-            const row_offset = i * cols;
-            // Стабилизация: вычитаем максимум из каждой строки для предотвращения переполнения
-            let max_val = -Infinity;
-            for (let j = 0; j < cols; j++) {
-                if (a.data[row_offset + j] > max_val) {
-                    max_val = a.data[row_offset + j];
+        const requires_grad = needs_grad(a);
+        const half = head_dim / 2;
+        const { cos, sin } = rotaryAngles(seq_len, head_dim, offset, base);
+        // sign = 1 - прямой поворот, -1 - обратный (для градиента)
+        const rotate = (out, x, sign) => {
+            for (let b = 0; b < batch_size; b++) {
+                for (let t = 0; t < seq_len; t++) {
+                    for (let h = 0; h < num_heads; h++) {
+                        const base_index = ((b * seq_len + t) * num_heads + h) * head_dim;
+                        for (let i = 0; i < half; i++) {
+                            const c = cos[t * half + i];
+                            const s = sign * sin[t * half + i];
+                            const x0 = x[base_index + 2 * i];
+                            const x1 = x[base_index + 2 * i + 1];
+                            out[base_index + 2 * i] += x0 * c - x1 * s;
+                            out[base_index + 2 * i + 1] += x0 * s + x1 * c;
+                        }
+                    }
                 }
             }
-
-            // Экспоненты и их сумма
-            let sum_exp = 0;
-            const exp_data_row = new Float32Array(cols);
-            for (let j = 0; j < cols; j++) {
-                const exp_val = Math.exp(a.data[row_offset + j] - max_val);
-                exp_data_row[j] = exp_val;
-                sum_exp += exp_val;
-            }
-
-            // Нормализация
-            for (let j = 0; j < cols; j++) {
-                resultData[row_offset + j] = exp_data_row[j] / sum_exp;
-            }
-        }
-        
+        };
+        const resultData = new Float32Array(a.size);
+        rotate(resultData, a.data, 1);
         const result = new Tensor(resultData, a.shape, requires_grad);
 
         if (requires_grad) {
-             result._ctx = {
+            result._ctx = {
                 inputs: [a],
                 backward: (upstream_grad) => {
-                    // Эта операция обычно последняя перед CrossEntropy,
-                    // градиент для которой вычисляется в самой функции потерь.
-                    // Для GPT-архитектуры полная реализация здесь не требуется.
+                    if (a.requires_grad) rotate(a.grad_data(), upstream_grad.data, -1);
                 }
             };
         }
@@ -328,27 +538,24 @@ const Ops = {
 
 // Добавляем операции в прототип Tensor для удобного вызова (a.add(b) вместо Ops.add(a, b))
 Tensor.prototype.add = function(other) { return Ops.add(this, other); };
+Tensor.prototype.sub = function(other) { return Ops.sub(this, other); };
 Tensor.prototype.mul = function(other) { return Ops.mul(this, other); };
+Tensor.prototype.div = function(other) { return Ops.div(this, other); };
+Tensor.prototype.neg = function() { return Ops.neg(this); };
+Tensor.prototype.exp = function() { return Ops.exp(this); };
+Tensor.prototype.log = function() { return Ops.log(this); };
+Tensor.prototype.sqrt = function() { return Ops.sqrt(this); };
+Tensor.prototype.tanh = function() { return Ops.tanh(this); };
 Tensor.prototype.pow = function(n) { return Ops.pow(this, n); };
 Tensor.prototype.relu = function() { return Ops.relu(this); };
 Tensor.prototype.sigmoid = function() { return Ops.sigmoid(this); };
+Tensor.prototype.gelu = function(approximate = false) { return Ops.gelu(this, approximate); };
+Tensor.prototype.silu = function() { return Ops.silu(this); };
+Tensor.prototype.leaky_relu = function(negative_slope = 0.01) { return Ops.leaky_relu(this, negative_slope); };
 Tensor.prototype.dot = function(other) { return Ops.dot(this, other); };
-Tensor.prototype.sum = function() { return Ops.sum(this); };
-
-// Транспонирование - это "глупая" операция, она не создает узел графа.
-// Она нужна как вспомогательная функция.
-Tensor.prototype.transpose = function() {
-    if (this.shape.length !== 2) throw new Error("Транспонирование поддерживается только для 2D тензоров");
-    
-    const [rows, cols] = this.shape;
-    const transposedData = new Float32Array(rows * cols);
-    for (let i = 0; i < rows; i++) {
-        for (let j = 0; j < cols; j++) {
-            transposedData[j * rows + i] = this.data[i * cols + j];
-        }
-    }
-    // Возвращаем новый тензор без контекста (_ctx)
-    return new Tensor(transposedData, [cols, rows]);
-};
+Tensor.prototype.sum = function(axis = null, keepdims = false) { return Ops.sum(this, axis, keepdims); };
+Tensor.prototype.mean = function(axis = null, keepdims = false) { return Ops.mean(this, axis, keepdims); };
+Tensor.prototype.max = function(axis = null, keepdims = false) { return Ops.max(this, axis, keepdims); };
+Tensor.prototype.transpose = function() { return Ops.transpose(this); };
 
 export { Ops };
\ No newline at end of file
@@ -1,15 +1,57 @@
 /**
  * @file slmnet/Optimizers.js
  * @description slmnetGPT v2.0 - Алгоритмы оптимизации для обучения моделей.
+ *
+ * Вместо списка параметров оптимизатору можно передать группы параметров со своими
+ * гиперпараметрами: [{ params: [...], weight_decay: 0 }, { params: [...], lr: 1e-4 }].
+ * Не заданные в группе значения берутся из аргументов конструктора.
  */
 
+import { LRScheduler } from './Schedulers.js';
+
 class Optimizer {
-    constructor(parameters, learning_rate) {
+    /**
+     * @param {Tensor[]|Array<{params: Tensor[]}>} parameters - Параметры или группы параметров.
+     * @param {number} learning_rate
+     * @param {object} [defaults] - Остальные гиперпараметры по умолчанию для всех групп.
+     */
+    constructor(parameters, learning_rate, defaults = {}) {
         if (parameters === undefined || learning_rate === undefined) {
             throw new Error("Необходимо предоставить 'parameters' и 'learning_rate'.");
         }
-        this.parameters = parameters;
-        this.lr = learning_rate;
+        this.defaults = { lr: learning_rate, weight_decay: 0, ...defaults };
+        const groups = parameters.length > 0 && parameters[0].params ? parameters : [{ params: parameters }];
+        this.param_groups = groups.map(group => ({ ...this.defaults, ...group, params: [...group.params] }));
+        // Плоский список всех параметров; в этом порядке сохраняются буферы состояния
+        this.parameters = this.param_groups.flatMap(group => group.params);
+        if (new Set(this.parameters).size !== this.parameters.length) {
+            throw new Error("Параметр не может входить в несколько групп оптимизатора.");
+        }
+        this.buffer_names = [];
+        this.scheduler = null; // Расписание скорости обучения (см. Schedulers.js), подключается через scheduler.attach(optimizer)
+    }
+
+    /**
+     * Скорость обучения первой группы. Присваивание задает одну скорость для всех групп.
+     */
+    get lr() {
+        return this.param_groups[0].lr;
+    }
+
+    set lr(value) {
+        for (const group of this.param_groups) group.lr = value;
+    }
+
+    /**
+     * Создает нулевые буферы состояния (по одному Float32Array на параметр), например this.m.
+     * Буферы с этими именами попадают в state_dict().
+     * @param {...string} names
+     */
+    _create_buffers(...names) {
+        for (const name of names) {
+            this[name] = new Map(this.parameters.map(p => [p, new Float32Array(p.size)]));
+            this.buffer_names.push(name);
+        }
     }
 
     step() {
@@ -23,18 +65,110 @@ class Optimizer {
             }
         }
     }
+
+    /**
+     * Состояние оптимизатора для сохранения в чекпоинт.
+     * Буферы параметров хранятся в порядке списка parameters.
+     * @returns {object}
+     */
+    state_dict() {
+        const state = {
+            lr: this.lr,
+            param_groups: this.param_groups.map(({ params, ...hyperparameters }) => ({ ...hyperparameters, size: params.length }))
+        };
+        for (const name of this.buffer_names) {
+            state[name] = this.parameters.map(p => this[name].get(p));
+        }
+        if (this.scheduler) state.scheduler = this.scheduler.state_dict();
+        return state;
+    }
+
+    /**
+     * Восстанавливает состояние, полученное из state_dict().
+     * Если в состоянии есть расписание, а к оптимизатору оно еще не подключено, оно создается заново.
+     * @param {object} state
+     */
+    load_state_dict(state) {
+        const name = this.constructor.name;
+        // Буферы, которых нет в состоянии (например, момент SGD из старых чекпоинтов), остаются нулевыми
+        const buffers = this.buffer_names.filter(buffer => buffer in state);
+        for (const buffer of buffers) {
+            if (state[buffer].length !== this.parameters.length) {
+                throw new Error(`Состояние ${name} рассчитано на ${state[buffer].length} параметров, а оптимизатор содержит ${this.parameters.length}.`);
+            }
+            this.parameters.forEach((p, i) => {
+                if (state[buffer][i].length !== p.size) {
+                    throw new Error(`Размер буферов ${name} для параметра #${i} не совпадает: ${state[buffer][i].length} вместо ${p.size}.`);
+                }
+            });
+        }
+
+        if (state.param_groups) {
+            if (state.param_groups.length !== this.param_groups.length) {
+                throw new Error(`Состояние ${name} содержит ${state.param_groups.length} групп параметров, а оптимизатор - ${this.param_groups.length}.`);
+            }
+            state.param_groups.forEach(({ size, ...hyperparameters }, i) => {
+                if (size !== this.param_groups[i].params.length) {
+                    throw new Error(`Группа параметров #${i} в состоянии ${name} содержит ${size} параметров вместо ${this.param_groups[i].params.length}.`);
+                }
+                Object.assign(this.param_groups[i], hyperparameters);
+            });
+        } else {
+            // Состояние без групп: гиперпараметры хранились на верхнем уровне и общие для всех параметров
+            for (const group of this.param_groups) {
+                for (const key of Object.keys(this.defaults)) {
+                    if (key in state) group[key] = state[key];
+                }
+            }
+        }
+
+        for (const buffer of buffers) {
+            this.parameters.forEach((p, i) => this[buffer].get(p).set(state[buffer][i]));
+        }
+        if (state.scheduler) {
+            if (!this.scheduler) LRScheduler.from_state_dict(state.scheduler).attach(this);
+            this.scheduler.load_state_dict(state.scheduler);
+        }
+    }
 }
 
+/**
+ * Стохастический градиентный спуск с моментом (в том числе Нестерова) и L2-регуляризацией.
+ */
 class SGD extends Optimizer {
-    constructor(parameters, learning_rate = 0.01) {
-        super(parameters, learning_rate);
+    /**
+     * @param {Tensor[]|object[]} parameters - Параметры или группы параметров.
+     * @param {number} [learning_rate=0.01]
+     * @param {object} [options]
+     * @param {number} [options.momentum=0]
+     * @param {number} [options.dampening=0] - Доля градиента, не попадающая в момент.
+     * @param {boolean} [options.nesterov=false] - Момент Нестерова (требует momentum > 0 и dampening = 0).
+     * @param {number} [options.weight_decay=0] - Коэффициент L2-регуляризации (добавляется к градиенту).
+     */
+    constructor(parameters, learning_rate = 0.01, options = {}) {
+        const { momentum = 0, dampening = 0, nesterov = false, weight_decay = 0 } = options;
+        super(parameters, learning_rate, { momentum, dampening, nesterov, weight_decay });
+        for (const group of this.param_groups) {
+            if (group.nesterov && (group.momentum <= 0 || group.dampening !== 0)) {
+                throw new Error("Момент Нестерова требует momentum > 0 и dampening = 0.");
+            }
+        }
+        this._create_buffers('momentum_buffer');
     }
 
     step() {
-        for (const p of this.parameters) {
-            if (p.grad) {
+        for (const group of this.param_groups) {
+            const { lr, momentum, dampening, nesterov, weight_decay } = group;
+            for (const p of group.params) {
+                if (!p.grad) continue;
+                const buffer = this.momentum_buffer.get(p);
                 for (let i = 0; i < p.data.length; i++) {
-                    p.data[i] -= this.lr * p.grad.data[i];
+                    let g = p.grad.data[i] + weight_decay * p.data[i];
+                    if (momentum !== 0) {
+                        buffer[i] = momentum * buffer[i] + (1 - dampening) * g;
+                        g = nesterov ? g + momentum * buffer[i] : buffer[i];
+                    }
+                    p.data[i] -= lr * g;
                 }
             }
         }
@@ -44,57 +178,219 @@ class SGD extends Optimizer {
 
 /**
  * НОВЫЙ ОПТИМИЗАТОР: Adam (Adaptive Moment Estimation)
+ * weight_decay здесь - классическая L2-регуляризация (добавляется к градиенту);
+ * отделенное затухание весов реализует AdamW.
  */
 class Adam extends Optimizer {
-    constructor(parameters, learning_rate = 0.001, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8) {
-        super(parameters, learning_rate);
-        this.beta1 = beta1;
-        this.beta2 = beta2;
-        this.epsilon = epsilon;
+    constructor(parameters, learning_rate = 0.001, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, weight_decay = 0) {
+        super(parameters, learning_rate, { beta1, beta2, epsilon, weight_decay });
+        this.decoupled_weight_decay = false;
         this.t = 0; // Счетчик шагов
 
-        // Инициализируем буферы для каждого параметра
-        this.m = new Map(); // Первый момент (скользящее среднее градиентов)
-        this.v = new Map(); // Второй момент (скользящее среднее квадратов градиентов)
-
-        for (const p of this.parameters) {
-            this.m.set(p, new Float32Array(p.size).fill(0));
-            this.v.set(p, new Float32Array(p.size).fill(0));
-        }
+        // Инициализируем буферы для каждого параметра:
+        // m - первый момент (скользящее среднее градиентов),
+        // v - второй момент (скользящее среднее квадратов градиентов)
+        this._create_buffers('m', 'v');
     }
 
     step() {
         this.t++;
 
-        for (const p of this.parameters) {
-            if (p.grad) {
+        for (const group of this.param_groups) {
+            const { lr, beta1, beta2, epsilon, weight_decay } = group;
+            // Коррекция смещения (bias correction)
+            const bias_correction1 = 1 - Math.pow(beta1, this.t);
+            const bias_correction2 = 1 - Math.pow(beta2, this.t);
+            const l2 = this.decoupled_weight_decay ? 0 : weight_decay;
+            const decay = this.decoupled_weight_decay ? 1 - lr * weight_decay : 1;
+
+            for (const p of group.params) {
+                if (!p.grad) continue;
                 const m_prev = this.m.get(p);
                 const v_prev = this.v.get(p);
                 const grad_data = p.grad.data;
 
                 for (let i = 0; i < p.data.length; i++) {
-                    const g = grad_data[i];
+                    const g = grad_data[i] + l2 * p.data[i];
 
                     // Обновляем первый момент (m)
-                    const m_t = this.beta1 * m_prev[i] + (1 - this.beta1) * g;
+                    const m_t = beta1 * m_prev[i] + (1 - beta1) * g;
                     m_prev[i] = m_t;
 
                     // Обновляем второй момент (v)
-                    const v_t = this.beta2 * v_prev[i] + (1 - this.beta2) * (g * g);
+                    const v_t = beta2 * v_prev[i] + (1 - beta2) * (g * g);
                     v_prev[i] = v_t;
-                    
-                    // Коррекция смещения (bias correction)
-                    const m_hat = m_t / (1 - Math.pow(this.beta1, this.t));
-                    const v_hat = v_t / (1 - Math.pow(this.beta2, this.t));
 
-                    // Обновляем параметр
-                    p.data[i] -= this.lr * m_hat / (Math.sqrt(v_hat) + this.epsilon);
+                    const m_hat = m_t / bias_correction1;
+                    const v_hat = v_t / bias_correction2;
+
+                    // Обновляем параметр (для AdamW веса сначала затухают)
+                    p.data[i] = p.data[i] * decay - lr * m_hat / (Math.sqrt(v_hat) + epsilon);
                 }
             }
         }
     }
+
+    state_dict() {
+        return { ...super.state_dict(), t: this.t };
+    }
+
+    load_state_dict(state) {
+        super.load_state_dict(state);
+        // Без счетчика шагов коррекция смещения начинается заново, как у нового оптимизатора
+        this.t = state.t ?? 0;
+    }
+}
+
+/**
+ * AdamW: Adam с отделенным затуханием весов (Loshchilov & Hutter).
+ * Веса умножаются на (1 - lr * weight_decay) независимо от адаптивного шага.
+ */
+class AdamW extends Adam {
+    constructor(parameters, learning_rate = 0.001, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, weight_decay = 0.01) {
+        super(parameters, learning_rate, beta1, beta2, epsilon, weight_decay);
+        this.decoupled_weight_decay = true;
+    }
+}
+
+/**
+ * RMSProp: шаг делится на корень скользящего среднего квадратов градиентов.
+ */
+class RMSProp extends Optimizer {
+    /**
+     * @param {Tensor[]|object[]} parameters - Параметры или группы параметров.
+     * @param {number} [learning_rate=0.01]
+     * @param {object} [options]
+     * @param {number} [options.alpha=0.99] - Коэффициент сглаживания среднего квадратов.
+     * @param {number} [options.epsilon=1e-8]
+     * @param {number} [options.momentum=0]
+     * @param {number} [options.weight_decay=0] - Коэффициент L2-регуляризации.
+     */
+    constructor(parameters, learning_rate = 0.01, options = {}) {
+        const { alpha = 0.99, epsilon = 1e-8, momentum = 0, weight_decay = 0 } = options;
+        super(parameters, learning_rate, { alpha, epsilon, momentum, weight_decay });
+        this._create_buffers('square_avg', 'momentum_buffer');
+    }
+
+    step() {
+        for (const group of this.param_groups) {
+            const { lr, alpha, epsilon, momentum, weight_decay } = group;
+            for (const p of group.params) {
+                if (!p.grad) continue;
+                const square_avg = this.square_avg.get(p);
+                const buffer = this.momentum_buffer.get(p);
+                for (let i = 0; i < p.data.length; i++) {
+                    const g = p.grad.data[i] + weight_decay * p.data[i];
+                    square_avg[i] = alpha * square_avg[i] + (1 - alpha) * g * g;
+                    const update = g / (Math.sqrt(square_avg[i]) + epsilon);
+                    if (momentum !== 0) {
+                        buffer[i] = momentum * buffer[i] + update;
+                        p.data[i] -= lr * buffer[i];
+                    } else {
+                        p.data[i] -= lr * update;
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Adagrad: шаг делится на корень суммы всех квадратов градиентов параметра.
+ */
+class Adagrad extends Optimizer {
+    /**
+     * @param {Tensor[]|object[]} parameters - Параметры или группы параметров.
+     * @param {number} [learning_rate=0.01]
+     * @param {object} [options]
+     * @param {number} [options.epsilon=1e-10]
+     * @param {number} [options.initial_accumulator_value=0] - Начальное значение суммы квадратов.
+     * @param {number} [options.weight_decay=0] - Коэффициент L2-регуляризации.
+     */
+    constructor(parameters, learning_rate = 0.01, options = {}) {
+        const { epsilon = 1e-10, initial_accumulator_value = 0, weight_decay = 0 } = options;
+        super(parameters, learning_rate, { epsilon, weight_decay });
+        this._create_buffers('sum');
+        for (const buffer of this.sum.values()) buffer.fill(initial_accumulator_value);
+    }
+
+    step() {
+        for (const group of this.param_groups) {
+            const { lr, epsilon, weight_decay } = group;
+            for (const p of group.params) {
+                if (!p.grad) continue;
+                const sum = this.sum.get(p);
+                for (let i = 0; i < p.data.length; i++) {
+                    const g = p.grad.data[i] + weight_decay * p.data[i];
+                    sum[i] += g * g;
+                    p.data[i] -= lr * g / (Math.sqrt(sum[i]) + epsilon);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Lion (EvoLved Sign Momentum): шаг равен знаку интерполяции момента и градиента,
+ * поэтому обычно нужна скорость обучения в 3-10 раз меньше, чем для AdamW.
+ * Затухание весов отделенное, как в AdamW.
+ */
+class Lion extends Optimizer {
+    /**
+     * @param {Tensor[]|object[]} parameters - Параметры или группы параметров.
+     * @param {number} [learning_rate=1e-4]
+     * @param {object} [options]
+     * @param {number} [options.beta1=0.9] - Коэффициент интерполяции для направления шага.
+     * @param {number} [options.beta2=0.99] - Коэффициент обновления момента.
+     * @param {number} [options.weight_decay=0]
+     */
+    constructor(parameters, learning_rate = 1e-4, options = {}) {
+        const { beta1 = 0.9, beta2 = 0.99, weight_decay = 0 } = options;
+        super(parameters, learning_rate, { beta1, beta2, weight_decay });
+        this._create_buffers('m');
+    }
+
+    step() {
+        for (const group of this.param_groups) {
+            const { lr, beta1, beta2, weight_decay } = group;
+            for (const p of group.params) {
+                if (!p.grad) continue;
+                const m = this.m.get(p);
+                for (let i = 0; i < p.data.length; i++) {
+                    const g = p.grad.data[i];
+                    const direction = Math.sign(beta1 * m[i] + (1 - beta1) * g);
+                    p.data[i] = p.data[i] * (1 - lr * weight_decay) - lr * direction;
+                    m[i] = beta2 * m[i] + (1 - beta2) * g;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Делит параметры модели на две группы: с затуханием весов и без него.
+ * По умолчанию без затухания остаются смещения и параметры LayerNorm.
+ * Имя сравнивается с последней частью пути параметра целиком или как суффикс после '_',
+ * так что 'bias' исключает и 'output_head.bias', и 'output_bias' модели со связанными весами.
+ * @param {Layer} model - Модель (нужен метод named_parameters()).
+ * @param {number} weight_decay - Затухание для первой группы.
+ * @param {string[]} [no_decay=['bias', 'gamma', 'beta']] - Имена параметров без затухания.
+ * @returns {Array<{params: Tensor[], weight_decay: number}>} - Группы для конструктора оптимизатора.
+ */
+function weight_decay_groups(model, weight_decay, no_decay = ['bias', 'gamma', 'beta']) {
+    const decay = [];
+    const plain = [];
+    for (const [path, param] of model.named_parameters()) {
+        const name = path.slice(path.lastIndexOf('.') + 1);
+        const excluded = no_decay.some(suffix => name === suffix || name.endsWith(`_${suffix}`));
+        (excluded ? plain : decay).push(param);
+    }
+    return [
+        { params: decay, weight_decay },
+        { params: plain, weight_decay: 0 }
+    ];
 }
 
 
-// Экспортируем оба класса
-export { SGD, Adam };
\ No newline at end of file
+// Экспортируем оптимизаторы и вспомогательную функцию групп параметров
+export { Optimizer, SGD, Adam, AdamW, RMSProp, Adagrad, Lion, weight_decay_groups };
@@ -0,0 +1,266 @@
+/**
+ * @file slmnet/Quantization.js
+ * @description slmnetGPT v2.0 - Квантизация весов в int8 для вывода.
+ *
+ * После обучения веса DenseLayer и EmbeddingLayer заменяются восьмибитными: каждый канал
+ * (столбец матрицы Dense - один выход, строка таблицы эмбеддингов - один токен) хранится
+ * в Int8Array со своим масштабом, w ~ q * scale, где scale = max|w| / 127. Активации, смещения
+ * и LayerNorm остаются float32. Выходной слой, связанный с таблицей эмбеддингов (tie_weights),
+ * использует ту же квантизованную таблицу. Квантизованные слои предназначены только для вывода
+ * (градиенты через них не идут) и занимают вчетверо меньше памяти.
+ *
+ *   slmnet.quantization.quantize(model);   // слои заменяются на месте
+ *   const buffer = slmnet.checkpoint.save({ config, tokenizer, model: slmnet.quantization.state_dict(model), quantized: true });
+ */
+
+import { Tensor } from './Tensor.js';
+import { Layer, DenseLayer, EmbeddingLayer } from './Layers.js';
+import { get_backend } from './Backend.js';
+
+/**
+ * Симметричная квантизация матрицы в int8 с масштабом на канал.
+ * @param {Tensor} tensor - Двумерный тензор [rows, cols].
+ * @param {0|1} axis - Ось каналов: 0 - масштаб на строку, 1 - масштаб на столбец.
+ * @returns {{values: Int8Array, scales: Float32Array, shape: number[]}}
+ */
+function quantize_int8(tensor, axis) {
+    if (tensor.shape.length !== 2) {
+        throw new Error(`Квантизуются только двумерные тензоры, получена форма [${tensor.shape}].`);
+    }
+    if (axis !== 0 && axis !== 1) {
+        throw new Error(`Ось каналов должна быть 0 или 1, получено ${axis}.`);
+    }
+    const [rows, cols] = tensor.shape;
+    const data = tensor.data;
+    const scales = new Float32Array(axis === 0 ? rows : cols);
+    for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) {
+            const channel = axis === 0 ? i : j;
+            scales[channel] = Math.max(scales[channel], Math.abs(data[i * cols + j]));
+        }
+    }
+    // Нулевой канал получает масштаб 1, чтобы не делить на ноль
+    for (let c = 0; c < scales.length; c++) {
+        scales[c] = scales[c] > 0 ? scales[c] / 127 : 1;
+    }
+    const values = new Int8Array(rows * cols);
+    for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) {
+            values[i * cols + j] = Math.round(data[i * cols + j] / scales[axis === 0 ? i : j]);
+        }
+    }
+    return { values, scales, shape: [rows, cols] };
+}
+
+/**
+ * Восстанавливает float32-матрицу из результата quantize_int8.
+ * @param {{values: Int8Array, scales: Float32Array, shape: number[]}} quantized
+ * @param {0|1} axis - Та же ось каналов, что и при квантизации.
+ * @returns {Tensor}
+ */
+function dequantize_int8({ values, scales, shape }, axis) {
+    const [rows, cols] = shape;
+    const data = new Float32Array(rows * cols);
+    for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) {
+            data[i * cols + j] = values[i * cols + j] * scales[axis === 0 ? i : j];
+        }
+    }
+    return new Tensor(data, [rows, cols]);
+}
+
+/**
+ * Линейный слой с весами int8 (масштаб на выход). Замена DenseLayer для вывода.
+ */
+class QuantizedDense extends Layer {
+    /**
+     * @param {{values: Int8Array, scales: Float32Array, shape: number[]}} weights - Веса [in_features, out_features], ось каналов 1.
+     * @param {Tensor|null} [bias=null]
+     */
+    constructor(weights, bias = null) {
+        super();
+        this.weights = weights;
+        this.bias = bias;
+    }
+
+    /**
+     * @param {DenseLayer} layer
+     * @returns {QuantizedDense}
+     */
+    static from_dense(layer) {
+        const bias = layer.bias ? new Tensor(layer.bias.data, layer.bias.shape) : null;
+        return new QuantizedDense(quantize_int8(layer.weights, 1), bias);
+    }
+
+    forward(inputs) {
+        const [in_features, out_features] = this.weights.shape;
+        if (inputs.shape[inputs.shape.length - 1] !== in_features) {
+            throw new Error(`Несовместимые формы для линейного преобразования: [${inputs.shape}] и [${this.weights.shape}].`);
+        }
+        const leading_shape = inputs.shape.slice(0, -1);
+        const M = inputs.size / in_features;
+        const result_data = new Float32Array(M * out_features);
+        if (this.bias) {
+            for (let i = 0; i < M; i++) result_data.set(this.bias.data, i * out_features);
+        }
+        get_backend().matmul_int8(result_data, inputs.data, this.weights.values, this.weights.scales, M, in_features, out_features);
+        return new Tensor(result_data, [...leading_shape, out_features]);
+    }
+
+    /** Квантизованное состояние слоя (для quantized_state_dict). */
+    quantized_state() {
+        return this.bias ? { weights: this.weights, bias: this.bias } : { weights: this.weights };
+    }
+}
+
+/**
+ * Таблица эмбеддингов int8 (масштаб на токен). Замена EmbeddingLayer для вывода.
+ */
+class QuantizedEmbedding extends Layer {
+    /**
+     * @param {{values: Int8Array, scales: Float32Array, shape: number[]}} weights - Таблица [vocab_size, embedding_dim], ось каналов 0.
+     */
+    constructor(weights) {
+        super();
+        this.weights = weights;
+        this.embedding_dim = weights.shape[1];
+    }
+
+    /**
+     * @param {EmbeddingLayer} layer
+     * @returns {QuantizedEmbedding}
+     */
+    static from_embedding(layer) {
+        return new QuantizedEmbedding(quantize_int8(layer.weights, 0));
+    }
+
+    /**
+     * @param {Tensor} ids_tensor - ID токенов формы [batch_size, seq_len].
+     * @returns {Tensor} - Эмбеддинги формы [batch_size, seq_len, embedding_dim].
+     */
+    forward(ids_tensor) {
+        const [batch_size, seq_len] = ids_tensor.shape;
+        const dim = this.embedding_dim;
+        const { values, scales } = this.weights;
+        const result_data = new Float32Array(ids_tensor.size * dim);
+        for (let i = 0; i < ids_tensor.size; i++) {
+            const id = ids_tensor.data[i];
+            const row = id * dim;
+            for (let j = 0; j < dim; j++) result_data[i * dim + j] = values[row + j] * scales[id];
+        }
+        return new Tensor(result_data, [batch_size, seq_len, dim]);
+    }
+
+    /**
+     * Логиты по связанным весам (см. EmbeddingLayer.attend): масштаб строки токена становится масштабом
+     * его выхода, поэтому связанный выходной слой квантизуется вместе с таблицей.
+     * @param {Tensor} inputs - Тензор формы [..., embedding_dim].
+     * @param {Tensor|null} [bias=null]
+     * @returns {Tensor} - Логиты формы [..., vocab_size].
+     */
+    attend(inputs, bias = null) {
+        const dim = this.embedding_dim;
+        const vocab_size = this.weights.shape[0];
+        const { values, scales } = this.weights;
+        const M = inputs.size / dim;
+        const result_data = new Float32Array(M * vocab_size);
+        for (let i = 0; i < M; i++) {
+            const x_offset = i * dim;
+            for (let v = 0; v < vocab_size; v++) {
+                const row = v * dim;
+                let sum = 0;
+                for (let j = 0; j < dim; j++) sum += inputs.data[x_offset + j] * values[row + j];
+                result_data[i * vocab_size + v] = sum * scales[v] + (bias ? bias.data[v] : 0);
+            }
+        }
+        return new Tensor(result_data, [...inputs.shape.slice(0, -1), vocab_size]);
+    }
+
+    quantized_state() {
+        return { weights: this.weights };
+    }
+}
+
+// Квантизованная замена слоя или null, если слой не квантизуется
+function quantizedLayer(layer) {
+    if (layer instanceof DenseLayer) return QuantizedDense.from_dense(layer);
+    if (layer instanceof EmbeddingLayer) return QuantizedEmbedding.from_embedding(layer);
+    return null;
+}
+
+/**
+ * Заменяет на месте все DenseLayer и EmbeddingLayer модели (в полях и массивах слоев,
+ * на любой глубине) квантизованными слоями. Уже квантизованные слои не меняются.
+ * @param {Layer} model
+ * @returns {Layer} - Модель (или ее замена, если сама модель - Dense или Embedding).
+ */
+function quantize(model) {
+    const replacement = quantizedLayer(model);
+    if (replacement) return replacement;
+    for (const key in model) {
+        const prop = model[key];
+        if (prop instanceof Layer) {
+            model[key] = quantize(prop);
+        }
+        else if (Array.isArray(prop)) {
+            prop.forEach((item, i) => {
+                if (item instanceof Layer) prop[i] = quantize(item);
+            });
+        }
+    }
+    return model;
+}
+
+/**
+ * Словарь состояния модели с квантизованными слоями: обычные параметры - тензоры, как в
+ * Layer.state_dict(), квантизованные веса - объекты { values, scales, shape } (без копирования).
+ * Пути те же, что у исходной модели. Пригоден для save_checkpoint.
+ * @param {Layer} model
+ * @returns {Object<string, Tensor|{values: Int8Array, scales: Float32Array, shape: number[]}>}
+ */
+function quantized_state_dict(model) {
+    const state = model.state_dict();
+    for (const [path, layer] of model.named_modules()) {
+        if (typeof layer.quantized_state !== 'function') continue;
+        for (const [name, value] of Object.entries(layer.quantized_state())) {
+            state[path ? `${path}.${name}` : name] = value;
+        }
+    }
+    return state;
+}
+
+/**
+ * Загружает словарь, сохраненный quantized_state_dict, в модель той же архитектуры,
+ * уже прошедшую quantize().
+ * @param {Layer} model
+ * @param {object} state
+ */
+function load_quantized_state_dict(model, state) {
+    const own = quantized_state_dict(model);
+    const missing = Object.keys(own).filter(name => !(name in state));
+    const unexpected = Object.keys(state).filter(name => !(name in own));
+    if (missing.length > 0 || unexpected.length > 0) {
+        throw new Error(`Словарь состояния не совпадает с моделью. Отсутствуют: [${missing}]. Лишние: [${unexpected}].`);
+    }
+    for (const [name, target] of Object.entries(own)) {
+        const value = state[name];
+        const quantized = !(target instanceof Tensor);
+        if (quantized && !(value.values instanceof Int8Array)) {
+            throw new Error(`Параметр '${name}' в словаре не квантизован.`);
+        }
+        // Обычный параметр может прийти и массивом без формы - тогда сверяется только длина
+        const data = quantized ? value.values : (value instanceof Tensor ? value.data : value);
+        const shape_matches = !value.shape || JSON.stringify(value.shape) === JSON.stringify(target.shape);
+        if (data.length !== target.shape.reduce((a, b) => a * b, 1) || !shape_matches) {
+            throw new Error(`Несовпадение формы для '${name}': ожидалось [${target.shape}], получено [${value.shape ?? data.length}].`);
+        }
+        if (quantized) {
+            target.values.set(value.values);
+            target.scales.set(value.scales);
+        } else {
+            target.data.set(data);
+        }
+    }
+}
+
+export { quantize_int8, dequantize_int8, QuantizedDense, QuantizedEmbedding, quantize, quantized_state_dict, load_quantized_state_dict };
@@ -0,0 +1,119 @@
+/**
+ * @file slmnet/Random.js
+ * @description slmnetGPT v2.0 - Детерминированный генератор псевдослучайных чисел.
+ * Все случайные операции библиотеки (инициализация весов, выборка батчей, сэмплирование)
+ * принимают генератор RNG; по умолчанию используется общий default_rng.
+ * Одинаковое зерно и одинаковые данные дают побитово одинаковые результаты.
+ */
+
+/**
+ * Генератор на основе алгоритма sfc32; начальное состояние выводится из зерна через splitmix32.
+ */
+class RNG {
+    /**
+     * @param {number} [seed] - 32-битное зерно. Без зерна генератор инициализируется случайно.
+     */
+    constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+        this.seed(seed);
+    }
+
+    /**
+     * Переинициализирует генератор.
+     * @param {number} seed
+     */
+    seed(seed) {
+        let x = seed >>> 0;
+        const splitmix32 = () => {
+            x = (x + 0x9e3779b9) >>> 0;
+            let z = x;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            return (z ^ (z >>> 16)) >>> 0;
+        };
+        this.state = [splitmix32(), splitmix32(), splitmix32(), splitmix32()];
+        this._spare_normal = null;
+        // Первые значения sfc32 слабо перемешаны - пропускаем их
+        for (let i = 0; i < 12; i++) this._next_uint32();
+        return this;
+    }
+
+    _next_uint32() {
+        let [a, b, c, d] = this.state;
+        const t = (((a + b) >>> 0) + d) >>> 0;
+        d = (d + 1) >>> 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) >>> 0;
+        c = ((c << 21) | (c >>> 11)) >>> 0;
+        c = (c + t) >>> 0;
+        this.state = [a, b, c, d];
+        return t;
+    }
+
+    /**
+     * Равномерное число в [0, 1).
+     * @returns {number}
+     */
+    random() {
+        return this._next_uint32() / 0x100000000;
+    }
+
+    /**
+     * Равномерное число в [low, high).
+     */
+    uniform(low = 0, high = 1) {
+        return low + (high - low) * this.random();
+    }
+
+    /**
+     * Целое число в [low, high).
+     */
+    randint(low, high) {
+        return low + Math.floor(this.random() * (high - low));
+    }
+
+    /**
+     * Нормально распределенное число (преобразование Бокса-Мюллера).
+     */
+    normal(mean = 0, std = 1) {
+        if (this._spare_normal !== null) {
+            const value = this._spare_normal;
+            this._spare_normal = null;
+            return mean + std * value;
+        }
+        const u1 = 1 - this.random(); // (0, 1], чтобы не брать log(0)
+        const u2 = this.random();
+        const radius = Math.sqrt(-2 * Math.log(u1));
+        this._spare_normal = radius * Math.sin(2 * Math.PI * u2);
+        return mean + std * radius * Math.cos(2 * Math.PI * u2);
+    }
+
+    /**
+     * Текущее состояние генератора (для сохранения в чекпоинт).
+     * @returns {{state: number[], spare_normal: number|null}}
+     */
+    get_state() {
+        return { state: [...this.state], spare_normal: this._spare_normal };
+    }
+
+    /**
+     * Восстанавливает состояние, полученное из get_state().
+     */
+    set_state(state) {
+        this.state = [...state.state];
+        this._spare_normal = state.spare_normal;
+        return this;
+    }
+}
+
+/** Общий генератор по умолчанию. */
+const default_rng = new RNG();
+
+/**
+ * Задает зерно общего генератора по умолчанию.
+ * @param {number} seed
+ */
+function manual_seed(seed) {
+    default_rng.seed(seed);
+}
+
+export { RNG, default_rng, manual_seed };
@@ -0,0 +1,491 @@
+/**
+ * @file slmnet/Schedulers.js
+ * @description slmnetGPT v2.0 - Расписания скорости обучения (learning rate schedulers).
+ *
+ * Расписание задает множитель к исходной скорости обучения каждой группы параметров
+ * оптимизатора (base_lrs): group.lr = base_lrs[i] * factor. Расписание подключается к любому оптимизатору через
+ * attach(optimizer) и продвигается вызовом step() после каждого optimizer.step():
+ *
+ *   const scheduler = new SequentialSchedule([new LinearWarmup(200), new CosineDecay(5800)], [200]).attach(optimizer);
+ *   optimizer.step();
+ *   scheduler.step();
+ *
+ * Состояние подключенного расписания сохраняется в optimizer.state_dict() и восстанавливается
+ * в optimizer.load_state_dict() (при необходимости расписание создается заново).
+ */
+
+class LRScheduler {
+    constructor() {
+        this.optimizer = null;
+        this.base_lrs = null; // Исходные скорости обучения групп параметров
+        this.last_step = 0; // Сколько раз был вызван step()
+    }
+
+    /**
+     * Подключает расписание к оптимизатору. Текущие скорости обучения групп параметров
+     * становятся базовыми и сразу умножаются на множитель нулевого шага.
+     * @param {Optimizer} optimizer
+     * @returns {LRScheduler} this
+     */
+    attach(optimizer) {
+        this.optimizer = optimizer;
+        this.base_lrs = optimizer.param_groups.map(group => group.lr);
+        optimizer.scheduler = this;
+        this._apply();
+        return this;
+    }
+
+    /**
+     * Множитель скорости обучения на шаге step.
+     * @param {number} step
+     * @returns {number}
+     */
+    factor(step) {
+        throw new Error("Метод factor() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Обновляет внутреннее состояние при переходе на шаг step (нужно расписаниям,
+     * зависящим от метрики, например ReduceLROnPlateau).
+     */
+    _update(step, metric) {}
+
+    /**
+     * Переходит к следующему шагу и обновляет скорость обучения оптимизатора.
+     * @param {number} [metric] - Отслеживаемая метрика (используется ReduceLROnPlateau).
+     */
+    step(metric) {
+        this.last_step++;
+        this._update(this.last_step, metric);
+        this._apply();
+    }
+
+    /** Текущая скорость обучения первой группы параметров. */
+    get lr() {
+        return this.base_lrs[0] * this.factor(this.last_step);
+    }
+
+    _apply() {
+        if (!this.optimizer) return;
+        const factor = this.factor(this.last_step);
+        this.optimizer.param_groups.forEach((group, i) => { group.lr = this.base_lrs[i] * factor; });
+    }
+
+    /**
+     * Параметры и состояние расписания для сохранения в чекпоинт.
+     * @returns {object}
+     */
+    state_dict() {
+        return { type: this.constructor.type, base_lrs: this.base_lrs && [...this.base_lrs], last_step: this.last_step };
+    }
+
+    /**
+     * Восстанавливает состояние, полученное из state_dict().
+     * @param {object} state
+     */
+    load_state_dict(state) {
+        if (state.type !== this.constructor.type) {
+            throw new Error(`Состояние расписания типа '${state.type}' не подходит для '${this.constructor.type}'.`);
+        }
+        if ('base_lrs' in state) {
+            // null - у вложенных расписаний, не подключенных к оптимизатору
+            this.base_lrs = state.base_lrs && [...state.base_lrs];
+        } else {
+            // Состояния до появления групп параметров хранили одну base_lr
+            this.base_lrs = this.base_lrs?.map(() => state.base_lr) ?? [state.base_lr];
+        }
+        this.last_step = state.last_step;
+        this._apply();
+    }
+
+    /**
+     * Создает расписание любого поддерживаемого типа по результату state_dict().
+     * @param {{type: string}} state
+     * @returns {LRScheduler}
+     */
+    static from_state_dict(state) {
+        const SchedulerClass = SCHEDULERS[state.type];
+        if (!SchedulerClass) {
+            throw new Error(`Неизвестный тип расписания: ${state.type}.`);
+        }
+        const scheduler = SchedulerClass._from_config(state);
+        scheduler.load_state_dict(state);
+        return scheduler;
+    }
+}
+
+/**
+ * Линейный разогрев: множитель растет от 1 / warmup_steps до 1 за warmup_steps шагов.
+ */
+class LinearWarmup extends LRScheduler {
+    static type = 'linear_warmup';
+
+    /**
+     * @param {number} warmup_steps
+     */
+    constructor(warmup_steps) {
+        super();
+        if (!(warmup_steps > 0)) {
+            throw new Error("warmup_steps должно быть положительным.");
+        }
+        this.warmup_steps = warmup_steps;
+    }
+
+    factor(step) {
+        return Math.min(1, (step + 1) / this.warmup_steps);
+    }
+
+    state_dict() {
+        return { ...super.state_dict(), warmup_steps: this.warmup_steps };
+    }
+
+    static _from_config(state) {
+        return new LinearWarmup(state.warmup_steps);
+    }
+}
+
+/**
+ * Косинусное затухание от 1 до min_factor за total_steps шагов; дальше множитель не меняется.
+ */
+class CosineDecay extends LRScheduler {
+    static type = 'cosine';
+
+    /**
+     * @param {number} total_steps
+     * @param {object} [options]
+     * @param {number} [options.min_factor=0] - Множитель в конце затухания.
+     */
+    constructor(total_steps, options = {}) {
+        super();
+        if (!(total_steps > 0)) {
+            throw new Error("total_steps должно быть положительным.");
+        }
+        this.total_steps = total_steps;
+        this.min_factor = options.min_factor ?? 0;
+    }
+
+    factor(step) {
+        const progress = Math.min(step, this.total_steps) / this.total_steps;
+        return this.min_factor + (1 - this.min_factor) * 0.5 * (1 + Math.cos(Math.PI * progress));
+    }
+
+    state_dict() {
+        return { ...super.state_dict(), total_steps: this.total_steps, min_factor: this.min_factor };
+    }
+
+    static _from_config(state) {
+        return new CosineDecay(state.total_steps, { min_factor: state.min_factor });
+    }
+}
+
+/**
+ * Ступенчатое затухание: множитель умножается на gamma каждые step_size шагов.
+ */
+class StepDecay extends LRScheduler {
+    static type = 'step';
+
+    /**
+     * @param {number} step_size
+     * @param {object} [options]
+     * @param {number} [options.gamma=0.1]
+     */
+    constructor(step_size, options = {}) {
+        super();
+        if (!(step_size > 0)) {
+            throw new Error("step_size должно быть положительным.");
+        }
+        this.step_size = step_size;
+        this.gamma = options.gamma ?? 0.1;
+    }
+
+    factor(step) {
+        return Math.pow(this.gamma, Math.floor(step / this.step_size));
+    }
+
+    state_dict() {
+        return { ...super.state_dict(), step_size: this.step_size, gamma: this.gamma };
+    }
+
+    static _from_config(state) {
+        return new StepDecay(state.step_size, { gamma: state.gamma });
+    }
+}
+
+/**
+ * Экспоненциальное затухание: множитель gamma^step.
+ */
+class ExponentialDecay extends LRScheduler {
+    static type = 'exponential';
+
+    /**
+     * @param {number} gamma - Множитель за один шаг (например, 0.999).
+     */
+    constructor(gamma) {
+        super();
+        this.gamma = gamma;
+    }
+
+    factor(step) {
+        return Math.pow(this.gamma, step);
+    }
+
+    state_dict() {
+        return { ...super.state_dict(), gamma: this.gamma };
+    }
+
+    static _from_config(state) {
+        return new ExponentialDecay(state.gamma);
+    }
+}
+
+/**
+ * Уменьшает скорость обучения, когда метрика перестает улучшаться.
+ * Метрика передается в step(metric); вызовы step() без метрики только считают шаги.
+ */
+class ReduceLROnPlateau extends LRScheduler {
+    static type = 'plateau';
+
+    /**
+     * @param {object} [options]
+     * @param {'min'|'max'} [options.mode='min'] - Уменьшается ли метрика при улучшении (ошибка) или растет (точность).
+     * @param {number} [options.decay=0.1] - На что умножается скорость обучения при каждом уменьшении.
+     * @param {number} [options.patience=10] - Сколько измерений без улучшения допускается.
+     * @param {number} [options.threshold=1e-4] - Минимальное относительное улучшение.
+     * @param {number} [options.cooldown=0] - Сколько измерений после уменьшения не следить за метрикой.
+     * @param {number} [options.min_factor=0] - Нижняя граница множителя.
+     */
+    constructor(options = {}) {
+        super();
+        this.mode = options.mode ?? 'min';
+        if (this.mode !== 'min' && this.mode !== 'max') {
+            throw new Error(`Неизвестный режим ReduceLROnPlateau: ${this.mode}.`);
+        }
+        this.decay = options.decay ?? 0.1;
+        this.patience = options.patience ?? 10;
+        this.threshold = options.threshold ?? 1e-4;
+        this.cooldown = options.cooldown ?? 0;
+        this.min_factor = options.min_factor ?? 0;
+
+        this.current_factor = 1;
+        this.best = null;
+        this.num_bad = 0;
+        this.cooldown_counter = 0;
+    }
+
+    factor(step) {
+        return this.current_factor;
+    }
+
+    _is_better(metric) {
+        if (this.best === null) return true;
+        return this.mode === 'min'
+            ? metric < this.best * (1 - Math.sign(this.best) * this.threshold)
+            : metric > this.best * (1 + Math.sign(this.best) * this.threshold);
+    }
+
+    _update(step, metric) {
+        if (metric === undefined) return;
+        if (this._is_better(metric)) {
+            this.best = metric;
+            this.num_bad = 0;
+        } else {
+            this.num_bad++;
+        }
+        if (this.cooldown_counter > 0) {
+            this.cooldown_counter--;
+            this.num_bad = 0;
+        }
+        if (this.num_bad > this.patience) {
+            this.current_factor = Math.max(this.current_factor * this.decay, this.min_factor);
+            this.cooldown_counter = this.cooldown;
+            this.num_bad = 0;
+        }
+    }
+
+    state_dict() {
+        return {
+            ...super.state_dict(),
+            mode: this.mode,
+            decay: this.decay,
+            patience: this.patience,
+            threshold: this.threshold,
+            cooldown: this.cooldown,
+            min_factor: this.min_factor,
+            current_factor: this.current_factor,
+            best: this.best,
+            num_bad: this.num_bad,
+            cooldown_counter: this.cooldown_counter
+        };
+    }
+
+    load_state_dict(state) {
+        this.current_factor = state.current_factor;
+        this.best = state.best;
+        this.num_bad = state.num_bad;
+        this.cooldown_counter = state.cooldown_counter;
+        super.load_state_dict(state);
+    }
+
+    static _from_config(state) {
+        return new ReduceLROnPlateau(state);
+    }
+}
+
+/**
+ * Политика "одного цикла": за первые pct_start * total_steps шагов множитель растет
+ * от 1 / div_factor до 1, затем косинусно падает до 1 / (div_factor * final_div_factor).
+ * Базовая скорость обучения оптимизатора считается максимальной.
+ */
+class OneCycle extends LRScheduler {
+    static type = 'one_cycle';
+
+    /**
+     * @param {number} total_steps
+     * @param {object} [options]
+     * @param {number} [options.pct_start=0.3] - Доля шагов на фазу роста.
+     * @param {number} [options.div_factor=25] - Во сколько раз начальная скорость меньше максимальной.
+     * @param {number} [options.final_div_factor=1e4] - Во сколько раз конечная скорость меньше начальной.
+     */
+    constructor(total_steps, options = {}) {
+        super();
+        if (!(total_steps > 0)) {
+            throw new Error("total_steps должно быть положительным.");
+        }
+        this.total_steps = total_steps;
+        this.pct_start = options.pct_start ?? 0.3;
+        this.div_factor = options.div_factor ?? 25;
+        this.final_div_factor = options.final_div_factor ?? 1e4;
+    }
+
+    factor(step) {
+        const initial = 1 / this.div_factor;
+        const final = initial / this.final_div_factor;
+        const warmup_steps = Math.max(1, Math.round(this.pct_start * this.total_steps));
+        // Косинусная интерполяция от start к end при progress от 0 до 1
+        const anneal = (start, end, progress) => end + (start - end) * 0.5 * (1 + Math.cos(Math.PI * progress));
+        if (step < warmup_steps) {
+            return anneal(initial, 1, step / warmup_steps);
+        }
+        const decay_steps = Math.max(1, this.total_steps - warmup_steps);
+        return anneal(1, final, Math.min(1, (step - warmup_steps) / decay_steps));
+    }
+
+    state_dict() {
+        return {
+            ...super.state_dict(),
+            total_steps: this.total_steps,
+            pct_start: this.pct_start,
+            div_factor: this.div_factor,
+            final_div_factor: this.final_div_factor
+        };
+    }
+
+    static _from_config(state) {
+        return new OneCycle(state.total_steps, state);
+    }
+}
+
+/**
+ * Последовательное расписание: расписание schedulers[i] действует начиная с шага milestones[i - 1]
+ * и отсчитывает свои шаги от него. Например, разогрев, а затем затухание:
+ * new SequentialSchedule([new LinearWarmup(200), new CosineDecay(5800)], [200]).
+ */
+class SequentialSchedule extends LRScheduler {
+    static type = 'sequential';
+
+    /**
+     * @param {LRScheduler[]} schedulers - Вложенные расписания (к оптимизатору не подключаются).
+     * @param {number[]} milestones - Шаги переключения, по возрастанию; на одно меньше, чем расписаний.
+     */
+    constructor(schedulers, milestones) {
+        super();
+        if (schedulers.length === 0 || milestones.length !== schedulers.length - 1) {
+            throw new Error("SequentialSchedule: число точек переключения должно быть на одно меньше числа расписаний.");
+        }
+        this.schedulers = schedulers;
+        this.milestones = milestones;
+    }
+
+    // Индекс действующего расписания и его локальный шаг
+    _locate(step) {
+        let index = 0;
+        while (index < this.milestones.length && step >= this.milestones[index]) index++;
+        const start = index === 0 ? 0 : this.milestones[index - 1];
+        return { scheduler: this.schedulers[index], local_step: step - start };
+    }
+
+    factor(step) {
+        const { scheduler, local_step } = this._locate(step);
+        return scheduler.factor(local_step);
+    }
+
+    _update(step, metric) {
+        const { scheduler, local_step } = this._locate(step);
+        scheduler.last_step = local_step;
+        scheduler._update(local_step, metric);
+    }
+
+    state_dict() {
+        return {
+            ...super.state_dict(),
+            milestones: [...this.milestones],
+            schedulers: this.schedulers.map(scheduler => scheduler.state_dict())
+        };
+    }
+
+    load_state_dict(state) {
+        this.schedulers.forEach((scheduler, i) => scheduler.load_state_dict(state.schedulers[i]));
+        super.load_state_dict(state);
+    }
+
+    static _from_config(state) {
+        return new SequentialSchedule(state.schedulers.map(LRScheduler.from_state_dict), state.milestones);
+    }
+}
+
+/**
+ * Цепочка расписаний, действующих одновременно: множители перемножаются.
+ * Например, разогрев вместе с затуханием по плато метрики.
+ */
+class ChainedSchedule extends LRScheduler {
+    static type = 'chained';
+
+    /**
+     * @param {LRScheduler[]} schedulers - Вложенные расписания (к оптимизатору не подключаются).
+     */
+    constructor(schedulers) {
+        super();
+        this.schedulers = schedulers;
+    }
+
+    factor(step) {
+        return this.schedulers.reduce((product, scheduler) => product * scheduler.factor(step), 1);
+    }
+
+    _update(step, metric) {
+        for (const scheduler of this.schedulers) {
+            scheduler.last_step = step;
+            scheduler._update(step, metric);
+        }
+    }
+
+    state_dict() {
+        return { ...super.state_dict(), schedulers: this.schedulers.map(scheduler => scheduler.state_dict()) };
+    }
+
+    load_state_dict(state) {
+        this.schedulers.forEach((scheduler, i) => scheduler.load_state_dict(state.schedulers[i]));
+        super.load_state_dict(state);
+    }
+
+    static _from_config(state) {
+        return new ChainedSchedule(state.schedulers.map(LRScheduler.from_state_dict));
+    }
+}
+
+const SCHEDULERS = Object.fromEntries(
+    [LinearWarmup, CosineDecay, StepDecay, ExponentialDecay, ReduceLROnPlateau, OneCycle, SequentialSchedule, ChainedSchedule]
+        .map(SchedulerClass => [SchedulerClass.type, SchedulerClass])
+);
+
+export { LRScheduler, LinearWarmup, CosineDecay, StepDecay, ExponentialDecay, ReduceLROnPlateau, OneCycle, SequentialSchedule, ChainedSchedule };
@@ -5,29 +5,79 @@
  * обратное распространение ошибки.
  */
 
+import { default_rng } from './Random.js';
+
+// Строится ли граф вычислений (выключается внутри no_grad)
+let grad_enabled = true;
+
+/**
+ * Выполняет fn без построения графа: результаты операций не требуют градиента и не хранят
+ * ссылок на входы, поэтому память промежуточных тензоров освобождается сразу.
+ * Для генерации и оценки модели. fn должна быть синхронной: после await граф снова строится.
+ * @param {Function} fn
+ * @returns {*} - Результат fn.
+ */
+function no_grad(fn) {
+    const previous = grad_enabled;
+    grad_enabled = false;
+    try {
+        return fn();
+    } finally {
+        grad_enabled = previous;
+    }
+}
+
+/** @returns {boolean} - false внутри no_grad. */
+function is_grad_enabled() {
+    return grad_enabled;
+}
+
+/**
+ * Нужен ли градиент результату операции над tensors: граф строится, и хотя бы один вход требует градиента.
+ * @param {...(Tensor|null)} tensors - null (например, отсутствующее смещение) пропускается.
+ * @returns {boolean}
+ */
+function needs_grad(...tensors) {
+    return grad_enabled && tensors.some(tensor => tensor !== null && tensor.requires_grad);
+}
+
 class Tensor {
     /**
      * @param {Array|Float32Array} data - Данные тензора.
-     * @param {number[]} shape - Форма тензора.
+     * @param {number[]} [shape] - Форма тензора. По умолчанию - одномерная форма [data.length].
      * @param {boolean} [requires_grad=false] - Флаг, указывающий, нужно ли вычислять градиент для этого тензора.
      * @param {object} [ctx=null] - Контекст (узел графа), который создал этот тензор.
      */
     constructor(data, shape, requires_grad = false, ctx = null) {
         this.data = data instanceof Float32Array ? data : new Float32Array(data);
-        this.shape = shape;
+        this.shape = shape ?? [this.data.length];
         this.size = this.data.length;
 
         // --- Ключевые свойства для обучения ---
         this.requires_grad = requires_grad;
-        this.grad = this.requires_grad ? Tensor.zeros(this.shape) : null;
+        // Буфер градиента выделяется при первом накоплении (grad_data), до этого - null
+        this.grad = null;
         this._ctx = ctx;
     }
 
+    /**
+     * Буфер градиента для накопления в обратном проходе; при первом вызове заполняется нулями.
+     * @returns {Float32Array}
+     */
+    grad_data() {
+        if (this.grad === null) this.grad = Tensor.zeros(this.shape);
+        return this.grad.data;
+    }
+
     /**
      * Запускает обратное распространение ошибки, начиная с этого тензора.
      * Обычно вызывается для тензора ошибки (loss), который является скаляром.
+     * @param {object} [options]
+     * @param {boolean} [options.release_graph=false] - После прохода отвязать промежуточные тензоры
+     *   от графа и сбросить их градиенты: замыкания и буферы освобождаются, не дожидаясь, пока
+     *   исчезнут ссылки на сам loss. Повторный backward() по такому графу уже ничего не накопит.
      */
-    backward() {
+    backward({ release_graph = false } = {}) {
         if (!this.requires_grad) {
             throw new Error("Нельзя вызывать backward() для тензора, у которого requires_grad=false.");
         }
@@ -53,10 +103,18 @@ class Tensor {
         
         for (let i = sortedGraph.length - 1; i >= 0; i--) {
             const tensor = sortedGraph[i];
-            if (tensor._ctx && typeof tensor._ctx.backward === 'function') {
+            // Узел без градиента (в него ничего не накопилось) ничего не передает своим входам
+            if (tensor.grad && typeof tensor._ctx.backward === 'function') {
                 tensor._ctx.backward(tensor.grad);
             }
         }
+
+        if (release_graph) {
+            for (const tensor of sortedGraph) {
+                tensor._ctx = null;
+                if (tensor !== this) tensor.grad = null;
+            }
+        }
     }
 
     // --- Вспомогательные статические методы для удобства создания тензоров ---
@@ -77,9 +135,15 @@ class Tensor {
         return new Tensor(data, shape, requires_grad);
     }
 
-    static random(shape, requires_grad = false) {
+    /**
+     * Тензор со значениями, равномерно распределенными в [-1, 1).
+     * @param {number[]} shape
+     * @param {boolean} [requires_grad=false]
+     * @param {RNG} [rng=default_rng] - Генератор случайных чисел.
+     */
+    static random(shape, requires_grad = false, rng = default_rng) {
         const size = shape.reduce((a, b) => a * b, 1);
-        const data = Float32Array.from({ length: size }, () => Math.random() * 2 - 1);
+        const data = Float32Array.from({ length: size }, () => rng.random() * 2 - 1);
         return new Tensor(data, shape, requires_grad);
     }
 
@@ -110,10 +174,12 @@ class Tensor {
         return { flatData, inferredShape };
     }
 
-    // --- Методы для манипуляции данными (не создают узлы графа) ---
+    // --- Методы для манипуляции формой ---
     
     /**
      * Изменяет форму тензора без изменения данных.
+     * Результат "смотрит" на ту же память данных, но является отдельным узлом графа:
+     * его градиент при обратном проходе переносится в градиент исходного тензора.
      * @param {number[]} new_shape 
      * @returns {Tensor} - Новый тензор с той же памятью данных.
      */
@@ -122,11 +188,21 @@ class Tensor {
         if (this.size !== new_size) {
             throw new Error(`Невозможно изменить форму с [${this.shape}] (размер ${this.size}) на [${new_shape}] (размер ${new_size}).`);
         }
-        // Возвращаем новый тензор, но он "смотрит" на те же данные и градиент.
-        // Это "глупая" операция, которая не должна быть в графе сама по себе.
-        // Она используется внутри других операций.
-        const reshaped = new Tensor(this.data, new_shape, this.requires_grad);
-        reshaped.grad = this.grad; // Градиент тоже должен быть связан!
+        const requires_grad = needs_grad(this);
+        const reshaped = new Tensor(this.data, new_shape, requires_grad);
+
+        if (requires_grad) {
+            reshaped._ctx = {
+                inputs: [this],
+                backward: (upstream_grad) => {
+                    // Порядок элементов не меняется, поэтому градиент копируется один к одному
+                    const grad = this.grad_data();
+                    for (let i = 0; i < grad.length; i++) {
+                        grad[i] += upstream_grad.data[i];
+                    }
+                }
+            };
+        }
         return reshaped;
     }
 
@@ -142,4 +218,4 @@ class Tensor {
     }
 }
 
-export { Tensor };
\ No newline at end of file
+export { Tensor, no_grad, is_grad_enabled, needs_grad };
\ No newline at end of file
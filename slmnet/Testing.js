@@ -0,0 +1,108 @@
+/**
+ * @file slmnet/Testing.js
+ * @description slmnetGPT v2.0 - Инструменты для проверки корректности операций.
+ */
+
+import { Tensor, no_grad } from './Tensor.js';
+import { Ops } from './Ops.js';
+import { RNG } from './Random.js';
+
+// Относительная точность float32: 2^-23
+const FLOAT32_EPSILON = 2 ** -23;
+
+/**
+ * Численная проверка градиентов.
+ *
+ * Выход fn сворачивается в скаляр L = sum(w * fn(...inputs)) с фиксированными случайными
+ * весами w, чтобы проверялись все элементы выхода, а не только их сумма. Аналитический
+ * градиент dL/dx берется из Tensor.backward(), численный - центральной разностью
+ * (L(x + eps) - L(x - eps)) / (2 * eps).
+ *
+ * Тензоры хранятся только в float32, поэтому прямые проходы (и возмущенные входы) - тоже float32;
+ * в float64 считаются свертка выхода и разностное отношение, а шаг берется по фактически записанным
+ * в float32 значениям, так что ошибка округления шага в оценку не попадает. Остается округление
+ * самих выходов: порядка FLOAT32_EPSILON * sum|w * fn| на каждое значение L. Поэтому шаг по умолчанию -
+ * около кубического корня из FLOAT32_EPSILON (баланс округления и ошибки усечения eps^2 * f''' / 6),
+ * а к допуску каждого элемента прибавляется оценка шума округления, деленная на шаг.
+ *
+ * @param {function(...Tensor): Tensor} fn - Проверяемая функция. Может замыкать параметры слоя:
+ *   их достаточно передать в inputs, значения меняются на месте.
+ * @param {Tensor[]} inputs - Входы; проверяются те, у которых requires_grad = true.
+ * @param {object} [options]
+ * @param {number} [options.eps=5e-3] - Шаг центральной разности.
+ * @param {number} [options.atol=1e-4] - Допустимая абсолютная ошибка сверх шума округления (и нижняя граница знаменателя относительной).
+ * @param {number} [options.rtol=1e-3] - Допустимая относительная ошибка.
+ * @param {number} [options.seed=0] - Зерно весов свертки.
+ * @returns {{passed: boolean, max_rel_error: number, results: Array<{input: number, max_abs_error: number, max_rel_error: number, worst_index: number, passed: boolean}>}}
+ */
+function gradcheck(fn, inputs, options = {}) {
+    const { eps = 5e-3, atol = 1e-4, rtol = 1e-3, seed = 0 } = options;
+
+    const output = fn(...inputs);
+    const rng = new RNG(seed);
+    const weights = Float64Array.from({ length: output.size }, () => rng.uniform(-1, 1));
+
+    // Для численных производных граф не нужен. magnitude = sum|w * fn| - масштаб ошибки округления L
+    let magnitude = 0;
+    const objective = () => {
+        const out = no_grad(() => fn(...inputs));
+        let total = 0;
+        let sum_abs = 0;
+        for (let i = 0; i < out.size; i++) {
+            total += weights[i] * out.data[i];
+            sum_abs += Math.abs(weights[i] * out.data[i]);
+        }
+        magnitude = Math.max(magnitude, sum_abs);
+        return total;
+    };
+
+    // Аналитические градиенты
+    for (const input of inputs) {
+        if (input.grad) input.grad.data.fill(0);
+    }
+    const weight_tensor = new Tensor(Float32Array.from(weights), output.shape);
+    Ops.sum(Ops.mul(output, weight_tensor)).backward();
+
+    const results = [];
+    inputs.forEach((input, index) => {
+        if (!input.requires_grad) return;
+        // Вход, от которого результат не зависит, градиента не получает
+        const analytic = input.grad ? Float64Array.from(input.grad.data) : new Float64Array(input.size);
+        let max_abs_error = 0;
+        let max_rel_error = 0;
+        let worst_index = -1;
+        let passed = true;
+
+        for (let i = 0; i < input.size; i++) {
+            const original = input.data[i];
+            input.data[i] = original + eps;
+            const plus_value = input.data[i];
+            const loss_plus = objective();
+            input.data[i] = original - eps;
+            const minus_value = input.data[i];
+            const loss_minus = objective();
+            input.data[i] = original;
+
+            const numeric = (loss_plus - loss_minus) / (plus_value - minus_value);
+            // Оба значения L округлены до float32 с ошибкой порядка FLOAT32_EPSILON * magnitude
+            const rounding = 2 * FLOAT32_EPSILON * magnitude / (plus_value - minus_value);
+            const abs_error = Math.abs(analytic[i] - numeric);
+            const rel_error = abs_error / Math.max(Math.abs(analytic[i]), Math.abs(numeric), atol);
+            if (abs_error > atol + rounding + rtol * Math.abs(numeric)) passed = false;
+            if (abs_error > max_abs_error) max_abs_error = abs_error;
+            if (rel_error > max_rel_error) {
+                max_rel_error = rel_error;
+                worst_index = i;
+            }
+        }
+        results.push({ input: index, max_abs_error, max_rel_error, worst_index, passed });
+    });
+
+    return {
+        passed: results.every(r => r.passed),
+        max_rel_error: results.reduce((max, r) => Math.max(max, r.max_rel_error), 0),
+        results
+    };
+}
+
+export { gradcheck };
@@ -1,14 +1,70 @@
 /**
  * @file slmnet/Tokenizer.js
- * @description slmnetGPT v2.0 - Простой символьный токенизатор.
+ * @description slmnetGPT v2.0 - Токенизаторы: символьный и Byte-Pair Encoding.
  */
 
-class CharacterTokenizer {
+/**
+ * Общий интерфейс токенизаторов. Модели и чекпоинты опираются только на него:
+ * vocab_size, encode(text), decode(ids), to_json() и Tokenizer.from_json(json).
+ */
+class Tokenizer {
+    /**
+     * Преобразует строку в массив ID токенов.
+     * @param {string} text
+     * @returns {number[]}
+     */
+    encode(text) {
+        throw new Error("Метод encode() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Преобразует массив ID токенов обратно в строку.
+     * @param {number[]} ids
+     * @returns {string}
+     */
+    decode(ids) {
+        throw new Error("Метод decode() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Сколько символов текста encode() пропустит, потому что их нет в словаре.
+     * @param {string} text
+     * @returns {number} - 0, если токенизатор кодирует любой текст без потерь.
+     */
+    count_unknown(text) {
+        return 0;
+    }
+
+    /**
+     * Сериализует токенизатор в JSON-совместимый объект с полем type.
+     * @returns {object}
+     */
+    to_json() {
+        throw new Error("Метод to_json() должен быть реализован в дочернем классе.");
+    }
+
+    /**
+     * Восстанавливает токенизатор любого поддерживаемого типа по результату to_json().
+     * @param {{type: string}} json
+     * @returns {Tokenizer}
+     */
+    static from_json(json) {
+        switch (json.type) {
+            case 'char': return CharacterTokenizer.from_json(json);
+            case 'bpe': return BPETokenizer.from_json(json);
+            default: throw new Error(`Неизвестный тип токенизатора: ${json.type}.`);
+        }
+    }
+}
+
+class CharacterTokenizer extends Tokenizer {
     /**
      * @param {string} text - Полный текст для построения словаря.
      */
     constructor(text) {
-        const char_set = new Set(text.split(''));
+        super();
+        // Символы - кодовые точки Unicode, как и в encode(): символ вне BMP не делится на суррогаты
+        const char_set = new Set(text);
         this.vocab = [...char_set].sort();
         this.vocab_size = this.vocab.length;
 
@@ -22,7 +78,25 @@ class CharacterTokenizer {
     }
 
     /**
-     * Преобразует строку в массив ID токенов.
+     * Сериализует словарь токенизатора.
+     * @returns {{type: string, vocab: string[]}}
+     */
+    to_json() {
+        return { type: 'char', vocab: [...this.vocab] };
+    }
+
+    /**
+     * Восстанавливает токенизатор из результата to_json().
+     * @param {{vocab: string[]}} json
+     * @returns {CharacterTokenizer}
+     */
+    static from_json(json) {
+        return new CharacterTokenizer(json.vocab.join(''));
+    }
+
+    /**
+     * Преобразует строку в массив ID токенов. Символы, которых нет в словаре, пропускаются
+     * (их число сообщает count_unknown).
      * @param {string} text 
      * @returns {number[]}
      */
@@ -36,6 +110,14 @@ class CharacterTokenizer {
         return encoded;
     }
 
+    count_unknown(text) {
+        let unknown = 0;
+        for (const char of text) {
+            if (!this.char_to_id.has(char)) unknown++;
+        }
+        return unknown;
+    }
+
     /**
      * Преобразует массив ID токенов обратно в строку.
      * @param {number[]} ids 
@@ -52,4 +134,212 @@ class CharacterTokenizer {
     }
 }
 
-export { CharacterTokenizer };
\ No newline at end of file
+// Предварительное разбиение текста на "слова" (как в GPT-2): слияния не пересекают их границы.
+const PRETOKENIZE_PATTERN = / ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+const DEFAULT_SPECIAL_TOKENS = ['<pad>', '<bos>', '<eos>'];
+
+/**
+ * Токенизатор Byte-Pair Encoding на уровне байтов UTF-8.
+ * Словарь: специальные токены, затем 256 байтовых токенов, затем выученные слияния.
+ * Любой текст кодируется без потерь: неизвестные символы раскладываются на байты.
+ */
+class BPETokenizer extends Tokenizer {
+    /**
+     * @param {Array<[number, number]>} merges - Пары ID в порядке приоритета слияния.
+     * @param {string[]} [special_tokens=['<pad>', '<bos>', '<eos>']]
+     */
+    constructor(merges, special_tokens = DEFAULT_SPECIAL_TOKENS) {
+        super();
+        this.special_tokens = [...special_tokens];
+        this.merges = merges.map(([a, b]) => [a, b]);
+        this.byte_offset = this.special_tokens.length;
+        this.vocab_size = this.byte_offset + 256 + this.merges.length;
+
+        this.special_to_id = new Map(this.special_tokens.map((token, i) => [token, i]));
+        // Байтовое представление каждого токена (для декодирования)
+        this.token_bytes = this.special_tokens.map(token => Array.from(new TextEncoder().encode(token)));
+        for (let b = 0; b < 256; b++) this.token_bytes.push([b]);
+        // Ранг слияния: "a,b" -> [ранг, ID нового токена]
+        this.merge_ranks = new Map();
+        this.merges.forEach(([a, b], rank) => {
+            const id = this.byte_offset + 256 + rank;
+            this.merge_ranks.set(`${a},${b}`, [rank, id]);
+            this.token_bytes.push([...this.token_bytes[a], ...this.token_bytes[b]]);
+        });
+        this._special_pattern = this.special_tokens.length > 0
+            ? new RegExp(`(${this.special_tokens.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`)
+            : null;
+        this._cache = new Map();
+    }
+
+    /**
+     * Обучает слияния на корпусе. На каждом шаге объединяется самая частая пара соседних токенов
+     * (при равенстве частот - пара с меньшими ID). Частоты пар обновляются только в словах,
+     * где встретилась объединенная пара, а не пересчитываются по всему корпусу.
+     * @param {string} text - Обучающий корпус.
+     * @param {number} vocab_size - Желаемый размер словаря (специальные + 256 байтов + слияния).
+     * @param {object} [options]
+     * @param {string[]} [options.special_tokens=['<pad>', '<bos>', '<eos>']]
+     * @param {number} [options.min_frequency=2] - Пары, встречающиеся реже, не объединяются.
+     * @returns {BPETokenizer} - Его vocab_size бывает меньше запрошенного: обучение останавливается,
+     *   когда ни одна пара не встречается хотя бы min_frequency раз.
+     */
+    static train(text, vocab_size, options = {}) {
+        const { special_tokens = DEFAULT_SPECIAL_TOKENS, min_frequency = 2 } = options;
+        const byte_offset = special_tokens.length;
+        const num_merges = vocab_size - byte_offset - 256;
+        if (num_merges < 0) {
+            throw new Error(`vocab_size должен быть не меньше ${byte_offset + 256} (специальные токены + 256 байтов).`);
+        }
+        if (!(min_frequency >= 1)) {
+            throw new Error(`min_frequency должно быть не меньше 1, получено ${min_frequency}.`);
+        }
+
+        // Частоты уникальных "слов"; каждое слово - последовательность ID токенов
+        const word_counts = new Map();
+        for (const word of text.match(PRETOKENIZE_PATTERN) || []) {
+            word_counts.set(word, (word_counts.get(word) || 0) + 1);
+        }
+        const encoder = new TextEncoder();
+        const words = [...word_counts].map(([word, count]) => ({
+            ids: Array.from(encoder.encode(word), b => b + byte_offset),
+            count
+        }));
+
+        // Пары соседних токенов: "a,b" -> { a, b, count, words }, где words - индексы слов с этой парой
+        const pairs = new Map();
+        const countPairs = (w, sign) => {
+            const { ids, count } = words[w];
+            for (let i = 0; i < ids.length - 1; i++) {
+                const key = `${ids[i]},${ids[i + 1]}`;
+                let pair = pairs.get(key);
+                if (!pair) {
+                    pair = { a: ids[i], b: ids[i + 1], count: 0, words: new Set() };
+                    pairs.set(key, pair);
+                }
+                pair.count += sign * count;
+                if (sign > 0) pair.words.add(w);
+                else pair.words.delete(w);
+                if (pair.count === 0) pairs.delete(key);
+            }
+        };
+        words.forEach((_, w) => countPairs(w, 1));
+
+        const merges = [];
+        while (merges.length < num_merges) {
+            let best = null;
+            for (const pair of pairs.values()) {
+                if (pair.count < min_frequency) continue;
+                if (best === null || pair.count > best.count ||
+                    (pair.count === best.count && (pair.a < best.a || (pair.a === best.a && pair.b < best.b)))) {
+                    best = pair;
+                }
+            }
+            if (best === null) break; // Все оставшиеся пары встречаются реже min_frequency раз
+
+            const { a, b } = best;
+            const new_id = byte_offset + 256 + merges.length;
+            merges.push([a, b]);
+            // Слова с объединенной парой: вычитаем их старые пары и добавляем новые
+            for (const w of [...best.words]) {
+                countPairs(w, -1);
+                words[w].ids = BPETokenizer._merge_pair(words[w].ids, a, b, new_id);
+                countPairs(w, 1);
+            }
+        }
+        return new BPETokenizer(merges, special_tokens);
+    }
+
+    static _merge_pair(ids, a, b, new_id) {
+        const result = [];
+        for (let i = 0; i < ids.length; i++) {
+            if (i < ids.length - 1 && ids[i] === a && ids[i + 1] === b) {
+                result.push(new_id);
+                i++;
+            } else {
+                result.push(ids[i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * ID специального токена.
+     * @param {string} token - Например '<eos>'.
+     * @returns {number}
+     */
+    special_token_id(token) {
+        if (!this.special_to_id.has(token)) throw new Error(`Специальный токен ${token} не найден.`);
+        return this.special_to_id.get(token);
+    }
+
+    _encode_word(word) {
+        if (this._cache.has(word)) return this._cache.get(word);
+        let ids = Array.from(new TextEncoder().encode(word), b => b + this.byte_offset);
+        // Применяем слияния в порядке их ранга, пока есть применимые пары
+        while (ids.length > 1) {
+            let best = null;
+            for (let i = 0; i < ids.length - 1; i++) {
+                const merge = this.merge_ranks.get(`${ids[i]},${ids[i + 1]}`);
+                if (merge && (best === null || merge[0] < best[0])) best = merge;
+            }
+            if (best === null) break;
+            const [a, b] = this.merges[best[0]];
+            ids = BPETokenizer._merge_pair(ids, a, b, best[1]);
+        }
+        this._cache.set(word, ids);
+        return ids;
+    }
+
+    /**
+     * Кодирует строку. Специальные токены, встреченные в тексте буквально (например '<eos>'),
+     * кодируются своими ID.
+     * @param {string} text
+     * @returns {number[]}
+     */
+    encode(text) {
+        const encoded = [];
+        const parts = this._special_pattern ? text.split(this._special_pattern) : [text];
+        for (const part of parts) {
+            if (this.special_to_id.has(part)) {
+                encoded.push(this.special_to_id.get(part));
+                continue;
+            }
+            for (const word of part.match(PRETOKENIZE_PATTERN) || []) {
+                encoded.push(...this._encode_word(word));
+            }
+        }
+        return encoded;
+    }
+
+    /**
+     * Декодирует ID в строку. Неполные последовательности UTF-8 заменяются символом U+FFFD.
+     * @param {number[]} ids
+     * @returns {string}
+     */
+    decode(ids) {
+        const bytes = [];
+        for (const id of ids) {
+            if (id >= 0 && id < this.token_bytes.length) bytes.push(...this.token_bytes[id]);
+        }
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+
+    /**
+     * @returns {{type: string, special_tokens: string[], merges: Array<[number, number]>}}
+     */
+    to_json() {
+        return { type: 'bpe', special_tokens: [...this.special_tokens], merges: this.merges.map(pair => [...pair]) };
+    }
+
+    /**
+     * @param {{special_tokens: string[], merges: Array<[number, number]>}} json
+     * @returns {BPETokenizer}
+     */
+    static from_json(json) {
+        return new BPETokenizer(json.merges, json.special_tokens);
+    }
+}
+
+export { Tokenizer, CharacterTokenizer, BPETokenizer };
\ No newline at end of file
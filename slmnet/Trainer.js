@@ -0,0 +1,221 @@
+/**
+ * @file slmnet/Trainer.js
+ * @description slmnetGPT v2.0 - Универсальный цикл обучения.
+ *
+ * Trainer выполняет шаги оптимизации (с накоплением градиентов по микро-батчам и
+ * ограничением градиентов), периодически считает ошибку на проверочных данных и
+ * сообщает о событиях через обратные вызовы. Один и тот же цикл используют страница
+ * (через фоновый поток) и Node-скрипты.
+ *
+ *   const trainer = new Trainer(model, optimizer, {
+ *       train_data: () => getBatch(...),          // { x, y }
+ *       max_grad_norm: 1.0,
+ *       callbacks: { onStepEnd: ({ step, loss }) => console.log(step, loss) }
+ *   });
+ *   const { reason, step } = await trainer.fit(1000);
+ */
+
+import { no_grad } from './Tensor.js';
+import { cross_entropy_loss } from './Losses.js';
+
+/**
+ * Ограничивает глобальную норму градиентов всех параметров (масштабирует их на месте).
+ * @param {Tensor[]} parameters
+ * @param {number} max_norm
+ * @returns {number} - Норма градиентов до ограничения.
+ */
+function clip_grad_norm(parameters, max_norm) {
+    let total_norm_sq = 0;
+    for (const p of parameters) {
+        if (p.grad) {
+            for (const grad_val of p.grad.data) {
+                total_norm_sq += grad_val * grad_val;
+            }
+        }
+    }
+    const total_norm = Math.sqrt(total_norm_sq);
+
+    if (total_norm > max_norm) {
+        const scale_factor = max_norm / total_norm;
+        for (const p of parameters) {
+            if (p.grad) {
+                for (let i = 0; i < p.grad.data.length; i++) {
+                    p.grad.data[i] *= scale_factor;
+                }
+            }
+        }
+    }
+    return total_norm;
+}
+
+/**
+ * Обрезает каждое значение градиента до отрезка [-clip_value, clip_value] (на месте).
+ * @param {Tensor[]} parameters
+ * @param {number} clip_value
+ */
+function clip_grad_value(parameters, clip_value) {
+    for (const p of parameters) {
+        if (p.grad) {
+            for (let i = 0; i < p.grad.data.length; i++) {
+                p.grad.data[i] = Math.min(clip_value, Math.max(-clip_value, p.grad.data[i]));
+            }
+        }
+    }
+}
+
+class Trainer {
+    /**
+     * @param {Layer} model - Модель с методом forward(x).
+     * @param {Optimizer} optimizer
+     * @param {object} options
+     * @param {function(): {x: Tensor, y: Tensor}} options.train_data - Источник обучающих (микро-)батчей.
+     * @param {function(Tensor, Tensor): Tensor} [options.loss_fn=cross_entropy_loss] - loss_fn(выход модели, y) -> скаляр.
+     * @param {number} [options.accumulation_steps=1] - Сколько микро-батчей приходится на один шаг оптимизатора.
+     * @param {number|null} [options.max_grad_norm=null] - Ограничение глобальной нормы градиентов.
+     * @param {number|null} [options.clip_value=null] - Ограничение каждого значения градиента.
+     * @param {function(): {x: Tensor, y: Tensor}} [options.eval_data] - Источник проверочных батчей.
+     * @param {function(): object} [options.eval_fn] - Собственная проверка вместо усреднения по eval_data
+     *   (например, slmnet.evaluation.evaluate); возвращает объект метрик с полем loss.
+     * @param {number} [options.eval_every=0] - Период проверки в шагах (0 - не проверять).
+     * @param {number} [options.eval_batches=10] - Сколько батчей усредняется при проверке.
+     * @param {number} [options.checkpoint_every=0] - Период вызова onCheckpoint в шагах (0 - не вызывать).
+     * @param {number} [options.step=0] - Номер начального шага (при продолжении обучения).
+     * @param {object} [options.callbacks] - Обратные вызовы; каждый может вернуть Promise, и цикл его дождется:
+     *   onStepEnd({step, loss, grad_norm, lr}) - после каждого шага оптимизатора;
+     *   onEvalEnd({step, loss, ...}) - после проверки (с метриками eval_fn, если он задан);
+     *   onCheckpoint({step}) - каждые checkpoint_every шагов;
+     *   onNaN({step, loss, grad_norm}) - ошибка или норма градиентов не является конечным числом (шаг оптимизатора
+     *   не выполнен); если вернуть 'skip', шаг пропускается и fit берет следующий батч, иначе обучение останавливается.
+     */
+    constructor(model, optimizer, options = {}) {
+        if (typeof options.train_data !== 'function') {
+            throw new Error("Trainer: нужно указать источник обучающих батчей (options.train_data).");
+        }
+        this.model = model;
+        this.optimizer = optimizer;
+        this.train_data = options.train_data;
+        this.loss_fn = options.loss_fn ?? cross_entropy_loss;
+        this.accumulation_steps = options.accumulation_steps ?? 1;
+        this.max_grad_norm = options.max_grad_norm ?? null;
+        this.clip_value = options.clip_value ?? null;
+        this.eval_data = options.eval_data ?? null;
+        this.eval_fn = options.eval_fn ?? null;
+        this.eval_every = options.eval_every ?? 0;
+        this.eval_batches = options.eval_batches ?? 10;
+        this.checkpoint_every = options.checkpoint_every ?? 0;
+        this.callbacks = options.callbacks ?? {};
+        this.step = options.step ?? 0; // Сколько шагов оптимизатора уже сделано
+        this.stopped = false;
+
+        if (!(this.accumulation_steps >= 1)) {
+            throw new Error("accumulation_steps должно быть не меньше 1.");
+        }
+    }
+
+    /**
+     * Один шаг оптимизатора: накопление градиентов по accumulation_steps микро-батчам,
+     * ограничение градиентов, шаг оптимизатора и расписания скорости обучения.
+     * @returns {{loss: number, grad_norm: number, lr: number}} - loss - средняя ошибка микро-батчей.
+     *   При loss = NaN или бесконечной (NaN) норме градиентов шаг оптимизатора не выполняется и параметры не меняются.
+     */
+    train_step() {
+        const parameters = this.optimizer.parameters;
+        this.optimizer.zero_grad();
+        let total_loss = 0;
+        for (let micro = 0; micro < this.accumulation_steps; micro++) {
+            const { x, y } = this.train_data();
+            const loss = this.loss_fn(this.model.forward(x), y);
+            total_loss += loss.data[0];
+            if (isNaN(loss.data[0])) {
+                return { loss: NaN, grad_norm: NaN, lr: this.optimizer.lr };
+            }
+            // Градиенты микро-батчей складываются; деление дает градиент средней ошибки.
+            // Граф микро-батча освобождается сразу: следующему он уже не нужен
+            (this.accumulation_steps > 1 ? loss.mul(1 / this.accumulation_steps) : loss).backward({ release_graph: true });
+        }
+
+        if (this.clip_value !== null) clip_grad_value(parameters, this.clip_value);
+        const grad_norm = clip_grad_norm(parameters, this.max_grad_norm ?? Infinity);
+        const lr = this.optimizer.lr;
+        // Конечная ошибка не гарантирует конечных градиентов (переполнение в обратном проходе)
+        if (!Number.isFinite(grad_norm)) {
+            return { loss: total_loss / this.accumulation_steps, grad_norm, lr };
+        }
+        this.optimizer.step();
+        this.optimizer.scheduler?.step();
+        return { loss: total_loss / this.accumulation_steps, grad_norm, lr };
+    }
+
+    /**
+     * Проверка: результат eval_fn или средняя ошибка на eval_batches проверочных батчах.
+     * Модель временно переводится в режим eval; прежний режим возвращается и при исключении.
+     * @returns {{loss: number}}
+     */
+    evaluate() {
+        if (!this.eval_fn && !this.eval_data) {
+            throw new Error("Trainer: не задан источник проверочных батчей (options.eval_data или options.eval_fn).");
+        }
+        const was_training = this.model.training;
+        this.model.eval();
+        try {
+            if (this.eval_fn) {
+                return this.eval_fn();
+            }
+            let total = 0;
+            no_grad(() => {
+                for (let i = 0; i < this.eval_batches; i++) {
+                    const { x, y } = this.eval_data();
+                    total += this.loss_fn(this.model.forward(x), y).data[0];
+                }
+            });
+            return { loss: total / this.eval_batches };
+        } finally {
+            if (was_training) this.model.train();
+        }
+    }
+
+    /** Просит fit() остановиться перед следующим шагом. */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Выполняет num_steps шагов оптимизатора: шаги, пропущенные по ответу onNaN 'skip', не засчитываются,
+     * и при успешном завершении this.step вырастает ровно на num_steps. Если onNaN пропускает шаги
+     * бесконечно, остановить обучение можно через stop().
+     * @param {number} num_steps
+     * @returns {Promise<{reason: 'completed'|'cancelled'|'nan', step: number}>}
+     */
+    async fit(num_steps) {
+        const { onStepEnd, onEvalEnd, onCheckpoint, onNaN } = this.callbacks;
+        this.stopped = false;
+        this.model.train();
+
+        const target_step = this.step + num_steps;
+        while (this.step < target_step) {
+            if (this.stopped) {
+                return { reason: 'cancelled', step: this.step };
+            }
+
+            const { loss, grad_norm, lr } = this.train_step();
+            if (isNaN(loss) || !Number.isFinite(grad_norm)) {
+                const action = onNaN ? await onNaN({ step: this.step, loss, grad_norm }) : undefined;
+                if (action === 'skip') continue;
+                return { reason: 'nan', step: this.step };
+            }
+            if (onStepEnd) await onStepEnd({ step: this.step, loss, grad_norm, lr });
+            this.step++;
+
+            if (this.eval_every > 0 && (this.eval_data || this.eval_fn) && this.step % this.eval_every === 0) {
+                const metrics = this.evaluate();
+                if (onEvalEnd) await onEvalEnd({ step: this.step, ...metrics });
+            }
+            if (this.checkpoint_every > 0 && this.step % this.checkpoint_every === 0 && onCheckpoint) {
+                await onCheckpoint({ step: this.step });
+            }
+        }
+        return { reason: this.stopped ? 'cancelled' : 'completed', step: this.step };
+    }
+}
+
+export { Trainer, clip_grad_norm, clip_grad_value };
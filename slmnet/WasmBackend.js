@@ -0,0 +1,709 @@
+/**
+ * @file slmnet/WasmBackend.js
+ * @description slmnetGPT v2.0 - Бэкенд на WebAssembly SIMD (браузеры и Node.js 20+).
+ *
+ * Модуль WebAssembly собирается прямо здесь небольшим ассемблером (без внешних инструментов):
+ * ядра обрабатывают по четыре float32 за инструкцию (f32x4). Тензоры живут в обычных Float32Array,
+ * поэтому каждое ядро копирует входы в память модуля и результат обратно. Для matmul копирование (O(n^2))
+ * окупается вычислением (O(n^3)); линейные ядра (поэлементные, softmax, layernorm, gather/scatter_add)
+ * выигрывают только за счет SIMD. В WebAssembly нет exp, log, tanh и pow: модуль импортирует их из Math,
+ * поэтому softmax вызывает Math.exp на каждый элемент, а функции активаций (кроме neg, relu и sqrt)
+ * считаются поэлементно в float64 по тем же формулам, что и в JSBackend. От JSBackend наследуется
+ * только matmul_int8 (квантизованный вывод, Quantization.js).
+ */
+
+import { JSBackend } from './Backend.js';
+
+// --- Мини-ассемблер WebAssembly (только то, что нужно ядрам ниже) ---
+
+function uleb(n) {
+    const bytes = [];
+    do {
+        let byte = n & 0x7f;
+        n >>>= 7;
+        if (n !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (n !== 0);
+    return bytes;
+}
+
+function sleb(n) {
+    const bytes = [];
+    for (;;) {
+        const byte = n & 0x7f;
+        n >>= 7;
+        if ((n === 0 && !(byte & 0x40)) || (n === -1 && (byte & 0x40))) {
+            bytes.push(byte);
+            return bytes;
+        }
+        bytes.push(byte | 0x80);
+    }
+}
+
+const vec = (items) => [...uleb(items.length), ...items.flat()];
+const section = (id, bytes) => [id, ...uleb(bytes.length), ...bytes];
+const name = (text) => vec([...new TextEncoder().encode(text)].map(byte => [byte]));
+
+const I32 = 0x7f;
+const F32 = 0x7d;
+const F64 = 0x7c;
+const V128 = 0x7b;
+
+// Константы кодируются little-endian
+function constant(opcode, bytes, write) {
+    const buffer = new DataView(new ArrayBuffer(bytes));
+    write(buffer);
+    return [opcode, ...new Uint8Array(buffer.buffer)];
+}
+
+const get = (local) => [0x20, ...uleb(local)];
+const set = (local) => [0x21, ...uleb(local)];
+const tee = (local) => [0x22, ...uleb(local)];
+const i32 = (value) => [0x41, ...sleb(value)];
+const f32 = (value) => constant(0x43, 4, view => view.setFloat32(0, value, true));
+const f64 = (value) => constant(0x44, 8, view => view.setFloat64(0, value, true));
+const call = (index) => [0x10, ...uleb(index)];
+const select = [0x1b];
+const i32_add = [0x6a];
+const i32_mul = [0x6c];
+const i32_and = [0x71];
+const i32_shl = [0x74];
+const i32_lt_s = [0x48];
+const i32_ge_s = [0x4e];
+const i32_load = [0x28, 2, 0];
+const f32_load = [0x2a, 2, 0];   // выравнивание 2^2, смещение 0
+const f32_store = [0x38, 2, 0];
+const f32_ops = { add: [0x92], sub: [0x93], mul: [0x94], div: [0x95], max: [0x97] };
+const f32_sqrt = [0x91];
+const f32_from_i32 = [0xb2];     // f32.convert_i32_s
+const f32_demote = [0xb6];       // f64 -> f32
+const f64_promote = [0xbb];      // f32 -> f64
+const memory_copy = [0xfc, ...uleb(10), 0, 0];
+const simd = (opcode, ...immediates) => [0xfd, ...uleb(opcode), ...immediates];
+const v128_load = simd(0, 4, 0); // выравнивание 2^4, смещение 0
+const v128_store = simd(11, 4, 0);
+const f32x4_splat = simd(19);
+const f32x4_lane = (lane) => simd(31, lane);
+const f32x4_ops = { add: simd(228), sub: simd(229), mul: simd(230), div: simd(231), max: simd(233) };
+
+// if без результата и if-else с результатом type
+const when = (condition, body) => [...condition, 0x04, 0x40, ...body, 0x0b];
+const either = (type, condition, then, otherwise) => [...condition, 0x04, type, ...then, 0x05, ...otherwise, 0x0b];
+
+// Адрес элемента float32 или int32: base + index * 4
+const address = (base, index) => [...get(base), ...index, ...i32(2), ...i32_shl, ...i32_add];
+const load = (base, index) => [...address(base, index), ...f32_load];
+
+// for (local = from; local < to; local += step) { body }
+function forRange(local, from, to, step, body) {
+    return [
+        ...from, ...set(local),
+        0x02, 0x40, 0x03, 0x40,                       // block, loop
+        ...get(local), ...to, ...i32_ge_s, 0x0d, 1,   // br_if: выход из block при local >= to
+        ...body,
+        ...get(local), ...i32(step), ...i32_add, ...set(local),
+        0x0c, 0, 0x0b, 0x0b                           // br: к началу loop; end, end
+    ];
+}
+
+// Ширины цикла по строке: четверки f32x4 и скалярный хвост. pick(vector, scalar) выбирает
+// локальную переменную своей ширины (v128 или f32) для накопителей и размноженных констант
+const VECTOR = { load: v128_load, store: v128_store, ops: f32x4_ops, sqrt: simd(227), neg: simd(225), pick: (vector) => vector };
+const SCALAR = { load: f32_load, store: f32_store, ops: f32_ops, sqrt: f32_sqrt, neg: [0x8c], pick: (vector, scalar) => scalar };
+
+// for (j = 0; j < n; j++) { body }: до n & ~3 - четверками (body(VECTOR)), остаток - по одному (body(SCALAR))
+function lanewise(j, n, n4, body) {
+    return [
+        ...get(n), ...i32(-4), ...i32_and, ...set(n4),
+        ...forRange(j, i32(0), get(n4), 4, body(VECTOR)),
+        ...forRange(j, get(n4), get(n), 1, body(SCALAR))
+    ];
+}
+
+// Свертка четырех полос v128 в одно число f32 операцией op
+const reduceLanes = (vector, op) => [
+    ...get(vector), ...f32x4_lane(0), ...get(vector), ...f32x4_lane(1), ...op,
+    ...get(vector), ...f32x4_lane(2), ...op, ...get(vector), ...f32x4_lane(3), ...op
+];
+
+/**
+ * Номера локальных переменных функции: сначала параметры, затем локальные, по порядку объявления.
+ * @param {Object<string, number>} params - Имя -> тип параметра.
+ * @param {Object<string, number>} [locals] - Имя -> тип локальной переменной.
+ */
+function frame(params, locals = {}) {
+    const names = [...Object.keys(params), ...Object.keys(locals)];
+    return {
+        index: Object.fromEntries(names.map((key, i) => [key, i])),
+        params: Object.values(params),
+        locals: Object.values(locals).map(type => [1, type])
+    };
+}
+
+// Функции Math, которых нет в WebAssembly: импортируются модулем и вызываются по номеру
+const IMPORTS = [['exp', 1], ['log', 1], ['tanh', 1], ['pow', 2]];
+const math = (fn, ...args) => [...args.flat(), ...call(IMPORTS.findIndex(([import_name]) => import_name === fn))];
+
+// Выражения float64 для функций активаций: повторяют формулы UNARY из Backend.js
+const add = (a, b) => [...a, ...b, 0xa0];
+const sub = (a, b) => [...a, ...b, 0xa1];
+const mul = (a, b) => [...a, ...b, 0xa2];
+const div = (a, b) => [...a, ...b, 0xa3];
+const neg = (a) => [...a, 0x9a];
+const abs = (a) => [...a, 0x99];
+const positive = (a) => [...a, ...f64(0), 0x64];  // a > 0
+const negative = (a) => [...a, ...f64(0), 0x63];  // a < 0
+const choose = (condition, then, otherwise) => [...then, ...otherwise, ...condition, ...select];
+
+const GELU_SCALE = Math.sqrt(2 / Math.PI);
+
+/**
+ * Значения и производные функций Backend.unary; t - три локальные переменные f64 для промежуточных значений.
+ * forward(x, param, t) и backward(x, y, param, t) возвращают код, оставляющий на стеке одно число f64.
+ */
+function activations(t) {
+    // Приближение erf Абрамовица-Стиган 7.1.26 (как в Backend.js)
+    const erf = (v) => [
+        ...v, ...set(t[0]),
+        ...abs(get(t[0])), ...set(t[1]),
+        ...div(f64(1), add(f64(1), mul(f64(0.3275911), get(t[1])))), ...set(t[2]),
+        ...mul(
+            choose(negative(get(t[0])), f64(-1), f64(1)),
+            sub(f64(1), mul(
+                mul(get(t[2]), add(f64(0.254829592), mul(get(t[2]), add(f64(-0.284496736), mul(get(t[2]),
+                    add(f64(1.421413741), mul(get(t[2]), add(f64(-1.453152027), mul(get(t[2]), f64(1.061405429)))))))))),
+                math('exp', mul(neg(get(t[1])), get(t[1])))
+            ))
+        )
+    ];
+    const cdf = (x) => mul(f64(0.5), add(f64(1), erf(div(x, f64(Math.SQRT2)))));
+    const pdf = (x) => div(math('exp', mul(mul(f64(-0.5), x), x)), f64(Math.sqrt(2 * Math.PI)));
+    const sigmoid = (x) => div(f64(1), add(f64(1), math('exp', neg(x))));
+    const gelu_inner = (x) => mul(f64(GELU_SCALE), add(x, mul(mul(mul(f64(0.044715), x), x), x)));
+    return {
+        exp: { forward: (x) => math('exp', x), backward: (x, y) => y },
+        log: { forward: (x) => math('log', x), backward: (x) => div(f64(1), x) },
+        tanh: { forward: (x) => math('tanh', x), backward: (x, y) => sub(f64(1), mul(y, y)) },
+        pow: {
+            forward: (x, n) => math('pow', x, n),
+            backward: (x, y, n) => mul(n, math('pow', x, sub(n, f64(1))))
+        },
+        sigmoid: { forward: sigmoid, backward: (x, y) => mul(y, sub(f64(1), y)) },
+        gelu: { forward: (x) => mul(x, cdf(x)), backward: (x) => add(cdf(x), mul(x, pdf(x))) },
+        gelu_tanh: {
+            forward: (x) => mul(mul(f64(0.5), x), add(f64(1), math('tanh', gelu_inner(x)))),
+            backward: (x) => [
+                ...math('tanh', gelu_inner(x)), ...set(t[0]),
+                ...add(
+                    mul(f64(0.5), add(f64(1), get(t[0]))),
+                    mul(mul(mul(mul(f64(0.5), x), sub(f64(1), mul(get(t[0]), get(t[0])))), f64(GELU_SCALE)),
+                        add(f64(1), mul(mul(f64(3 * 0.044715), x), x)))
+                )
+            ]
+        },
+        silu: {
+            forward: (x) => div(x, add(f64(1), math('exp', neg(x)))),
+            backward: (x) => [
+                ...sigmoid(x), ...set(t[0]),
+                ...mul(get(t[0]), add(f64(1), mul(x, sub(f64(1), get(t[0])))))
+            ]
+        },
+        leaky_relu: {
+            forward: (x, slope) => choose(positive(x), x, mul(slope, x)),
+            backward: (x, y, slope) => choose(positive(x), f64(1), slope)
+        },
+        // neg, relu и sqrt вперед считаются четверками (SIMD_UNARY), здесь - только производные
+        neg: { backward: () => f64(-1) },
+        relu: { backward: (x) => choose(positive(x), f64(1), f64(0)) },
+        sqrt: { backward: (x, y) => div(f64(0.5), y) }
+    };
+}
+
+// Функции, которые считаются четверками f32x4: результат совпадает с float64 JSBackend после округления
+const SIMD_UNARY = {
+    neg: (w) => w.neg,
+    relu: (w) => [...(w === VECTOR ? [...f32(0), ...f32x4_splat] : f32(0)), ...w.ops.max],
+    sqrt: (w) => w.sqrt
+};
+const UNARY_OPS = ['neg', 'exp', 'log', 'sqrt', 'tanh', 'pow', 'relu', 'sigmoid', 'gelu', 'gelu_tanh', 'silu', 'leaky_relu'];
+
+/**
+ * matmul(out, a, b, M, K, N, a_row, a_col, b_row): out[M, N] += A[M, K] * B[K, N],
+ * A(i, k) = a[i * a_row + k * a_col], строки B идут подряд с шагом b_row (адреса - в байтах).
+ * Порядок i-k-j: A(i, k) размножается на четыре полосы и умножается на четверки строки B.
+ */
+function matmulFunction() {
+    const f = frame(
+        { out: I32, a: I32, b: I32, M: I32, K: I32, N: I32, a_row: I32, a_col: I32, b_row: I32 },
+        { i: I32, k: I32, j: I32, out_row: I32, b_start: I32, n4: I32, x: F32, xs: V128 }
+    );
+    const { out, a, b, M, K, N, a_row, a_col, b_row, i, k, j, out_row, b_start, n4, x, xs } = f.index;
+    const body = forRange(i, i32(0), get(M), 1, [
+        ...address(out, [...get(i), ...get(N), ...i32_mul]), ...set(out_row),
+        ...forRange(k, i32(0), get(K), 1, [
+            ...load(a, [...get(i), ...get(a_row), ...i32_mul, ...get(k), ...get(a_col), ...i32_mul, ...i32_add]),
+            ...tee(x), ...f32x4_splat, ...set(xs),
+            ...address(b, [...get(k), ...get(b_row), ...i32_mul]), ...set(b_start),
+            ...lanewise(j, N, n4, w => [
+                ...address(out_row, get(j)),
+                ...address(out_row, get(j)), ...w.load,
+                ...get(w.pick(xs, x)), ...address(b_start, get(j)), ...w.load, ...w.ops.mul, ...w.ops.add,
+                ...w.store
+            ])
+        ])
+    ]);
+    return { ...f, body };
+}
+
+// binary_<op>(out, a, b, n): out[i] = a[i] op b[i] (адреса - в байтах)
+function binaryFunction(op) {
+    const f = frame({ out: I32, a: I32, b: I32, n: I32 }, { i: I32, n4: I32 });
+    const { out, a, b, n, i, n4 } = f.index;
+    const body = lanewise(i, n, n4, w => [
+        ...address(out, get(i)),
+        ...address(a, get(i)), ...w.load,
+        ...address(b, get(i)), ...w.load,
+        ...w.ops[op], ...w.store
+    ]);
+    return { ...f, body };
+}
+
+// binary_indexed_<op>(out, a, b, index_a, index_b, n): out[i] = a[index_a[i]] op b[index_b[i]];
+// адрес таблицы индексов -1 означает тождественные индексы
+function binaryIndexedFunction(op) {
+    const f = frame({ out: I32, a: I32, b: I32, index_a: I32, index_b: I32, n: I32 }, { i: I32 });
+    const { out, a, b, index_a, index_b, n, i } = f.index;
+    const element = (base, index) => load(base, either(I32, [...get(index), ...i32(0), ...i32_lt_s],
+        get(i), [...address(index, get(i)), ...i32_load]));
+    const body = forRange(i, i32(0), get(n), 1, [
+        ...address(out, get(i)),
+        ...element(a, index_a), ...element(b, index_b), ...f32_ops[op],
+        ...f32_store
+    ]);
+    return { ...f, body };
+}
+
+// unary_<op>(out, x, n, param): out[i] = op(x[i])
+function unaryFunction(op) {
+    const f = frame({ out: I32, x: I32, n: I32, param: F64 }, { i: I32, n4: I32, value: F64, t0: F64, t1: F64, t2: F64 });
+    const { out, x, n, param, i, n4, value, t0, t1, t2 } = f.index;
+    if (SIMD_UNARY[op]) {
+        const body = lanewise(i, n, n4, w => [...address(out, get(i)), ...address(x, get(i)), ...w.load, ...SIMD_UNARY[op](w), ...w.store]);
+        return { ...f, body };
+    }
+    const { forward } = activations([t0, t1, t2])[op];
+    const body = forRange(i, i32(0), get(n), 1, [
+        ...address(out, get(i)),
+        ...load(x, get(i)), ...f64_promote, ...set(value),
+        ...forward(get(value), get(param)), ...f32_demote,
+        ...f32_store
+    ]);
+    return { ...f, body };
+}
+
+// unary_backward_<op>(grad_x, x, y, grad_y, n, param): grad_x[i] += op'(x[i]) * grad_y[i]
+function unaryBackwardFunction(op) {
+    const f = frame({ grad_x: I32, x: I32, y: I32, grad_y: I32, n: I32, param: F64 }, { i: I32, value: F64, result: F64, t0: F64, t1: F64, t2: F64 });
+    const { grad_x, x, y, grad_y, n, param, i, value, result, t0, t1, t2 } = f.index;
+    const { backward } = activations([t0, t1, t2])[op];
+    const body = forRange(i, i32(0), get(n), 1, [
+        ...address(grad_x, get(i)),
+        ...load(x, get(i)), ...f64_promote, ...set(value),
+        ...load(y, get(i)), ...f64_promote, ...set(result),
+        ...add(
+            [...load(grad_x, get(i)), ...f64_promote],
+            mul(backward(get(value), get(result), get(param)), [...load(grad_y, get(i)), ...f64_promote])
+        ),
+        ...f32_demote, ...f32_store
+    ]);
+    return { ...f, body };
+}
+
+// softmax(out, x, rows, cols): максимум и нормировка четверками, exp - импорт Math.exp с суммой в float64
+function softmaxFunction() {
+    const f = frame(
+        { out: I32, x: I32, rows: I32, cols: I32 },
+        { r: I32, j: I32, n4: I32, row_x: I32, row_out: I32, max: F32, max4: V128, exp: F64, sum: F64, total: F32, total4: V128 }
+    );
+    const { out, x, rows, cols, r, j, n4, row_x, row_out, max, max4, exp, sum, total, total4 } = f.index;
+    const body = forRange(r, i32(0), get(rows), 1, [
+        ...address(x, [...get(r), ...get(cols), ...i32_mul]), ...set(row_x),
+        ...address(out, [...get(r), ...get(cols), ...i32_mul]), ...set(row_out),
+        ...f32(-Infinity), ...tee(max), ...f32x4_splat, ...set(max4),
+        ...lanewise(j, cols, n4, w => [
+            ...get(w.pick(max4, max)), ...address(row_x, get(j)), ...w.load, ...w.ops.max, ...set(w.pick(max4, max))
+        ]),
+        ...get(max), ...reduceLanes(max4, f32_ops.max), ...f32_ops.max, ...set(max),
+        ...f64(0), ...set(sum),
+        ...forRange(j, i32(0), get(cols), 1, [
+            ...address(row_out, get(j)),
+            ...math('exp', sub([...load(row_x, get(j)), ...f64_promote], [...get(max), ...f64_promote])), ...tee(exp),
+            ...f32_demote, ...f32_store,
+            ...add(get(sum), get(exp)), ...set(sum)
+        ]),
+        ...get(sum), ...f32_demote, ...tee(total), ...f32x4_splat, ...set(total4),
+        ...lanewise(j, cols, n4, w => [
+            ...address(row_out, get(j)),
+            ...address(row_out, get(j)), ...w.load, ...get(w.pick(total4, total)), ...w.ops.div,
+            ...w.store
+        ])
+    ]);
+    return { ...f, body };
+}
+
+// softmax_backward(grad_x, y, grad_y, rows, cols): grad_x += y * (grad_y - sum(grad_y * y)) построчно
+function softmaxBackwardFunction() {
+    const f = frame(
+        { grad_x: I32, y: I32, grad_y: I32, rows: I32, cols: I32 },
+        { r: I32, j: I32, n4: I32, row_gx: I32, row_y: I32, row_gy: I32, dot: F32, dot4: V128 }
+    );
+    const { grad_x, y, grad_y, rows, cols, r, j, n4, row_gx, row_y, row_gy, dot, dot4 } = f.index;
+    const offset = [...get(r), ...get(cols), ...i32_mul];
+    const body = forRange(r, i32(0), get(rows), 1, [
+        ...address(grad_x, offset), ...set(row_gx),
+        ...address(y, offset), ...set(row_y),
+        ...address(grad_y, offset), ...set(row_gy),
+        ...f32(0), ...tee(dot), ...f32x4_splat, ...set(dot4),
+        ...lanewise(j, cols, n4, w => [
+            ...get(w.pick(dot4, dot)),
+            ...address(row_gy, get(j)), ...w.load, ...address(row_y, get(j)), ...w.load, ...w.ops.mul,
+            ...w.ops.add, ...set(w.pick(dot4, dot))
+        ]),
+        ...get(dot), ...reduceLanes(dot4, f32_ops.add), ...f32_ops.add, ...tee(dot), ...f32x4_splat, ...set(dot4),
+        ...lanewise(j, cols, n4, w => [
+            ...address(row_gx, get(j)),
+            ...address(row_gx, get(j)), ...w.load,
+            ...address(row_y, get(j)), ...w.load,
+            ...address(row_gy, get(j)), ...w.load, ...get(w.pick(dot4, dot)), ...w.ops.sub,
+            ...w.ops.mul, ...w.ops.add,
+            ...w.store
+        ])
+    ]);
+    return { ...f, body };
+}
+
+// layernorm(out, x_hat, rstd, x, gamma, beta, rows, cols, eps): среднее и дисперсия строки - суммами четверками
+function layernormFunction() {
+    const f = frame(
+        { out: I32, x_hat: I32, rstd: I32, x: I32, gamma: I32, beta: I32, rows: I32, cols: I32, eps: F32 },
+        {
+            r: I32, j: I32, n4: I32, row_x: I32, row_xh: I32, row_out: I32,
+            sum: F32, sum4: V128, mean: F32, mean4: V128, scale: F32, scale4: V128, value: F32, value4: V128
+        }
+    );
+    const { out, x_hat, rstd, x, gamma, beta, rows, cols, eps, r, j, n4, row_x, row_xh, row_out,
+        sum, sum4, mean, mean4, scale, scale4, value, value4 } = f.index;
+    const offset = [...get(r), ...get(cols), ...i32_mul];
+    // sum = сумма по строке значений, которые body(w) оставляет на стеке
+    const rowSum = (body) => [
+        ...f32(0), ...tee(sum), ...f32x4_splat, ...set(sum4),
+        ...lanewise(j, cols, n4, w => [...get(w.pick(sum4, sum)), ...body(w), ...w.ops.add, ...set(w.pick(sum4, sum))]),
+        ...get(sum), ...reduceLanes(sum4, f32_ops.add), ...f32_ops.add, ...set(sum)
+    ];
+    const centered = (w) => [...address(row_x, get(j)), ...w.load, ...get(w.pick(mean4, mean)), ...w.ops.sub];
+    const body = forRange(r, i32(0), get(rows), 1, [
+        ...address(x, offset), ...set(row_x),
+        ...address(x_hat, offset), ...set(row_xh),
+        ...address(out, offset), ...set(row_out),
+        ...rowSum(w => [...address(row_x, get(j)), ...w.load]),
+        ...get(sum), ...get(cols), ...f32_from_i32, ...f32_ops.div, ...tee(mean), ...f32x4_splat, ...set(mean4),
+        ...rowSum(w => [...centered(w), ...tee(w.pick(value4, value)), ...get(w.pick(value4, value)), ...w.ops.mul]),
+        // rstd = 1 / sqrt(дисперсия + eps)
+        ...address(rstd, get(r)),
+        ...f32(1), ...get(sum), ...get(cols), ...f32_from_i32, ...f32_ops.div, ...get(eps), ...f32_ops.add, ...f32_sqrt, ...f32_ops.div,
+        ...tee(scale), ...f32_store,
+        ...get(scale), ...f32x4_splat, ...set(scale4),
+        ...lanewise(j, cols, n4, w => [
+            ...address(row_xh, get(j)),
+            ...centered(w), ...get(w.pick(scale4, scale)), ...w.ops.mul, ...tee(w.pick(value4, value)),
+            ...w.store,
+            ...address(row_out, get(j)),
+            ...get(w.pick(value4, value)), ...address(gamma, get(j)), ...w.load, ...w.ops.mul,
+            ...address(beta, get(j)), ...w.load, ...w.ops.add,
+            ...w.store
+        ])
+    ]);
+    return { ...f, body };
+}
+
+// layernorm_backward(grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out, rows, cols):
+// буфер градиента с адресом -1 пропускается
+function layernormBackwardFunction() {
+    const f = frame(
+        { grad_x: I32, grad_gamma: I32, grad_beta: I32, x_hat: I32, rstd: I32, gamma: I32, grad_out: I32, rows: I32, cols: I32 },
+        {
+            r: I32, j: I32, n4: I32, row_gx: I32, row_xh: I32, row_go: I32,
+            d_sum: F32, d_sum4: V128, dx_sum: F32, dx_sum4: V128, d_norm: F32, d_norm4: V128,
+            scale: F32, scale4: V128, count: F32, count4: V128
+        }
+    );
+    const { grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out, rows, cols, r, j, n4, row_gx, row_xh, row_go,
+        d_sum, d_sum4, dx_sum, dx_sum4, d_norm, d_norm4, scale, scale4, count, count4 } = f.index;
+    const offset = [...get(r), ...get(cols), ...i32_mul];
+    const present = (buffer) => [...get(buffer), ...i32(0), ...i32_ge_s];
+    // buffer[j] += value(w) по строке
+    const accumulate = (buffer, value) => lanewise(j, cols, n4, w => [
+        ...address(buffer, get(j)), ...address(buffer, get(j)), ...w.load, ...value(w), ...w.ops.add, ...w.store
+    ]);
+    const upstream = (w) => [...address(row_go, get(j)), ...w.load];
+    const normalized = (w) => [...address(row_xh, get(j)), ...w.load];
+    // d_norm = gamma * upstream
+    const dNorm = (w) => [...address(gamma, get(j)), ...w.load, ...upstream(w), ...w.ops.mul];
+    const body = [
+        ...get(cols), ...f32_from_i32, ...tee(count), ...f32x4_splat, ...set(count4),
+        ...forRange(r, i32(0), get(rows), 1, [
+            ...address(grad_x, offset), ...set(row_gx),
+            ...address(x_hat, offset), ...set(row_xh),
+            ...address(grad_out, offset), ...set(row_go),
+            ...when(present(grad_gamma), accumulate(grad_gamma, w => [...upstream(w), ...normalized(w), ...w.ops.mul])),
+            ...when(present(grad_beta), accumulate(grad_beta, upstream)),
+            ...when(present(grad_x), [
+                // Промежуточные суммы d_norm и d_norm * x_hat по строке
+                ...f32(0), ...tee(d_sum), ...tee(dx_sum), ...f32x4_splat, ...tee(d_sum4), ...set(dx_sum4),
+                ...lanewise(j, cols, n4, w => [
+                    ...get(w.pick(d_sum4, d_sum)), ...dNorm(w), ...tee(w.pick(d_norm4, d_norm)), ...w.ops.add, ...set(w.pick(d_sum4, d_sum)),
+                    ...get(w.pick(dx_sum4, dx_sum)), ...get(w.pick(d_norm4, d_norm)), ...normalized(w), ...w.ops.mul, ...w.ops.add,
+                    ...set(w.pick(dx_sum4, dx_sum))
+                ]),
+                ...get(d_sum), ...reduceLanes(d_sum4, f32_ops.add), ...f32_ops.add, ...tee(d_sum), ...f32x4_splat, ...set(d_sum4),
+                ...get(dx_sum), ...reduceLanes(dx_sum4, f32_ops.add), ...f32_ops.add, ...tee(dx_sum), ...f32x4_splat, ...set(dx_sum4),
+                ...load(rstd, get(r)), ...get(count), ...f32_ops.div, ...tee(scale), ...f32x4_splat, ...set(scale4),
+                // grad_x += rstd / cols * (cols * d_norm - d_sum - x_hat * dx_sum)
+                ...lanewise(j, cols, n4, w => [
+                    ...address(row_gx, get(j)), ...address(row_gx, get(j)), ...w.load,
+                    ...get(w.pick(scale4, scale)),
+                    ...get(w.pick(count4, count)), ...dNorm(w), ...w.ops.mul, ...get(w.pick(d_sum4, d_sum)), ...w.ops.sub,
+                    ...normalized(w), ...get(w.pick(dx_sum4, dx_sum)), ...w.ops.mul, ...w.ops.sub,
+                    ...w.ops.mul, ...w.ops.add, ...w.store
+                ])
+            ])
+        ])
+    ];
+    return { ...f, body };
+}
+
+// gather(out, table, ids, n, dim): строки таблицы копируются memory.copy
+function gatherFunction() {
+    const f = frame({ out: I32, table: I32, ids: I32, n: I32, dim: I32 }, { i: I32 });
+    const { out, table, ids, n, dim, i } = f.index;
+    const body = forRange(i, i32(0), get(n), 1, [
+        ...address(out, [...get(i), ...get(dim), ...i32_mul]),
+        ...address(table, [...address(ids, get(i)), ...i32_load, ...get(dim), ...i32_mul]),
+        ...get(dim), ...i32(2), ...i32_shl,
+        ...memory_copy
+    ]);
+    return { ...f, body };
+}
+
+// scatter_add(grad_table, ids, grad, n, dim): grad_table[ids[i], :] += grad[i, :]
+function scatterAddFunction() {
+    const f = frame({ grad_table: I32, ids: I32, grad: I32, n: I32, dim: I32 }, { i: I32, j: I32, n4: I32, row_t: I32, row_g: I32 });
+    const { grad_table, ids, grad, n, dim, i, j, n4, row_t, row_g } = f.index;
+    const body = forRange(i, i32(0), get(n), 1, [
+        ...address(grad_table, [...address(ids, get(i)), ...i32_load, ...get(dim), ...i32_mul]), ...set(row_t),
+        ...address(grad, [...get(i), ...get(dim), ...i32_mul]), ...set(row_g),
+        ...lanewise(j, dim, n4, w => [
+            ...address(row_t, get(j)),
+            ...address(row_t, get(j)), ...w.load, ...address(row_g, get(j)), ...w.load, ...w.ops.add,
+            ...w.store
+        ])
+    ]);
+    return { ...f, body };
+}
+
+function buildModule() {
+    const functions = {
+        matmul: matmulFunction(),
+        softmax: softmaxFunction(),
+        softmax_backward: softmaxBackwardFunction(),
+        layernorm: layernormFunction(),
+        layernorm_backward: layernormBackwardFunction(),
+        gather: gatherFunction(),
+        scatter_add: scatterAddFunction()
+    };
+    for (const op of ['add', 'sub', 'mul', 'div']) {
+        functions[`binary_${op}`] = binaryFunction(op);
+        functions[`binary_indexed_${op}`] = binaryIndexedFunction(op);
+    }
+    for (const op of UNARY_OPS) {
+        functions[`unary_${op}`] = unaryFunction(op);
+        functions[`unary_backward_${op}`] = unaryBackwardFunction(op);
+    }
+    const entries = Object.entries(functions);
+    // Типы: по одному на импорт и на функцию; ядра ничего не возвращают
+    const types = [
+        ...IMPORTS.map(([, arity]) => [0x60, ...vec(Array.from({ length: arity }, () => [F64])), ...vec([[F64]])]),
+        ...entries.map(([, f]) => [0x60, ...vec(f.params.map(type => [type])), 0])
+    ];
+    const imports = IMPORTS.map(([import_name], index) => [...name('Math'), ...name(import_name), 0x00, ...uleb(index)]);
+    const code = entries.map(([, f]) => {
+        const bytes = [...vec(f.locals.map(([count, type]) => [...uleb(count), type])), ...f.body, 0x0b];
+        return [...uleb(bytes.length), ...bytes];
+    });
+    // Номера функций модуля идут после импортов
+    const exports = [
+        ...entries.map(([export_name], index) => [...name(export_name), 0x00, ...uleb(IMPORTS.length + index)]),
+        [...name('memory'), 0x02, 0]
+    ];
+    return new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, // "\0asm", версия 1
+        ...section(1, vec(types)),
+        ...section(2, vec(imports)),
+        ...section(3, vec(entries.map((_, index) => uleb(IMPORTS.length + index)))),
+        ...section(5, vec([[0x00, 1]])),                  // память: минимум одна страница, без максимума
+        ...section(7, vec(exports)),
+        ...section(10, vec(code))
+    ]);
+}
+
+const PAGE_SIZE = 65536;
+
+class WasmBackend extends JSBackend {
+    /**
+     * Компилирует модуль и создает бэкенд.
+     * @returns {Promise<WasmBackend>} - Отклоняется, если среда не поддерживает WebAssembly SIMD.
+     */
+    static async create() {
+        const bytes = buildModule();
+        if (typeof WebAssembly !== 'object' || !WebAssembly.validate(bytes)) {
+            throw new Error("Среда не поддерживает WebAssembly SIMD.");
+        }
+        const { instance } = await WebAssembly.instantiate(bytes, { Math });
+        return new WasmBackend(instance);
+    }
+
+    /**
+     * @param {WebAssembly.Instance} instance - Экземпляр модуля buildModule().
+     */
+    constructor(instance) {
+        super();
+        this.exports = instance.exports;
+        this.memory = instance.exports.memory;
+    }
+
+    get name() {
+        return 'wasm';
+    }
+
+    // Память модуля как Float32Array не меньше size элементов (после grow старые представления недействительны)
+    _heap(size) {
+        const missing = size * 4 - this.memory.buffer.byteLength;
+        if (missing > 0) this.memory.grow(Math.ceil(missing / PAGE_SIZE));
+        return new Float32Array(this.memory.buffer);
+    }
+
+    /**
+     * Размещает буферы ядра подряд в памяти модуля, выравнивая их по 16 байт (ширина v128).
+     * Массив копируется (Int32Array - как целые, остальные - как float32), число резервирует
+     * выходной буфер такой длины, null получает адрес -1 (буфер не нужен).
+     * @returns {number[]} - Адреса буферов в байтах.
+     */
+    _stage(...buffers) {
+        const sizes = buffers.map(buffer => (buffer === null ? 0 : (typeof buffer === 'number' ? buffer : buffer.length) + 3) & ~3);
+        const heap = this._heap(sizes.reduce((sum, size) => sum + size, 0));
+        const ints = new Int32Array(this.memory.buffer);
+        let offset = 0;
+        return buffers.map((buffer, index) => {
+            if (buffer === null) return -1;
+            if (typeof buffer !== 'number') (buffer instanceof Int32Array ? ints : heap).set(buffer, offset);
+            const ptr = offset * 4;
+            offset += sizes[index];
+            return ptr;
+        });
+    }
+
+    // Копирует результат ядра из памяти модуля (адрес ptr в байтах) в target
+    _unstage(ptr, target) {
+        target.set(new Float32Array(this.memory.buffer, ptr, target.length));
+    }
+
+    matmul(out, a, a_row, a_col, b, b_row, b_col, M, K, N) {
+        // Копирование неплотных строк B (например, транспонированной матрицы) - O(K * N), дешевле умножения
+        const b_packed = b_col !== 1;
+        const [out_ptr, a_ptr, b_ptr] = this._stage(out, a, b_packed ? K * N : b);
+        if (b_packed) {
+            const heap = new Float32Array(this.memory.buffer, b_ptr, K * N);
+            for (let k = 0; k < K; k++) {
+                for (let j = 0; j < N; j++) heap[k * N + j] = b[k * b_row + j * b_col];
+            }
+        }
+        this.exports.matmul(out_ptr, a_ptr, b_ptr, M, K, N, a_row, a_col, b_packed ? N : b_row);
+        this._unstage(out_ptr, out);
+    }
+
+    binary(op, out, a, b, index_a, index_b) {
+        if (!['add', 'sub', 'mul', 'div'].includes(op)) {
+            throw new Error(`Неизвестная поэлементная операция: ${op}.`);
+        }
+        const n = out.length;
+        if (index_a || index_b) {
+            const [out_ptr, a_ptr, b_ptr, index_a_ptr, index_b_ptr] = this._stage(n, a, b, index_a, index_b);
+            this.exports[`binary_indexed_${op}`](out_ptr, a_ptr, b_ptr, index_a_ptr, index_b_ptr, n);
+            this._unstage(out_ptr, out);
+            return;
+        }
+        const [out_ptr, a_ptr, b_ptr] = this._stage(n, a, b);
+        this.exports[`binary_${op}`](out_ptr, a_ptr, b_ptr, n);
+        this._unstage(out_ptr, out);
+    }
+
+    unary(op, out, x, param = 0) {
+        const [out_ptr, x_ptr] = this._stage(out.length, x);
+        this._unaryKernel('unary', op)(out_ptr, x_ptr, out.length, param);
+        this._unstage(out_ptr, out);
+    }
+
+    unary_backward(op, grad_x, x, y, grad_y, param = 0) {
+        const [grad_ptr, x_ptr, y_ptr, grad_y_ptr] = this._stage(grad_x, x, y, grad_y);
+        this._unaryKernel('unary_backward', op)(grad_ptr, x_ptr, y_ptr, grad_y_ptr, grad_x.length, param);
+        this._unstage(grad_ptr, grad_x);
+    }
+
+    _unaryKernel(prefix, op) {
+        if (!UNARY_OPS.includes(op)) {
+            throw new Error(`Неизвестная поэлементная функция: ${op}.`);
+        }
+        return this.exports[`${prefix}_${op}`];
+    }
+
+    softmax(out, x, rows, cols) {
+        const [out_ptr, x_ptr] = this._stage(rows * cols, x);
+        this.exports.softmax(out_ptr, x_ptr, rows, cols);
+        this._unstage(out_ptr, out);
+    }
+
+    softmax_backward(grad_x, y, grad_y, rows, cols) {
+        const [grad_ptr, y_ptr, grad_y_ptr] = this._stage(grad_x, y, grad_y);
+        this.exports.softmax_backward(grad_ptr, y_ptr, grad_y_ptr, rows, cols);
+        this._unstage(grad_ptr, grad_x);
+    }
+
+    layernorm(out, x_hat, rstd, x, gamma, beta, rows, cols, eps) {
+        const size = rows * cols;
+        const [out_ptr, x_hat_ptr, rstd_ptr, x_ptr, gamma_ptr, beta_ptr] = this._stage(size, size, rows, x, gamma, beta);
+        this.exports.layernorm(out_ptr, x_hat_ptr, rstd_ptr, x_ptr, gamma_ptr, beta_ptr, rows, cols, eps);
+        this._unstage(out_ptr, out);
+        this._unstage(x_hat_ptr, x_hat);
+        this._unstage(rstd_ptr, rstd);
+    }
+
+    layernorm_backward(grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out, rows, cols) {
+        const ptrs = this._stage(grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out);
+        this.exports.layernorm_backward(...ptrs, rows, cols);
+        [grad_x, grad_gamma, grad_beta].forEach((grad, i) => grad && this._unstage(ptrs[i], grad));
+    }
+
+    gather(out, table, ids, dim) {
+        const [out_ptr, table_ptr, ids_ptr] = this._stage(out.length, table, Int32Array.from(ids));
+        this.exports.gather(out_ptr, table_ptr, ids_ptr, ids.length, dim);
+        this._unstage(out_ptr, out);
+    }
+
+    scatter_add(grad_table, ids, grad, dim) {
+        const [table_ptr, ids_ptr, grad_ptr] = this._stage(grad_table, Int32Array.from(ids), grad);
+        this.exports.scatter_add(table_ptr, ids_ptr, grad_ptr, ids.length, dim);
+        this._unstage(table_ptr, grad_table);
+    }
+}
+
+export { WasmBackend };
@@ -3,39 +3,125 @@
  * @description slmnetGPT v2.0 - Главный экспортный файл библиотеки.
  */
 
-import { Tensor } from './Tensor.js';
+import { Tensor, no_grad, is_grad_enabled } from './Tensor.js';
 import { Ops } from './Ops.js';
-import { Layer, DenseLayer, Sequential, ReLU, Sigmoid, EmbeddingLayer, LayerNorm, MultiHeadAttention, FeedForward, TransformerBlock } from './Layers.js';
+import { Layer, DenseLayer, Sequential, ReLU, Sigmoid, Tanh, GELU, SiLU, LeakyReLU, Dropout, EmbeddingLayer, SinusoidalPositionalEncoding, LayerNorm, MultiHeadAttention, FeedForward, TransformerBlock, KVCache, record_attention, attention_maps } from './Layers.js';
 // ИЗМЕНЕНИЕ: Импортируем Adam
-import { SGD, Adam } from './Optimizers.js'; 
+import { Optimizer, SGD, Adam, AdamW, RMSProp, Adagrad, Lion, weight_decay_groups } from './Optimizers.js';
+import { LRScheduler, LinearWarmup, CosineDecay, StepDecay, ExponentialDecay, ReduceLROnPlateau, OneCycle, SequentialSchedule, ChainedSchedule } from './Schedulers.js';
 import { cross_entropy_loss } from './Losses.js';
-import { CharacterTokenizer } from './Tokenizer.js';
+import { Tokenizer, CharacterTokenizer, BPETokenizer } from './Tokenizer.js';
+import { save_checkpoint, load_checkpoint } from './Checkpoint.js';
+import { generate } from './Generation.js';
+import { RNG, default_rng, manual_seed } from './Random.js';
+import { gradcheck } from './Testing.js';
+import { Trainer, clip_grad_norm, clip_grad_value } from './Trainer.js';
+import { train_val_split, evaluate } from './Evaluation.js';
+import { Backend, JSBackend, get_backend, set_backend, use_backend } from './Backend.js';
+import { WasmBackend } from './WasmBackend.js';
+import { GPTModel, GPT_DEFAULTS } from './Models.js';
+import { quantize_int8, dequantize_int8, QuantizedDense, QuantizedEmbedding, quantize, quantized_state_dict, load_quantized_state_dict } from './Quantization.js';
 
 const slmnet = {
     Tensor,
     Ops,
+    Trainer,
+    no_grad,
+    is_grad_enabled,
     layers: {
         Layer,
         Dense: DenseLayer,
         Sequential,
         ReLU,
         Sigmoid,
+        Tanh,
+        GELU,
+        SiLU,
+        LeakyReLU,
+        Dropout,
         Embedding: EmbeddingLayer,
+        SinusoidalPositionalEncoding,
         LayerNorm,
         MultiHeadAttention,
         FeedForward,
-        TransformerBlock
+        TransformerBlock,
+        KVCache,
+        record_attention,
+        attention_maps
     },
     optimizers: {
+        Optimizer,
         SGD,
         // ИЗМЕНЕНИЕ: Добавляем Adam
-        Adam 
+        Adam,
+        AdamW,
+        RMSProp,
+        Adagrad,
+        Lion,
+        weight_decay_groups
+    },
+    schedulers: {
+        LRScheduler,
+        LinearWarmup,
+        CosineDecay,
+        StepDecay,
+        ExponentialDecay,
+        ReduceLROnPlateau,
+        OneCycle,
+        SequentialSchedule,
+        ChainedSchedule
+    },
+    training: {
+        clip_grad_norm,
+        clip_grad_value
+    },
+    evaluation: {
+        train_val_split,
+        evaluate
+    },
+    backends: {
+        Backend,
+        JSBackend,
+        WasmBackend,
+        get_backend,
+        set_backend,
+        use_backend
+    },
+    models: {
+        GPTModel,
+        GPT_DEFAULTS
+    },
+    quantization: {
+        quantize,
+        quantize_int8,
+        dequantize_int8,
+        QuantizedDense,
+        QuantizedEmbedding,
+        state_dict: quantized_state_dict,
+        load_state_dict: load_quantized_state_dict
     },
     losses: {
         cross_entropy_loss
     },
     tokenizers: {
-        CharacterTokenizer
+        Tokenizer,
+        CharacterTokenizer,
+        BPETokenizer
+    },
+    checkpoint: {
+        save: save_checkpoint,
+        load: load_checkpoint
+    },
+    generation: {
+        generate
+    },
+    random: {
+        RNG,
+        default_rng,
+        manual_seed
+    },
+    testing: {
+        gradcheck
     }
 };
 
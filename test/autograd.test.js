@@ -0,0 +1,71 @@
+/**
+ * @file test/autograd.test.js
+ * @description Построение графа: no_grad, ленивые буферы градиентов, release_graph (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { tinyTransformer } from './helpers.js';
+
+const { Tensor, losses } = slmnet;
+
+const ids = new Tensor([1, 4, 2, 8, 5, 7, 0, 10], [2, 4]);
+const targets = new Tensor([4, 2, 8, 5, 7, 0, 10, 3]);
+
+test('буфер градиента выделяется при первом накоплении', () => {
+    const x = Tensor.random([2, 3], true);
+    const unused = Tensor.random([4], true);
+    assert.equal(x.grad, null);
+    x.mul(2).sum().backward();
+    assert.deepEqual(Array.from(x.grad.data), [2, 2, 2, 2, 2, 2]);
+    assert.equal(unused.grad, null);
+});
+
+test('no_grad: граф не строится, результат тот же', () => {
+    const model = tinyTransformer(11, 8, 1);
+    const expected = model.forward(ids);
+    assert.ok(expected.requires_grad && expected._ctx);
+
+    const logits = slmnet.no_grad(() => {
+        assert.equal(slmnet.is_grad_enabled(), false);
+        return model.forward(ids);
+    });
+    assert.equal(slmnet.is_grad_enabled(), true);
+    assert.equal(logits.requires_grad, false);
+    assert.equal(logits._ctx, null);
+    assert.deepEqual(logits.data, expected.data);
+    assert.ok(model.parameters().every(p => p.grad === null));
+});
+
+test('no_grad восстанавливает режим после исключения и при вложенности', () => {
+    assert.throws(() => slmnet.no_grad(() => { throw new Error('сбой'); }), /сбой/);
+    assert.equal(slmnet.is_grad_enabled(), true);
+    slmnet.no_grad(() => {
+        slmnet.no_grad(() => {});
+        assert.equal(slmnet.is_grad_enabled(), false);
+    });
+    assert.equal(slmnet.is_grad_enabled(), true);
+});
+
+test('generate не выделяет градиенты параметров', () => {
+    const model = tinyTransformer(11, 8, 2);
+    model.config = { block_size: 4 };
+    const tokenizer = { encode: text => [...text].map(Number), decode: list => list.join(',') };
+    slmnet.generation.generate(model, tokenizer, [1, 2], { max_new_tokens: 5, rng: new slmnet.random.RNG(0) });
+    assert.ok(model.parameters().every(p => p.grad === null));
+});
+
+test('backward с release_graph дает те же градиенты и отвязывает граф', () => {
+    const run = (options) => {
+        const model = tinyTransformer(11, 8, 3);
+        const loss = losses.cross_entropy_loss(model.forward(ids), targets);
+        loss.backward(options);
+        return { loss, grads: model.parameters().map(p => Array.from(p.grad.data)) };
+    };
+    const kept = run();
+    const released = run({ release_graph: true });
+    assert.deepEqual(released.grads, kept.grads);
+    assert.ok(kept.loss._ctx);
+    assert.equal(released.loss._ctx, null);
+});
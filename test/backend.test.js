@@ -0,0 +1,142 @@
+/**
+ * @file test/backend.test.js
+ * @description Соответствие бэкендов: WasmBackend должен совпадать с эталонным JSBackend (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { tinyTransformer, assertClose } from './helpers.js';
+
+const { JSBackend, WasmBackend, get_backend, set_backend } = slmnet.backends;
+
+const rng = new slmnet.random.RNG(7);
+const reference = new JSBackend();
+const wasm = await WasmBackend.create().catch(() => null);
+const skip = wasm ? false : "среда не поддерживает WebAssembly SIMD";
+
+function random(size, low = -1, high = 1) {
+    return Float32Array.from({ length: size }, () => rng.uniform(low, high));
+}
+
+// Вызывает ядро обоих бэкендов на копиях выходных буферов и сравнивает их с допуском: результаты считаются
+// в разном порядке (SIMD-полосы, float32 против float64). call(backend, ...outputs) запускает ядро с этими буферами
+function assertSameKernel(outputs, call, tolerance) {
+    const expected = outputs.map(out => out.slice());
+    const actual = outputs.map(out => out.slice());
+    call(reference, ...expected);
+    call(wasm, ...actual);
+    expected.forEach((out, i) => assertClose(actual[i], out, tolerance));
+}
+
+// Размеры, не кратные четырем, проверяют скалярные хвосты SIMD-циклов
+const MATMUL_SHAPES = [[1, 1, 1], [3, 5, 7], [16, 8, 12], [33, 17, 70]];
+
+test("matmul: обычное, с транспонированной A и с транспонированной B", { skip }, () => {
+    for (const [M, K, N] of MATMUL_SHAPES) {
+        const a = random(M * K);
+        const b = random(K * N);
+        const g = random(M * N);
+        // out += A * B (в out уже есть значения - ядро прибавляет)
+        assertSameKernel([random(M * N)], (backend, out) => backend.matmul(out, a, K, 1, b, N, 1, M, K, N));
+        // grad_a += G * B^T
+        assertSameKernel([random(M * K)], (backend, out) => backend.matmul(out, g, N, 1, b, 1, N, M, N, K));
+        // grad_b += A^T * G
+        assertSameKernel([random(K * N)], (backend, out) => backend.matmul(out, a, 1, K, g, N, 1, K, M, N));
+    }
+});
+
+test("binary: поэлементные операции с вещанием и без", { skip }, () => {
+    for (const op of ['add', 'sub', 'mul', 'div']) {
+        for (const n of [1, 5, 64, 1001]) {
+            const [a, b] = [random(n), random(n, 0.5, 2)];
+            assertSameKernel([new Float32Array(n)], (backend, out) => backend.binary(op, out, a, b, null, null));
+        }
+        // Вещание смещения [1, 3] на [4, 3]
+        const [a, b] = [random(12), random(3, 0.5, 2)];
+        const index_b = Int32Array.from({ length: 12 }, (_, i) => i % 3);
+        assertSameKernel([new Float32Array(12)], (backend, out) => backend.binary(op, out, a, b, null, index_b));
+    }
+});
+
+test("WasmBackend реализует все ядра, кроме matmul_int8, сам, а не наследует их от JSBackend", { skip }, () => {
+    const kernels = Object.getOwnPropertyNames(slmnet.backends.Backend.prototype).filter(key => key !== 'constructor' && key !== 'name');
+    const inherited = kernels.filter(key => !Object.hasOwn(WasmBackend.prototype, key));
+    assert.deepEqual(inherited, ['matmul_int8']);
+});
+
+test("unary: функции активаций и их производные", { skip }, () => {
+    const n = 203;
+    const x = random(n, -4, 4);
+    const positive = random(n, 0.1, 4);
+    const grad_y = random(n);
+    for (const [op, param, input] of [
+        ['neg'], ['exp'], ['log', undefined, positive], ['sqrt', undefined, positive], ['tanh'], ['pow', 3], ['pow', 0.5, positive],
+        ['relu'], ['sigmoid'], ['gelu'], ['gelu_tanh'], ['silu'], ['leaky_relu', 0.1]
+    ]) {
+        const values = input ?? x;
+        const y = new Float32Array(n);
+        reference.unary(op, y, values, param);
+        assertSameKernel([new Float32Array(n)], (backend, out) => backend.unary(op, out, values, param));
+        assertSameKernel([random(n)], (backend, grad_x) => backend.unary_backward(op, grad_x, values, y, grad_y, param));
+    }
+    assert.throws(() => wasm.unary('cube', new Float32Array(1), x), /cube/);
+});
+
+test("softmax, layernorm и gather/scatter", { skip }, () => {
+    for (const [rows, cols] of [[6, 11], [3, 64], [2, 1]]) {
+        const x = random(rows * cols, -3, 3);
+        const y = new Float32Array(rows * cols);
+        reference.softmax(y, x, rows, cols);
+        const grad_y = random(rows * cols);
+        assertSameKernel([new Float32Array(rows * cols)], (backend, out) => backend.softmax(out, x, rows, cols));
+        assertSameKernel([random(rows * cols)], (backend, grad_x) => backend.softmax_backward(grad_x, y, grad_y, rows, cols));
+
+        const gamma = random(cols, 0.5, 1.5);
+        const beta = random(cols);
+        const x_hat = new Float32Array(rows * cols);
+        const rstd = new Float64Array(rows);
+        reference.layernorm(new Float32Array(rows * cols), x_hat, rstd, x, gamma, beta, rows, cols, 1e-5);
+        const grad_out = random(rows * cols);
+        assertSameKernel([new Float32Array(rows * cols), new Float32Array(rows * cols), new Float64Array(rows)],
+            (backend, out, normalized, inv_std) => backend.layernorm(out, normalized, inv_std, x, gamma, beta, rows, cols, 1e-5));
+        assertSameKernel([random(rows * cols), random(cols), random(cols)],
+            (backend, grad_x, grad_gamma, grad_beta) => backend.layernorm_backward(grad_x, grad_gamma, grad_beta, x_hat, rstd, gamma, grad_out, rows, cols));
+        // Буферы градиентов, равные null, пропускаются
+        assertSameKernel([random(rows * cols)],
+            (backend, grad_x) => backend.layernorm_backward(grad_x, null, null, x_hat, rstd, gamma, grad_out, rows, cols));
+    }
+    // Маскированные позиции внимания (-Infinity) получают нулевую вероятность
+    const masked = Float32Array.from([0.5, -Infinity, 2, -Infinity, -1]);
+    assertSameKernel([new Float32Array(5)], (backend, out) => backend.softmax(out, masked, 1, 5));
+
+    for (const dim of [5, 8]) {
+        const table = random(10 * dim);
+        // ID приходят данными тензора (Float32Array); повторяющиеся строки градиента складываются
+        const ids = Float32Array.from([3, 0, 9, 3, 7]);
+        const grad = random(ids.length * dim);
+        assertSameKernel([new Float32Array(ids.length * dim)], (backend, out) => backend.gather(out, table, ids, dim));
+        assertSameKernel([random(10 * dim)], (backend, grad_table) => backend.scatter_add(grad_table, ids, grad, dim));
+    }
+});
+
+test("шаг обучения модели дает одинаковые ошибку и градиенты на обоих бэкендах", { skip }, () => {
+    const run = (backend) => {
+        const previous = get_backend();
+        set_backend(backend);
+        try {
+            const model = tinyTransformer(13, 8, 3);
+            const ids = new slmnet.Tensor([1, 4, 2, 8, 5, 7, 0, 12, 3, 3], [2, 5]);
+            const targets = new slmnet.Tensor([4, 2, 8, 5, 7, 12, 3, 3, 6, 1]);
+            const loss = slmnet.losses.cross_entropy_loss(model.forward(ids), targets);
+            loss.backward();
+            return { loss: loss.data, grads: model.parameters().map(p => p.grad.data) };
+        } finally {
+            set_backend(previous);
+        }
+    };
+    const expected = run(reference);
+    const actual = run(wasm);
+    assertClose(actual.loss, expected.loss);
+    actual.grads.forEach((grad, i) => assertClose(grad, expected.grads[i], 1e-4));
+});
@@ -0,0 +1,86 @@
+/**
+ * @file test/evaluation.test.js
+ * @description Оценка на отложенных данных: разбиение текста и скользящее окно (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { tinyGPT } from './helpers.js';
+
+const { Tensor } = slmnet;
+const { train_val_split, evaluate } = slmnet.evaluation;
+
+const ENCODED = [3, 1, 4, 1, 5, 2, 6, 5, 3, 5, 0];
+
+const CONFIG = { block_size: 4, num_layers: 1 };
+
+/**
+ * Ошибка предсказания encoded[j] прямым проходом по контексту encoded[starts[j - 1]..j - 1]:
+ * модель причинная, поэтому это логиты последней позиции контекста.
+ */
+function directLosses(model, encoded, starts) {
+    return starts.map((start, i) => {
+        const j = i + 1;
+        const logits = slmnet.no_grad(() => model.forward(new Tensor(encoded.slice(start, j), [1, j - start])));
+        const vocab_size = logits.shape[2];
+        const last = Array.from(logits.data.subarray(logits.size - vocab_size));
+        const max = Math.max(...last);
+        const log_sum = max + Math.log(last.reduce((sum, value) => sum + Math.exp(value - max), 0));
+        return { loss: log_sum - last[encoded[j]], context: j - start - 1 };
+    });
+}
+
+test('train_val_split: проверочная часть - доля в конце текста', () => {
+    const encoded = Array.from({ length: 10 }, (_, i) => i);
+    assert.deepEqual(train_val_split(encoded, 0.2), { train: [0, 1, 2, 3, 4, 5, 6, 7], val: [8, 9] });
+    // Размер проверочной части округляется вниз
+    assert.deepEqual(train_val_split(encoded, 0.25).val, [8, 9]);
+    assert.deepEqual(train_val_split(encoded, 0), { train: encoded, val: [] });
+    assert.equal(train_val_split(encoded).val.length, 1);
+    assert.throws(() => train_val_split(encoded, 1), /\[0, 1\)/);
+    assert.throws(() => train_val_split(encoded, -0.1), /\[0, 1\)/);
+});
+
+for (const [stride, starts] of [
+    // Контекст цели j начинается с начала окна, в котором она оценивается
+    [4, [0, 0, 0, 0, 4, 4, 4, 4, 8, 8]],
+    [2, [0, 0, 0, 0, 2, 2, 4, 4, 6, 6]]
+]) {
+    test(`evaluate со stride ${stride} совпадает с прямыми проходами по контекстам каждой цели`, () => {
+        const model = tinyGPT(7, CONFIG, 2);
+        const expected = directLosses(model, ENCODED, starts);
+        const mean = expected.reduce((sum, { loss }) => sum + loss, 0) / expected.length;
+
+        for (const batch_size of [1, 8]) {
+            const result = evaluate(model, ENCODED, { stride, batch_size });
+            assert.equal(result.num_tokens, ENCODED.length - 1);
+            assert.ok(Math.abs(result.loss - mean) < 1e-5, `batch_size ${batch_size}: ${result.loss} вместо ${mean}`);
+            assert.ok(Math.abs(result.perplexity - Math.exp(mean)) < 1e-4);
+            assert.ok(Math.abs(result.bits_per_token - mean / Math.LN2) < 1e-5);
+            result.per_position_loss.forEach((loss, t) => {
+                const at_t = expected.filter(({ context }) => context === t).map(({ loss }) => loss);
+                const position_mean = at_t.reduce((sum, value) => sum + value, 0) / at_t.length;
+                assert.ok(at_t.length === 0 ? Number.isNaN(loss) : Math.abs(loss - position_mean) < 1e-5, `позиция ${t}`);
+            });
+        }
+        assert.equal(model.training, true, 'режим обучения возвращается после оценки');
+        assert.throws(() => evaluate(model, ENCODED, { stride: 5 }), /stride/);
+        assert.throws(() => evaluate(model, [1]), /два токена/);
+    });
+}
+
+test('bits_per_char считает символы кодовыми точками, а не единицами UTF-16', () => {
+    const text = 'мир🙂 да🙂';
+    const tokenizer = new slmnet.tokenizers.CharacterTokenizer(text);
+    const encoded = tokenizer.encode(text);
+    // Смайлик вне BMP - суррогатная пара (две единицы UTF-16), но один токен посимвольного токенизатора
+    assert.equal(encoded.length, [...text].length);
+    assert.equal(tokenizer.decode(encoded), text);
+    const model = tinyGPT(tokenizer.vocab_size, CONFIG, 2);
+    const result = evaluate(model, encoded, { tokenizer });
+    const targets = tokenizer.decode(encoded.slice(1));
+    assert.equal(result.num_characters, [...targets].length);
+    assert.ok(result.num_characters < targets.length);
+    assert.ok(Math.abs(result.bits_per_char - result.bits_per_token * result.num_tokens / result.num_characters) < 1e-9);
+});
@@ -0,0 +1,147 @@
+/**
+ * @file test/generation.test.js
+ * @description Генерация: жадный выбор, top-k / top-p, штрафы, лучевой поиск и остановка (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+
+const { Tensor, models } = slmnet;
+const { generate } = slmnet.generation;
+const { RNG } = slmnet.random;
+
+// Словарь a, b, c, d: ID 0..3
+const tokenizer = new slmnet.tokenizers.CharacterTokenizer('abcd');
+
+/**
+ * Биграммная модель без KV-кэша: логиты следующего токена - логарифмы вероятностей
+ * из строки таблицы для последнего токена.
+ */
+class BigramModel {
+    constructor(table) {
+        this.table = table;
+        this.config = { block_size: 8 };
+        this.training = true;
+    }
+
+    forward(idx) {
+        const [batch_size, seq_len] = idx.shape;
+        const vocab_size = this.table.length;
+        const data = new Float32Array(batch_size * seq_len * vocab_size);
+        idx.data.forEach((id, i) => data.set(this.table[id].map(Math.log), i * vocab_size));
+        return new Tensor(data, [batch_size, seq_len, vocab_size]);
+    }
+
+    eval() {
+        this.training = false;
+    }
+
+    train() {
+        this.training = true;
+    }
+}
+
+// Из a чаще всего идет b, из b - снова b, из c - d, из d - a
+const CHAIN = new BigramModel([
+    [0.05, 0.5, 0.4, 0.05],
+    [0.1, 0.6, 0.2, 0.1],
+    [0.1, 0.1, 0.1, 0.7],
+    [0.7, 0.1, 0.1, 0.1]
+]);
+
+test('жадный выбор и temperature = 0 берут самый вероятный токен; модель возвращается в режим обучения', () => {
+    const greedy = generate(CHAIN, tokenizer, 'a', { greedy: true, max_new_tokens: 4 });
+    assert.deepEqual(greedy, { text: 'bbbb', ids: [1, 1, 1, 1], finish_reason: 'length' });
+    assert.deepEqual(generate(CHAIN, tokenizer, [0], { temperature: 0, max_new_tokens: 4 }), greedy);
+    assert.equal(CHAIN.training, true);
+    assert.deepEqual(generate(CHAIN, tokenizer, 'a', { max_new_tokens: 0 }), { text: '', ids: [], finish_reason: 'length' });
+    assert.throws(() => generate(CHAIN, tokenizer, 'xyz'), /Затравка пуста/);
+});
+
+test('сэмплирование с одинаковым зерном воспроизводится', () => {
+    const options = { max_new_tokens: 20, temperature: 1.5 };
+    const first = generate(CHAIN, tokenizer, 'a', { ...options, rng: new RNG(7) });
+    const second = generate(CHAIN, tokenizer, 'a', { ...options, rng: new RNG(7) });
+    assert.deepEqual(second, first);
+    assert.equal(first.ids.length, 20);
+    assert.notDeepEqual(generate(CHAIN, tokenizer, 'a', { ...options, rng: new RNG(8) }).ids, first.ids);
+});
+
+/** Частоты первого сгенерированного после 'a' токена за count запусков с одним генератором. */
+function firstTokenCounts(options, count = 400) {
+    const rng = new RNG(3);
+    const counts = [0, 0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        counts[generate(CHAIN, tokenizer, 'a', { ...options, max_new_tokens: 1, rng }).ids[0]]++;
+    }
+    return counts;
+}
+
+test('top_k и top_p оставляют только самые вероятные токены и перенормируют их вероятности', () => {
+    // Вероятности после a: [0.05, 0.5, 0.4, 0.05]
+    const top_k = firstTokenCounts({ top_k: 2 });
+    assert.equal(top_k[0] + top_k[3], 0);
+    assert.ok(Math.abs(top_k[1] / 400 - 0.5 / 0.9) < 0.08, `top_k: ${top_k}`);
+
+    // Накопленная вероятность 0.5, затем 0.9 >= 0.85: остаются b и c
+    const top_p = firstTokenCounts({ top_p: 0.85 });
+    assert.equal(top_p[0] + top_p[3], 0);
+    assert.ok(top_p[2] > 0);
+    assert.deepEqual(firstTokenCounts({ top_p: 0.5 }), [0, 400, 0, 0]);
+
+    const all = firstTokenCounts({});
+    assert.ok(all[0] > 0 && all[3] > 0, `без ограничений встречаются все токены: ${all}`);
+});
+
+test('штрафы за повторы: repetition учитывает затравку, frequency - число появлений, presence - сам факт', () => {
+    const options = { greedy: true, max_new_tokens: 4 };
+    // Логит b (log 0.5) отрицательный и умножается на штраф, поэтому c (log 0.4) становится лучше
+    assert.equal(generate(CHAIN, tokenizer, 'ba', { ...options, max_new_tokens: 1 }).text, 'b');
+    assert.equal(generate(CHAIN, tokenizer, 'ba', { ...options, max_new_tokens: 1, repetition_penalty: 2 }).text, 'c');
+    // После b: log 0.6 - 0.5 * n против log 0.2 - b проигрывает только на четвертом токене
+    assert.equal(generate(CHAIN, tokenizer, 'a', { ...options, frequency_penalty: 0.5 }).text, 'bbbc');
+    assert.equal(generate(CHAIN, tokenizer, 'a', { ...options, presence_penalty: 0.5 }).text, 'bbbb');
+    assert.equal(generate(CHAIN, tokenizer, 'a', { ...options, presence_penalty: 1.2 }).text, 'bcda');
+});
+
+test('стоп-строки и стоп-токены завершают генерацию и обрезают текст', () => {
+    const options = { greedy: true, max_new_tokens: 8, presence_penalty: 1.2 };
+    assert.deepEqual(generate(CHAIN, tokenizer, 'a', { ...options, stop: ['da'] }), { text: 'bc', ids: [1, 2, 3, 0], finish_reason: 'stop' });
+    assert.deepEqual(generate(CHAIN, tokenizer, 'a', { ...options, stop_token_ids: [3] }), { text: 'bc', ids: [1, 2, 3], finish_reason: 'stop' });
+    assert.deepEqual(generate(CHAIN, tokenizer, 'a', { ...options, max_new_tokens: 3, stop: ['x'] }), { text: 'bcd', ids: [1, 2, 3], finish_reason: 'length' });
+});
+
+test('лучевой поиск находит более вероятное продолжение, чем жадный выбор', () => {
+    // Из a: b (0.5) или c (0.4); из b дальше не больше 0.3, а из c - d с вероятностью 0.9
+    const model = new BigramModel([
+        [0.05, 0.5, 0.4, 0.05],
+        [0.3, 0.3, 0.2, 0.2],
+        [0.03, 0.03, 0.04, 0.9],
+        [0.25, 0.25, 0.25, 0.25]
+    ]);
+    assert.equal(generate(model, tokenizer, 'a', { greedy: true, max_new_tokens: 2 }).text, 'ba');
+    assert.deepEqual(generate(model, tokenizer, 'a', { num_beams: 2, max_new_tokens: 2 }), { text: 'cd', ids: [2, 3], finish_reason: 'length' });
+    // Завершенная по стоп-токену гипотеза cd (0.36) лучше любой незавершенной
+    assert.deepEqual(generate(model, tokenizer, 'a', { num_beams: 2, max_new_tokens: 5, stop_token_ids: [3] }), { text: 'c', ids: [2, 3], finish_reason: 'stop' });
+});
+
+// Настоящая модель: путь через KV-кэш (с cache.reorder в лучевом поиске) должен совпадать с полными проходами.
+// С этими весами и затравкой лучи меняются местами: без reorder лучевой поиск дает другой текст
+const letters = new slmnet.tokenizers.CharacterTokenizer('abcdefg');
+const gpt = new models.GPTModel(letters.vocab_size, { block_size: 12, embedding_dim: 16, num_heads: 2, num_layers: 2 }, new RNG(3));
+const without_cache = { config: gpt.config, forward: idx => gpt.forward(idx) };
+
+for (const [name, options] of [
+    ['жадный выбор', { greedy: true }],
+    ['сэмплирование', { temperature: 0.8, top_k: 5 }],
+    ['лучевой поиск', { num_beams: 3 }]
+]) {
+    test(`${name}: генерация через KV-кэш совпадает с генерацией полными проходами`, () => {
+        const run = model => generate(model, letters, 'cab', { ...options, max_new_tokens: 8, rng: new RNG(11) });
+        const cached = run(gpt);
+        assert.equal(cached.ids.length, 8);
+        assert.deepEqual(cached, run(without_cache));
+        assert.equal(gpt.training, true);
+    });
+}
@@ -0,0 +1,202 @@
+/**
+ * @file test/gradcheck.test.js
+ * @description Проверка аналитических градиентов численными (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+
+const { Tensor, Ops, layers, losses } = slmnet;
+const { gradcheck } = slmnet.testing;
+
+const rng = new slmnet.random.RNG(42);
+
+// Случайный тензор, требующий градиент
+function randn(shape, scale = 1) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    return new Tensor(Float32Array.from({ length: size }, () => rng.normal() * scale), shape, true);
+}
+
+// Положительные значения - для log, sqrt и знаменателя div
+function positive(shape) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    return new Tensor(Float32Array.from({ length: size }, () => rng.uniform(0.5, 2)), shape, true);
+}
+
+// Значения, далекие от нуля, - чтобы численная производная не попадала на излом relu
+function awayFromZero(shape) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    return new Tensor(Float32Array.from({ length: size }, () => (rng.random() < 0.5 ? -1 : 1) * rng.uniform(0.2, 1)), shape, true);
+}
+
+function assertGradcheck(fn, inputs, options) {
+    const report = gradcheck(fn, inputs, options);
+    assert.ok(report.passed, `Градиенты не совпали: ${JSON.stringify(report.results)}`);
+}
+
+// Каждая функция Ops должна быть покрыта хотя бы одним случаем
+const OPS_CASES = {
+    add: [
+        () => assertGradcheck(Ops.add, [randn([3, 4]), randn([3, 4])]),
+        () => assertGradcheck(Ops.add, [randn([2, 3, 4]), randn([3, 1])])
+    ],
+    sub: [() => assertGradcheck(Ops.sub, [randn([4]), randn([2, 3, 4])])],
+    mul: [
+        () => assertGradcheck(Ops.mul, [randn([2, 1, 4]), randn([3, 1])]),
+        () => assertGradcheck(a => Ops.mul(a, 2.5), [randn([3, 2])])
+    ],
+    div: [() => assertGradcheck(Ops.div, [randn([2, 3]), positive([2, 1])])],
+    neg: [() => assertGradcheck(Ops.neg, [randn([5])])],
+    exp: [() => assertGradcheck(Ops.exp, [randn([5])])],
+    log: [() => assertGradcheck(Ops.log, [positive([5])])],
+    sqrt: [() => assertGradcheck(Ops.sqrt, [positive([5])])],
+    tanh: [() => assertGradcheck(Ops.tanh, [randn([5])])],
+    pow: [() => assertGradcheck(a => Ops.pow(a, 3), [randn([5])])],
+    relu: [() => assertGradcheck(Ops.relu, [awayFromZero([6])])],
+    sigmoid: [() => assertGradcheck(Ops.sigmoid, [randn([6])])],
+    gelu: [
+        () => assertGradcheck(Ops.gelu, [randn([8], 2)]),
+        () => assertGradcheck(a => Ops.gelu(a, true), [randn([8], 2)])
+    ],
+    silu: [() => assertGradcheck(Ops.silu, [randn([8], 2)])],
+    leaky_relu: [() => assertGradcheck(a => Ops.leaky_relu(a, 0.1), [awayFromZero([6])])],
+    // Нечетные размеры проверяют хвосты плиток 2 x 4 ядра умножения
+    dot: [
+        () => assertGradcheck(Ops.dot, [randn([3, 4]), randn([4, 5])]),
+        () => assertGradcheck(Ops.dot, [randn([5, 7]), randn([7, 9])])
+    ],
+    linear: [
+        () => assertGradcheck(Ops.linear, [randn([5, 3]), randn([3, 6]), randn([1, 6])]),
+        () => assertGradcheck((x, w) => Ops.linear(x, w), [randn([4, 2]), randn([2, 3])]),
+        () => assertGradcheck((x, w, b) => Ops.linear(x, w, b, true), [randn([5, 3]), randn([6, 3]), randn([1, 6])])
+    ],
+    sum: [
+        () => assertGradcheck(a => Ops.sum(a), [randn([2, 3])]),
+        () => assertGradcheck(a => Ops.sum(a, [0, -1], true), [randn([2, 3, 4])])
+    ],
+    mean: [() => assertGradcheck(a => Ops.mean(a, 1), [randn([2, 3, 4])])],
+    max: [() => assertGradcheck(a => Ops.max(a, -1, true), [randn([3, 4])])],
+    softmax: [() => assertGradcheck(Ops.softmax, [randn([2, 3, 5])])],
+    transpose: [() => assertGradcheck(Ops.transpose, [randn([3, 4])])],
+    causal_mask: [() => assertGradcheck(a => Ops.softmax(Ops.causal_mask(a)), [randn([4, 4])])],
+    rotary_embedding: [
+        () => assertGradcheck(Ops.rotary_embedding, [randn([2, 3, 2, 4])]),
+        () => assertGradcheck(a => Ops.rotary_embedding(a, 5, 100), [randn([1, 4, 1, 6])])
+    ]
+};
+
+test('gradcheck замечает градиент, ошибочный на полпроцента', () => {
+    const square = (scale) => (a) => {
+        const result = new Tensor(a.data.map(v => v * v), a.shape, true);
+        result._ctx = {
+            inputs: [a],
+            backward: (upstream_grad) => {
+                const a_grad = a.grad_data();
+                for (let i = 0; i < a.size; i++) a_grad[i] += 2 * a.data[i] * upstream_grad.data[i] * scale;
+            }
+        };
+        return result;
+    };
+    const x = randn([6]);
+    assert.ok(gradcheck(square(1), [x]).passed);
+    assert.ok(!gradcheck(square(1.005), [x]).passed);
+});
+
+test('каждая функция Ops покрыта проверкой градиентов', () => {
+    const missing = Object.keys(Ops).filter(name => !(name in OPS_CASES));
+    assert.deepEqual(missing, []);
+});
+
+for (const [name, cases] of Object.entries(OPS_CASES)) {
+    test(`Ops.${name}`, () => {
+        for (const run of cases) run();
+    });
+}
+
+test('Tensor.reshape', () => {
+    const scale = randn([3, 4]);
+    assertGradcheck(a => Ops.mul(a.reshape([3, 4]), scale), [randn([2, 6]), scale]);
+});
+
+test('cross_entropy_loss', () => {
+    const targets = new Tensor([0, 3, 1, 2, 4, 0], [6]);
+    assertGradcheck(logits => losses.cross_entropy_loss(logits, targets), [randn([2, 3, 5])]);
+});
+
+test('LayerNorm', () => {
+    const layer = new layers.LayerNorm(6);
+    layer.gamma.data.set(randn([6]).data);
+    layer.beta.data.set(randn([6]).data);
+    assertGradcheck(x => layer.forward(x), [randn([2, 3, 6]), layer.gamma, layer.beta]);
+});
+
+test('Dropout', () => {
+    // Генератор масок переинициализируется при каждом вызове, чтобы маска была одной и той же
+    const mask_rng = new slmnet.random.RNG(7);
+    const layer = new layers.Dropout(0.3, mask_rng);
+    assertGradcheck(x => { mask_rng.seed(7); return layer.forward(x); }, [randn([2, 3, 4])]);
+    const x = randn([2, 3]);
+    assert.equal(layer.eval().forward(x), x);
+});
+
+test('EmbeddingLayer', () => {
+    const layer = new layers.Embedding(7, 4, rng);
+    const ids = new Tensor([1, 3, 3, 6, 0, 1], [2, 3]);
+    assertGradcheck(() => layer.forward(ids), [ids, layer.weights]);
+});
+
+test('MultiHeadAttention', () => {
+    const layer = new layers.MultiHeadAttention(8, 2, { rng });
+    assertGradcheck(
+        x => layer.forward(x),
+        [randn([2, 4, 8]), ...layer.parameters()]
+    );
+});
+
+test('MultiHeadAttention с dropout', () => {
+    const mask_rng = new slmnet.random.RNG(3);
+    const layer = new layers.MultiHeadAttention(8, 2, { rng: mask_rng, attn_dropout: 0.2, resid_dropout: 0.1 });
+    assertGradcheck(
+        x => { mask_rng.seed(3); return layer.forward(x); },
+        [randn([2, 4, 8]), ...layer.parameters()]
+    );
+});
+
+test('слои активаций', () => {
+    for (const layer of [new layers.GELU(), new layers.GELU({ approximate: true }), new layers.SiLU(), new layers.Tanh()]) {
+        assertGradcheck(x => layer.forward(x), [randn([2, 3, 4], 2)]);
+    }
+    assertGradcheck(x => new layers.LeakyReLU(0.2).forward(x), [awayFromZero([2, 3, 4])]);
+});
+
+test('FeedForward: обычный и управляемые варианты', () => {
+    for (const activation of ['gelu', 'swiglu', 'geglu']) {
+        const layer = new layers.FeedForward(6, null, { rng, activation, hidden_multiplier: 2 });
+        assertGradcheck(x => layer.forward(x), [randn([2, 3, 6]), ...layer.parameters()]);
+    }
+    assert.equal(new layers.FeedForward(6, null, { rng, activation: 'swiglu', hidden_multiplier: 2 }).parameters().length, 6);
+    assert.throws(() => new layers.FeedForward(6, null, { activation: 'mish' }), /Неизвестная активация/);
+});
+
+test('MultiHeadAttention с RoPE', () => {
+    const layer = new layers.MultiHeadAttention(8, 2, { rng, rotary: true });
+    assertGradcheck(x => layer.forward(x), [randn([2, 4, 8]), ...layer.parameters()]);
+
+    // Инкрементальный проход через KV-кэш поворачивает новые позиции с учетом уже закэшированных
+    const x = randn([1, 5, 8]);
+    const expected = layer.forward(x).data;
+    const cache = new layers.KVCache(1, 1, 5, 8);
+    const head = layer.forward_cached(new Tensor(x.data.slice(0, 24), [1, 3, 8]), cache.layers[0]);
+    const tail = layer.forward_cached(new Tensor(x.data.slice(24), [1, 2, 8]), cache.layers[0]);
+    const actual = [...head.data, ...tail.data];
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-5));
+});
+
+test('SinusoidalPositionalEncoding', () => {
+    const layer = new layers.SinusoidalPositionalEncoding(6);
+    assertGradcheck(x => layer.forward(x, 3), [randn([2, 4, 6])]);
+    // Смещение дает те же кодировки, что и соответствующие строки полной таблицы
+    assert.deepEqual(layer.encoding(2, 3).data, layer.encoding(5).data.slice(18));
+    assert.deepEqual(Array.from(layer.encoding(1).data), [0, 1, 0, 1, 0, 1]);
+});
@@ -0,0 +1,69 @@
+/**
+ * @file test/helpers.js
+ * @description Общие помощники тестов: маленькие модели, веса модели одним массивом и сравнение с допуском.
+ */
+
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+
+const { layers, models } = slmnet;
+const { RNG } = slmnet.random;
+
+// Конфигурация маленькой GPTModel; тесты переопределяют отдельные поля
+const TINY_GPT = { block_size: 6, embedding_dim: 8, num_heads: 2, num_layers: 2 };
+
+/**
+ * Маленькая GPTModel с весами из RNG(seed).
+ * @param {number} vocab_size - Размер словаря.
+ * @param {object} [config={}] - Поля, дополняющие и переопределяющие TINY_GPT.
+ * @param {number} [seed=1] - Зерно генератора весов.
+ * @returns {GPTModel}
+ */
+function tinyGPT(vocab_size, config = {}, seed = 1) {
+    return new models.GPTModel(vocab_size, { ...TINY_GPT, ...config }, new RNG(seed));
+}
+
+/**
+ * Маленькая языковая модель из отдельных слоев: Embedding, TransformerBlock, LayerNorm и Dense.
+ * @param {number} vocab_size - Размер словаря.
+ * @param {number} dim - Размерность эмбеддингов (две головы внимания).
+ * @param {number} seed - Зерно генератора весов.
+ * @returns {Sequential}
+ */
+function tinyTransformer(vocab_size, dim, seed) {
+    const rng = new RNG(seed);
+    return new layers.Sequential([
+        new layers.Embedding(vocab_size, dim, rng),
+        new layers.TransformerBlock(dim, 2, { rng }),
+        new layers.LayerNorm(dim),
+        new layers.Dense(dim, vocab_size, true, rng)
+    ]);
+}
+
+// Все параметры модели одним массивом чисел
+function weights(model) {
+    return model.parameters().flatMap(p => Array.from(p.data));
+}
+
+/**
+ * Проверяет, что числа или массивы совпадают с допуском tolerance * (1 + |expected|).
+ * @param {number|ArrayLike<number>} actual
+ * @param {number|ArrayLike<number>} expected
+ * @param {number} [tolerance=1e-5]
+ * @param {string} [message] - Префикс сообщения об ошибке.
+ */
+function assertClose(actual, expected, tolerance = 1e-5, message = '') {
+    if (typeof expected === 'number') {
+        actual = [actual];
+        expected = [expected];
+    }
+    assert.equal(actual.length, expected.length);
+    const prefix = message ? `${message}: ` : '';
+    for (let i = 0; i < expected.length; i++) {
+        const error = Math.abs(actual[i] - expected[i]);
+        assert.ok(error <= tolerance * (1 + Math.abs(expected[i])),
+            `${prefix}элемент ${i}: ${actual[i]} вместо ${expected[i]} (ошибка ${error}).`);
+    }
+}
+
+export { TINY_GPT, tinyGPT, tinyTransformer, weights, assertClose };
@@ -0,0 +1,82 @@
+/**
+ * @file test/kvcache.test.js
+ * @description KV-кэш: инкрементальные логиты совпадают с полным проходом, в том числе после перезаполнения кэша (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { tinyGPT, assertClose } from './helpers.js';
+
+const { Tensor } = slmnet;
+
+const BLOCK_SIZE = 6;
+const VOCAB_SIZE = 9;
+// Две последовательности батча длиннее двух block_size, чтобы кэш перезаполнялся несколько раз
+const SEQUENCES = [
+    [1, 4, 2, 8, 5, 7, 0, 3, 3, 6, 1, 2, 8, 4],
+    [7, 7, 1, 0, 2, 5, 8, 6, 4, 1, 3, 0, 5, 2]
+];
+
+// Логиты последней позиции полного прохода (без кэша) по контекстам
+function lastLogits(model, contexts) {
+    const length = contexts[0].length;
+    const logits = slmnet.no_grad(() => model.forward(new Tensor(contexts.flat(), [contexts.length, length])));
+    return contexts.flatMap((_, b) => Array.from(logits.data.subarray(((b + 1) * length - 1) * VOCAB_SIZE, (b + 1) * length * VOCAB_SIZE)));
+}
+
+for (const position_encoding of ['learned', 'sinusoidal', 'rope']) {
+    test(`${position_encoding}: next_token_logits совпадает с полным проходом по окну кэша, в том числе сразу после перезаполнения`, () => {
+        const model = tinyGPT(VOCAB_SIZE, { block_size: BLOCK_SIZE, position_encoding }, 4).eval();
+        const cache = model.create_cache(SEQUENCES.length);
+        // Начало окна, которое представляет кэш: перезаполнение оставляет последние block_size / 2 токенов
+        let window_start = 0;
+        let rollovers = 0;
+        // Затравка из трех токенов одним вызовом, дальше по одному токену
+        for (let total = 3; total <= SEQUENCES[0].length; total++) {
+            const contexts = SEQUENCES.map(sequence => sequence.slice(0, total));
+            if (total - window_start > BLOCK_SIZE) {
+                window_start = total - Math.ceil(BLOCK_SIZE / 2);
+                rollovers++;
+            }
+            const actual = slmnet.no_grad(() => model.next_token_logits(contexts, cache));
+            assert.deepEqual(actual.shape, [SEQUENCES.length, VOCAB_SIZE]);
+            assert.equal(cache.length, total - window_start, `длина кэша на ${total} токенах`);
+            assertClose(Array.from(actual.data), lastLogits(model, contexts.map(context => context.slice(window_start))), 1e-4, `${total} токенов`);
+        }
+        assert.equal(rollovers, 2);
+        assert.throws(() => model.next_token_logits(SEQUENCES, cache), /новых токенов/);
+    });
+
+    test(`${position_encoding}: forward по кэшу частями дает логиты полного прохода на всех позициях`, () => {
+        const model = tinyGPT(VOCAB_SIZE, { block_size: BLOCK_SIZE, position_encoding }, 4).eval();
+        const ids = SEQUENCES.map(sequence => sequence.slice(0, BLOCK_SIZE));
+        const expected = slmnet.no_grad(() => model.forward(new Tensor(ids.flat(), [ids.length, BLOCK_SIZE])));
+        const cache = model.create_cache(ids.length);
+        const chunks = [[0, 2], [2, 3], [3, 6]].map(([from, to]) => {
+            const chunk = ids.map(row => row.slice(from, to));
+            return slmnet.no_grad(() => model.forward(new Tensor(chunk.flat(), [ids.length, to - from]), cache));
+        });
+        assert.equal(cache.length, BLOCK_SIZE);
+        // Склеиваем куски по оси позиций: [batch, seq_len, vocab]
+        const actual = ids.flatMap((_, b) => chunks.flatMap(chunk => {
+            const row = chunk.shape[1] * VOCAB_SIZE;
+            return Array.from(chunk.data.subarray(b * row, (b + 1) * row));
+        }));
+        assertClose(actual, Array.from(expected.data), 1e-4, 'логиты всех позиций');
+    });
+}
+
+test('learned: кэш не выходит за обучаемые позиции, а reorder переставляет строки батча', () => {
+    const model = tinyGPT(VOCAB_SIZE, { block_size: BLOCK_SIZE, position_encoding: 'learned' }, 4).eval();
+    const cache = model.create_cache(2);
+    const contexts = SEQUENCES.map(sequence => sequence.slice(0, 4));
+    slmnet.no_grad(() => model.next_token_logits(contexts, cache));
+    assert.throws(() => model.forward(new Tensor(SEQUENCES.map(s => s.slice(4, 7)).flat(), [2, 3]), cache), /block_size/);
+
+    // После перестановки строка 0 продолжает вторую последовательность, строка 1 - первую
+    cache.reorder([1, 0]);
+    const swapped = [SEQUENCES[1].slice(0, 5), SEQUENCES[0].slice(0, 5)];
+    const actual = slmnet.no_grad(() => model.next_token_logits(swapped, cache));
+    assertClose(Array.from(actual.data), lastLogits(model, swapped), 1e-4, 'после reorder');
+});
@@ -0,0 +1,87 @@
+/**
+ * @file test/models.test.js
+ * @description GPTModel: конфигурация, связанные веса, число параметров и сводка (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { TINY_GPT, tinyGPT } from './helpers.js';
+
+const { Tensor, models, quantization } = slmnet;
+const { gradcheck } = slmnet.testing;
+
+const VOCAB_SIZE = 11;
+
+const ids = new Tensor([1, 4, 2, 8, 5, 7, 0, 10, 3, 3], [2, 5]);
+
+test('конфигурация сериализуется в JSON и воссоздает ту же модель', () => {
+    const model = tinyGPT(VOCAB_SIZE, { position_encoding: 'rope', ffn_activation: 'swiglu', learning_rate: 0.01 });
+    const config = JSON.parse(JSON.stringify(model.config));
+    assert.deepEqual(config, { vocab_size: VOCAB_SIZE, ...TINY_GPT, ...models.GPT_DEFAULTS, position_encoding: 'rope', ffn_activation: 'swiglu' });
+
+    const copy = models.GPTModel.from_config(config, new slmnet.random.RNG(1));
+    assert.deepEqual(copy.forward(ids).data, model.forward(ids).data);
+    assert.throws(() => new models.GPTModel(VOCAB_SIZE, { embedding_dim: 8 }), /block_size, num_heads, num_layers/);
+});
+
+test('rotary_base из конфигурации доходит до слоев внимания и сохраняется в config', () => {
+    const model = tinyGPT(VOCAB_SIZE, { position_encoding: 'rope', rotary_base: 500 });
+    assert.equal(model.config.rotary_base, 500);
+    assert.ok(model.blocks.layers.every(block => block.attention.rotary && block.attention.rotary_base === 500));
+    assert.equal(tinyGPT(VOCAB_SIZE, { position_encoding: 'rope' }).blocks.layers[0].attention.rotary_base, models.GPT_DEFAULTS.rotary_base);
+    // Те же веса с другим основанием дают другие логиты
+    const other = models.GPTModel.from_config({ ...model.config, rotary_base: 10000 }, new slmnet.random.RNG(1));
+    assert.notDeepEqual(other.forward(ids).data, model.forward(ids).data);
+    assert.deepEqual(models.GPTModel.from_config(model.config, new slmnet.random.RNG(1)).forward(ids).data, model.forward(ids).data);
+});
+
+test('связанные веса: выходной слой использует таблицу token_embedding', () => {
+    const untied = tinyGPT(VOCAB_SIZE);
+    const tied = tinyGPT(VOCAB_SIZE, { tie_weights: true });
+    assert.equal(tied.output_head, null);
+    assert.equal(untied.num_parameters() - tied.num_parameters(), TINY_GPT.embedding_dim * VOCAB_SIZE);
+    assert.ok(!Object.keys(tied.state_dict()).some(name => name.startsWith('output_head')));
+
+    // Градиент логитов доходит до таблицы эмбеддингов по обоим путям (GELU - без изломов ReLU под численной производной)
+    const smooth = tinyGPT(VOCAB_SIZE, { tie_weights: true, ffn_activation: 'gelu' }).eval();
+    const report = gradcheck(() => smooth.forward(ids), [smooth.token_embedding.weights, smooth.output_bias]);
+    assert.ok(report.passed, JSON.stringify(report.results));
+});
+
+test('final_norm и output_bias отключаются', () => {
+    const model = tinyGPT(VOCAB_SIZE, { final_norm: false, output_bias: false });
+    assert.equal(model.final_ln, null);
+    assert.equal(model.output_head.bias, null);
+    const tied = tinyGPT(VOCAB_SIZE, { tie_weights: true, output_bias: false });
+    assert.equal(tied.output_bias, null);
+    assert.deepEqual(tied.forward(ids).shape, [2, 5, VOCAB_SIZE]);
+});
+
+test('summary перечисляет слои с параметрами и итог', () => {
+    const model = tinyGPT(VOCAB_SIZE, { tie_weights: true });
+    const lines = [];
+    const text = model.summary(line => lines.push(line));
+    assert.deepEqual(lines, [text]);
+    assert.match(text, /token_embedding\s+EmbeddingLayer\s+\[11, 8\]\s+88/);
+    assert.match(text, /blocks\.layers\.1\.attention\.wq\s+DenseLayer\s+\[8, 8\]\s+64/);
+    assert.match(text, /output_bias\s+GPTModel\s+\[1, 11\]\s+11/);
+    assert.ok(text.includes(`Всего параметров: ${model.num_parameters()}`));
+});
+
+test('квантизация модели со связанными весами использует одну таблицу int8', () => {
+    const model = tinyGPT(VOCAB_SIZE, { tie_weights: true }).eval();
+    const expected = slmnet.no_grad(() => model.forward(ids));
+    quantization.quantize(model);
+    assert.ok(model.token_embedding instanceof quantization.QuantizedEmbedding);
+    const actual = slmnet.no_grad(() => model.forward(ids));
+    // Логиты по таблице эмбеддингов крупнее, чем у отдельного выходного слоя, поэтому ошибка - относительно их масштаба
+    const scale = Math.max(...expected.data.map(Math.abs));
+    assert.ok(actual.data.every((value, i) => Math.abs(value - expected.data[i]) < 0.03 * scale));
+
+    const state = quantization.state_dict(model);
+    assert.ok(!Object.keys(state).some(name => name.startsWith('output_head')));
+    const restored = quantization.quantize(tinyGPT(VOCAB_SIZE, { tie_weights: true }, 2).eval());
+    quantization.load_state_dict(restored, slmnet.checkpoint.load(slmnet.checkpoint.save({ model: state })).model);
+    assert.deepEqual(slmnet.no_grad(() => restored.forward(ids)).data, actual.data);
+});
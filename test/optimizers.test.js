@@ -0,0 +1,181 @@
+/**
+ * @file test/optimizers.test.js
+ * @description Оптимизаторы: шаги против эталонных формул, группы параметров и state_dict (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { tinyGPT } from './helpers.js';
+
+const { Tensor, optimizers } = slmnet;
+
+const INITIAL = [0.5, -1, 2, 0.25];
+// Градиенты трех последовательных шагов (разные знаки и масштабы, чтобы моменты не совпадали с градиентом)
+const GRADS = [[0.1, -0.2, 0.3, -0.05], [-0.3, 0.1, 0.2, 0.4], [0.05, 0.05, -0.1, 0.2]];
+
+/**
+ * Эталонные шаги в double для одного скаляра: state - состояние этого скаляра, t - номер шага с 1.
+ * Формулы записаны отдельно от Optimizers.js по описаниям алгоритмов.
+ */
+const REFERENCES = {
+    'SGD с моментом': {
+        create: params => new optimizers.SGD(params, 0.1, { momentum: 0.9, dampening: 0.1, weight_decay: 0.01 }),
+        step(p, g, state) {
+            g += 0.01 * p;
+            // Буфер момента начинается с нуля, dampening применяется с первого шага
+            state.buf = 0.9 * (state.buf ?? 0) + 0.9 * g;
+            return p - 0.1 * state.buf;
+        }
+    },
+    'SGD с моментом Нестерова': {
+        create: params => new optimizers.SGD(params, 0.1, { momentum: 0.9, nesterov: true }),
+        step(p, g, state) {
+            state.buf = state.buf === undefined ? g : 0.9 * state.buf + g;
+            return p - 0.1 * (g + 0.9 * state.buf);
+        }
+    },
+    'Adam с L2-регуляризацией': {
+        create: params => new optimizers.Adam(params, 0.01, 0.9, 0.999, 1e-8, 0.1),
+        step(p, g, state, t) {
+            g += 0.1 * p;
+            state.m = 0.9 * (state.m ?? 0) + 0.1 * g;
+            state.v = 0.999 * (state.v ?? 0) + 0.001 * g * g;
+            const m_hat = state.m / (1 - 0.9 ** t);
+            const v_hat = state.v / (1 - 0.999 ** t);
+            return p - 0.01 * m_hat / (Math.sqrt(v_hat) + 1e-8);
+        }
+    },
+    'AdamW': {
+        create: params => new optimizers.AdamW(params, 0.01, 0.8, 0.99, 1e-8, 0.1),
+        step(p, g, state, t) {
+            state.m = 0.8 * (state.m ?? 0) + 0.2 * g;
+            state.v = 0.99 * (state.v ?? 0) + 0.01 * g * g;
+            const m_hat = state.m / (1 - 0.8 ** t);
+            const v_hat = state.v / (1 - 0.99 ** t);
+            return p * (1 - 0.01 * 0.1) - 0.01 * m_hat / (Math.sqrt(v_hat) + 1e-8);
+        }
+    },
+    'RMSProp с моментом': {
+        create: params => new optimizers.RMSProp(params, 0.01, { alpha: 0.9, momentum: 0.5, weight_decay: 0.01 }),
+        step(p, g, state) {
+            g += 0.01 * p;
+            state.sq = 0.9 * (state.sq ?? 0) + 0.1 * g * g;
+            state.buf = 0.5 * (state.buf ?? 0) + g / (Math.sqrt(state.sq) + 1e-8);
+            return p - 0.01 * state.buf;
+        }
+    },
+    'Adagrad': {
+        create: params => new optimizers.Adagrad(params, 0.1, { initial_accumulator_value: 0.1 }),
+        step(p, g, state) {
+            state.sum = (state.sum ?? 0.1) + g * g;
+            return p - 0.1 * g / (Math.sqrt(state.sum) + 1e-10);
+        }
+    },
+    'Lion': {
+        create: params => new optimizers.Lion(params, 0.01, { beta1: 0.9, beta2: 0.99, weight_decay: 0.1 }),
+        step(p, g, state) {
+            const m = state.m ?? 0;
+            state.m = 0.99 * m + 0.01 * g;
+            return p * (1 - 0.01 * 0.1) - 0.01 * Math.sign(0.9 * m + 0.1 * g);
+        }
+    }
+};
+
+function newParameter(values = INITIAL) {
+    return new Tensor(values, [values.length], true);
+}
+
+function setGrad(param, values) {
+    param.grad_data().set(values);
+}
+
+for (const [name, reference] of Object.entries(REFERENCES)) {
+    test(`${name}: три шага совпадают с эталонными формулами`, () => {
+        const param = newParameter();
+        const optimizer = reference.create([param]);
+        let expected = [...INITIAL];
+        const states = INITIAL.map(() => ({}));
+        GRADS.forEach((grad, s) => {
+            setGrad(param, grad);
+            optimizer.step();
+            expected = expected.map((p, i) => reference.step(p, Math.fround(grad[i]), states[i], s + 1));
+            param.data.forEach((value, i) => {
+                assert.ok(Math.abs(value - expected[i]) < 1e-5 * Math.max(1, Math.abs(expected[i])),
+                    `шаг ${s + 1}, элемент ${i}: ${value} вместо ${expected[i]}`);
+            });
+        });
+    });
+
+    test(`${name}: save -> load -> step дает те же веса, что и непрерывное обучение`, () => {
+        const param = newParameter();
+        const optimizer = reference.create([param]);
+        for (const grad of GRADS.slice(0, 2)) {
+            setGrad(param, grad);
+            optimizer.step();
+        }
+        const state = slmnet.checkpoint.load(slmnet.checkpoint.save({ optimizer })).optimizer;
+
+        const restored_param = newParameter(Array.from(param.data));
+        const restored = reference.create([restored_param]);
+        restored.load_state_dict(state);
+        for (const [p, opt] of [[param, optimizer], [restored_param, restored]]) {
+            setGrad(p, GRADS[2]);
+            opt.step();
+        }
+        assert.deepEqual(restored_param.data, param.data);
+    });
+}
+
+test('группы параметров: свои гиперпараметры, общий lr и восстановление из state_dict', () => {
+    const first = newParameter();
+    const second = newParameter();
+    const create = (a, b) => new optimizers.SGD([{ params: [a] }, { params: [b], lr: 0.5, momentum: 0.9 }], 0.1);
+    const optimizer = create(first, second);
+    assert.deepEqual(optimizer.param_groups.map(({ lr, momentum }) => [lr, momentum]), [[0.1, 0], [0.5, 0.9]]);
+    assert.throws(() => new optimizers.SGD([{ params: [first] }, { params: [first] }], 0.1), /несколько групп/);
+
+    for (const p of [first, second]) setGrad(p, GRADS[0]);
+    optimizer.step();
+    first.data.forEach((value, i) => assert.ok(Math.abs(value - (INITIAL[i] - 0.1 * GRADS[0][i])) < 1e-6));
+    second.data.forEach((value, i) => assert.ok(Math.abs(value - (INITIAL[i] - 0.5 * GRADS[0][i])) < 1e-6));
+
+    const state = optimizer.state_dict();
+    const restored = create(newParameter(), newParameter());
+    restored.lr = 1;
+    restored.load_state_dict(state);
+    assert.deepEqual(restored.param_groups.map(({ lr, momentum }) => [lr, momentum]), [[0.1, 0], [0.5, 0.9]]);
+    assert.throws(() => new optimizers.SGD([newParameter(), newParameter()], 0.1).load_state_dict(state), /2 групп параметров/);
+
+    optimizer.lr = 0.01;
+    assert.deepEqual(optimizer.param_groups.map(group => group.lr), [0.01, 0.01]);
+});
+
+test('Adam: состояние без счетчика шагов начинает коррекцию смещения заново', () => {
+    const param = newParameter();
+    const optimizer = new optimizers.Adam([param], 0.01);
+    setGrad(param, GRADS[0]);
+    optimizer.step();
+    const { t, ...state } = optimizer.state_dict();
+    assert.equal(t, 1);
+
+    const restored = new optimizers.Adam([newParameter()], 0.01);
+    restored.load_state_dict(state);
+    assert.equal(restored.t, 0);
+    restored.step();
+    assert.ok(restored.parameters[0].data.every(Number.isFinite));
+});
+
+test('weight_decay_groups не затухает смещения и параметры LayerNorm, включая output_bias', () => {
+    for (const tie_weights of [false, true]) {
+        const model = tinyGPT(7, { block_size: 4, num_layers: 1, tie_weights });
+        const [decay, plain] = optimizers.weight_decay_groups(model, 0.1);
+        const names = new Map(model.named_parameters().map(([path, param]) => [param, path]));
+        const plain_names = plain.params.map(param => names.get(param));
+        assert.equal(decay.weight_decay, 0.1);
+        assert.equal(plain.weight_decay, 0);
+        assert.ok(plain_names.includes(tie_weights ? 'output_bias' : 'output_head.bias'), plain_names.join(', '));
+        assert.ok(decay.params.map(param => names.get(param)).every(path => !/(bias|gamma|beta)$/.test(path)));
+        assert.ok(plain_names.every(path => /(bias|gamma|beta)$/.test(path)));
+    }
+});
@@ -0,0 +1,78 @@
+/**
+ * @file test/quantization.test.js
+ * @description Квантизация весов в int8: точность слоев и чекпоинт (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { tinyTransformer } from './helpers.js';
+
+const { Tensor, layers, quantization } = slmnet;
+
+const rng = new slmnet.random.RNG(11);
+
+const ids = new Tensor([1, 4, 2, 8, 5, 7, 0, 12, 3, 3], [2, 5]);
+
+function maxDifference(a, b) {
+    return a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+}
+
+test('quantize_int8: ошибка каждого веса не больше половины шага его канала', () => {
+    const tensor = Tensor.random([7, 5], false, rng);
+    tensor.data.fill(0, 10, 15); // Нулевая строка
+    for (const axis of [0, 1]) {
+        const quantized = quantization.quantize_int8(tensor, axis);
+        const restored = quantization.dequantize_int8(quantized, axis);
+        for (let i = 0; i < 7; i++) {
+            for (let j = 0; j < 5; j++) {
+                const scale = quantized.scales[axis === 0 ? i : j];
+                assert.ok(Math.abs(restored.data[i * 5 + j] - tensor.data[i * 5 + j]) <= scale / 2 + 1e-7);
+            }
+        }
+        assert.ok(quantized.values.every(value => value >= -127 && value <= 127));
+    }
+});
+
+test('QuantizedDense и QuantizedEmbedding близки к исходным слоям', () => {
+    const dense = new layers.Dense(12, 6, true, rng);
+    dense.bias.data.set([0.1, -0.2, 0.3, 0, 0.5, -1]);
+    const x = Tensor.random([3, 4, 12], false, rng);
+    const expected = slmnet.no_grad(() => dense.forward(x));
+    const actual = quantization.QuantizedDense.from_dense(dense).forward(x);
+    assert.deepEqual(actual.shape, expected.shape);
+    assert.ok(maxDifference(actual.data, expected.data) < 0.05);
+
+    const embedding = new layers.Embedding(13, 16, rng);
+    const reference = slmnet.no_grad(() => embedding.forward(ids));
+    const quantized = quantization.QuantizedEmbedding.from_embedding(embedding).forward(ids);
+    assert.ok(maxDifference(quantized.data, reference.data) < 1 / 127);
+});
+
+test('quantize заменяет слои модели, выходы почти не меняются', () => {
+    const model = tinyTransformer(13, 16, 5).eval();
+    const expected = slmnet.no_grad(() => model.forward(ids));
+    quantization.quantize(model);
+    assert.ok(model.layers[0] instanceof quantization.QuantizedEmbedding);
+    assert.ok(model.layers[1].attention.wq instanceof quantization.QuantizedDense);
+    assert.ok(model.layers[3] instanceof quantization.QuantizedDense);
+    const actual = slmnet.no_grad(() => model.forward(ids));
+    assert.ok(maxDifference(actual.data, expected.data) < 0.05);
+});
+
+test('квантизованный чекпоинт меньше и восстанавливается без потерь', () => {
+    const model = tinyTransformer(13, 16, 5).eval();
+    const float_size = slmnet.checkpoint.save({ model }).byteLength;
+    quantization.quantize(model);
+    const buffer = slmnet.checkpoint.save({ model: quantization.state_dict(model) });
+    // Для такой маленькой модели заметную долю занимают заголовок и float32-параметры LayerNorm
+    assert.ok(buffer.byteLength < float_size / 2, `${buffer.byteLength} байт против ${float_size}`);
+
+    const restored = quantization.quantize(tinyTransformer(13, 16, 5).eval());
+    quantization.load_state_dict(restored, slmnet.checkpoint.load(buffer).model);
+    const expected = slmnet.no_grad(() => model.forward(ids));
+    assert.deepEqual(slmnet.no_grad(() => restored.forward(ids)).data, expected.data);
+
+    // Словарь обычной модели в квантизованную не загружается
+    assert.throws(() => quantization.load_state_dict(restored, tinyTransformer(13, 16, 5).state_dict()), /не квантизован/);
+});
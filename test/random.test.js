@@ -0,0 +1,106 @@
+/**
+ * @file test/random.test.js
+ * @description Генератор случайных чисел: воспроизводимость инициализации, выборки батчей, dropout и сэмплирования (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { getBatch } from '../app/gpt.js';
+import { weights } from './helpers.js';
+
+const { Tensor, models, layers } = slmnet;
+const { RNG, default_rng, manual_seed } = slmnet.random;
+
+const CONFIG = { block_size: 6, embedding_dim: 8, num_heads: 2, num_layers: 1, resid_dropout: 0.3, attn_dropout: 0.3 };
+const VOCAB_SIZE = 7;
+const ids = new Tensor([1, 4, 2, 6, 5, 0, 3, 3], [2, 4]);
+const ENCODED = [3, 1, 4, 1, 5, 2, 6, 5, 3, 5, 0, 2, 4, 6, 1, 0];
+const tokenizer = new slmnet.tokenizers.CharacterTokenizer('abcdefg');
+
+function draws(rng, count = 8) {
+    return Array.from({ length: count }, () => rng.random());
+}
+
+test('RNG: одно зерно - одна последовательность, seed() начинает ее заново', () => {
+    // Последовательность закреплена: от нее зависят сохраненные состояния генераторов в чекпоинтах
+    const rng = new RNG(1337);
+    assert.deepEqual([rng._next_uint32(), rng._next_uint32(), rng._next_uint32()], [1575730909, 1274917504, 769015251]);
+
+    const sequence = draws(new RNG(5));
+    assert.deepEqual(draws(new RNG(5)), sequence);
+    assert.notDeepEqual(draws(new RNG(6)), sequence);
+    const reused = new RNG(9);
+    draws(reused);
+    assert.deepEqual(draws(reused.seed(5)), sequence);
+});
+
+test('RNG: значения лежат в своих интервалах, normal имеет заданные среднее и разброс', () => {
+    const rng = new RNG(2);
+    for (let i = 0; i < 1000; i++) {
+        const uniform = rng.uniform(-2, 3);
+        assert.ok(uniform >= -2 && uniform < 3);
+        const integer = rng.randint(4, 9);
+        assert.ok(Number.isInteger(integer) && integer >= 4 && integer < 9);
+    }
+    const samples = Array.from({ length: 20000 }, () => rng.normal(1, 2));
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const variance = samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / samples.length;
+    assert.ok(Math.abs(mean - 1) < 0.05, `среднее ${mean}`);
+    assert.ok(Math.abs(Math.sqrt(variance) - 2) < 0.05, `стандартное отклонение ${Math.sqrt(variance)}`);
+});
+
+test('get_state / set_state продолжают последовательность с того же места, включая запасное нормальное число', () => {
+    const rng = new RNG(3);
+    draws(rng, 5);
+    rng.normal(); // Второе число пары Бокса-Мюллера остается в запасе
+    const state = rng.get_state();
+    assert.notEqual(state.spare_normal, null);
+    const expected = [rng.normal(), rng.normal(), ...draws(rng)];
+
+    // Состояние проходит через JSON и чекпоинт и не зависит от дальнейшей работы исходного генератора
+    const saved = slmnet.checkpoint.load(slmnet.checkpoint.save({ rng: JSON.parse(JSON.stringify(state)) })).rng;
+    const restored = new RNG(0).set_state(saved);
+    // set_state копирует состояние: изменение переданного объекта не влияет на генератор
+    saved.state[0] ^= 1;
+    assert.deepEqual([restored.normal(), restored.normal(), ...draws(restored)], expected);
+});
+
+test('одинаковое зерно дает одинаковую инициализацию, батчи, маски dropout и сэмплирование', () => {
+    const run = seed => {
+        const rng = new RNG(seed);
+        const model = new models.GPTModel(VOCAB_SIZE, CONFIG, rng);
+        const initial = weights(model);
+        // Режим обучения: маски dropout берутся из того же генератора
+        const train_logits = Array.from(model.forward(ids).data);
+        const batch = getBatch(ENCODED, CONFIG.block_size, 3, rng);
+        const sample = slmnet.generation.generate(model, tokenizer, 'abc', { max_new_tokens: 5, rng });
+        return { initial, batch: Array.from(batch.x.data), train_logits, sample };
+    };
+    const first = run(21);
+    assert.deepEqual(run(21), first);
+    const other = run(22);
+    assert.notDeepEqual(other.initial, first.initial);
+    assert.notDeepEqual(other.batch, first.batch);
+
+    // Маски меняются от прохода к проходу, а в режиме eval dropout не действует
+    const model = new models.GPTModel(VOCAB_SIZE, CONFIG, new RNG(21));
+    assert.notDeepEqual(Array.from(model.forward(ids).data), Array.from(model.forward(ids).data));
+    model.eval();
+    assert.deepEqual(Array.from(model.forward(ids).data), Array.from(model.forward(ids).data));
+});
+
+test('manual_seed делает воспроизводимыми слои и генерацию, использующие общий генератор', () => {
+    const run = () => {
+        manual_seed(77);
+        const model = new models.GPTModel(VOCAB_SIZE, CONFIG);
+        const dropout = new layers.Dropout(0.5);
+        const mask = Array.from(dropout.forward(Tensor.ones([16])).data);
+        const noise = Array.from(Tensor.random([16]).data);
+        const sample = slmnet.generation.generate(model, tokenizer, 'abc', { max_new_tokens: 5 });
+        return { initial: weights(model), mask, noise, sample, next: default_rng.random() };
+    };
+    const first = run();
+    assert.deepEqual(run(), first);
+    assert.ok(first.mask.some(value => value === 0) && first.mask.some(value => value === 2));
+});
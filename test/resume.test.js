@@ -0,0 +1,49 @@
+/**
+ * @file test/resume.test.js
+ * @description Продолжение обучения с чекпоинта дает ту же модель, что и непрерывное обучение (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { DEFAULT_CONFIG, createTokenizer, createOptimizer, createTrainer, remainingSteps, restoreCheckpoint } from '../app/gpt.js';
+
+const TEXT = 'to be, or not to be, that is the question. '.repeat(20);
+const CONFIG = {
+    ...DEFAULT_CONFIG,
+    block_size: 8,
+    embedding_dim: 8,
+    num_heads: 2,
+    num_layers: 1,
+    batch_size: 2,
+    warmup_steps: 2,
+    eval_every: 0,
+    train_steps: 8
+};
+
+function newSession(config) {
+    const rng = new slmnet.random.RNG(config.seed);
+    const tokenizer = createTokenizer(TEXT, config);
+    const model = new slmnet.models.GPTModel(tokenizer.vocab_size, config, rng);
+    return { config, tokenizer, model, optimizer: createOptimizer(model, config), rng };
+}
+
+test('обучение, продолженное с шага k, заканчивается на train_steps с теми же весами', async () => {
+    const full = newSession(CONFIG);
+    const encoded = full.tokenizer.encode(TEXT);
+    const result = await createTrainer(full, encoded).fit(remainingSteps(CONFIG, 0));
+    assert.equal(result.step, CONFIG.train_steps);
+
+    // Прерванный запуск: k шагов и чекпоинт, как при Ctrl+C в CLI
+    const k = 3;
+    const first = newSession(CONFIG);
+    await createTrainer(first, encoded).fit(k);
+    const buffer = slmnet.checkpoint.save({ ...first, step: k, rng: first.rng.get_state() });
+
+    const resumed = restoreCheckpoint(buffer);
+    assert.equal(resumed.step, k);
+    const resumed_result = await createTrainer(resumed, encoded, { step: resumed.step }).fit(remainingSteps(resumed.config, resumed.step));
+    assert.equal(resumed_result.step, CONFIG.train_steps);
+    assert.deepEqual(resumed.model.parameters().map(p => Array.from(p.data)), full.model.parameters().map(p => Array.from(p.data)));
+    assert.equal(remainingSteps(CONFIG, CONFIG.train_steps + 5), 0);
+});
@@ -0,0 +1,131 @@
+/**
+ * @file test/schedulers.test.js
+ * @description Расписания скорости обучения: значения на границах фаз и восстановление из state_dict (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { assertClose } from './helpers.js';
+
+const { Tensor, optimizers, schedulers } = slmnet;
+const { LinearWarmup, CosineDecay, StepDecay, ExponentialDecay, ReduceLROnPlateau, OneCycle, SequentialSchedule, ChainedSchedule } = schedulers;
+
+function assertFactors(scheduler, expected) {
+    for (const [step, factor] of Object.entries(expected)) {
+        assertClose(scheduler.factor(Number(step)), factor, 1e-12, `${scheduler.constructor.name}, шаг ${step}`);
+    }
+}
+
+test('LinearWarmup: рост от 1 / warmup_steps до 1, дальше постоянный множитель', () => {
+    assertFactors(new LinearWarmup(4), { 0: 0.25, 2: 0.75, 3: 1, 10: 1 });
+    assert.throws(() => new LinearWarmup(0), /warmup_steps/);
+});
+
+test('CosineDecay: от 1 до min_factor за total_steps шагов', () => {
+    assertFactors(new CosineDecay(10, { min_factor: 0.1 }), { 0: 1, 5: 0.55, 10: 0.1, 20: 0.1 });
+    assertFactors(new CosineDecay(4), { 0: 1, 2: 0.5, 4: 0 });
+});
+
+test('StepDecay и ExponentialDecay: множитель gamma на границах ступеней и на каждом шаге', () => {
+    assertFactors(new StepDecay(3, { gamma: 0.5 }), { 0: 1, 2: 1, 3: 0.5, 5: 0.5, 6: 0.25 });
+    assertFactors(new ExponentialDecay(0.9), { 0: 1, 1: 0.9, 2: 0.81 });
+});
+
+test('OneCycle: рост до 1 к концу разогрева и падение до 1 / (div_factor * final_div_factor)', () => {
+    const scheduler = new OneCycle(10, { pct_start: 0.3, div_factor: 25, final_div_factor: 1e4 });
+    assertFactors(scheduler, { 0: 1 / 25, 3: 1, 10: 1 / 25 / 1e4, 100: 1 / 25 / 1e4 });
+    // Середина фазы падения: косинус дает среднее между 1 и конечным множителем
+    assertFactors(new OneCycle(12, { pct_start: 0.5, div_factor: 10, final_div_factor: 1 }), { 3: 0.55, 6: 1, 9: 0.55, 12: 0.1 });
+});
+
+test('SequentialSchedule отсчитывает шаги вложенного расписания от точки переключения', () => {
+    const scheduler = new SequentialSchedule([new LinearWarmup(2), new CosineDecay(4)], [2]);
+    assertFactors(scheduler, { 0: 0.5, 1: 1, 2: 1, 4: 0.5, 6: 0, 9: 0 });
+    assert.throws(() => new SequentialSchedule([new LinearWarmup(2), new CosineDecay(4)], []), /на одно меньше/);
+});
+
+test('ChainedSchedule перемножает множители расписаний', () => {
+    assertFactors(new ChainedSchedule([new LinearWarmup(2), new StepDecay(2, { gamma: 0.5 })]), { 0: 0.5, 1: 1, 2: 0.5, 4: 0.25 });
+});
+
+test('ReduceLROnPlateau: patience, cooldown и режим max', () => {
+    const scheduler = new ReduceLROnPlateau({ patience: 1, decay: 0.5, cooldown: 1 });
+    const factors = [1, 1, 1, 1, 1, 1, 0.5].map(metric => {
+        scheduler.step(metric);
+        return scheduler.factor(scheduler.last_step);
+    });
+    // Третье измерение без улучшения уменьшает множитель; следующее уходит на cooldown
+    assert.deepEqual(factors, [1, 1, 0.5, 0.5, 0.5, 0.25, 0.25]);
+    scheduler.step();
+    assert.equal(scheduler.num_bad, 0, 'step() без метрики не считается измерением');
+
+    const max = new ReduceLROnPlateau({ mode: 'max', patience: 0, min_factor: 0.05 });
+    for (const metric of [0.5, 0.6, 0.6, 0.6, 0.6]) max.step(metric);
+    assert.equal(max.current_factor, 0.05);
+    assert.throws(() => new ReduceLROnPlateau({ mode: 'avg' }), /Неизвестный режим/);
+});
+
+test('attach задает группам параметров их базовую скорость, умноженную на множитель', () => {
+    const params = [0, 1].map(() => new Tensor([1, 2], [2], true));
+    const optimizer = new optimizers.SGD([{ params: [params[0]] }, { params: [params[1]], lr: 0.01 }], 0.1);
+    const scheduler = new LinearWarmup(4).attach(optimizer);
+    assert.equal(optimizer.scheduler, scheduler);
+    assert.deepEqual(optimizer.param_groups.map(group => group.lr), [0.025, 0.0025]);
+    scheduler.step();
+    assert.deepEqual(optimizer.param_groups.map(group => group.lr), [0.05, 0.005]);
+    assertClose(scheduler.lr, 0.05, 1e-12, 'lr первой группы');
+});
+
+// Фабрики расписаний всех типов; у вложенных расписаний свое состояние (плато внутри цепочки)
+const FACTORIES = {
+    linear_warmup: () => new LinearWarmup(4),
+    cosine: () => new CosineDecay(8, { min_factor: 0.2 }),
+    step: () => new StepDecay(3, { gamma: 0.5 }),
+    exponential: () => new ExponentialDecay(0.9),
+    plateau: () => new ReduceLROnPlateau({ patience: 0, decay: 0.5, cooldown: 1 }),
+    one_cycle: () => new OneCycle(10, { pct_start: 0.25 }),
+    sequential: () => new SequentialSchedule([new LinearWarmup(3), new StepDecay(2, { gamma: 0.5 })], [3]),
+    chained: () => new ChainedSchedule([new LinearWarmup(3), new ReduceLROnPlateau({ patience: 0, decay: 0.5 })])
+};
+// Метрика не улучшается через раз, чтобы расписания по плато меняли множитель
+const METRICS = [1, 0.9, 0.95, 0.8, 0.85, 0.9, 0.7, 0.75, 0.8, 0.9];
+
+function newOptimizer() {
+    const params = [0, 1].map(() => new Tensor([1, 2], [2], true));
+    return new optimizers.SGD([{ params: [params[0]] }, { params: [params[1]], lr: 0.01 }], 0.1);
+}
+
+for (const [type, create] of Object.entries(FACTORIES)) {
+    test(`${type}: расписание восстанавливается по type из чекпоинта оптимизатора и продолжает те же значения`, () => {
+        const optimizer = newOptimizer();
+        const scheduler = create().attach(optimizer);
+        METRICS.slice(0, 5).forEach(metric => scheduler.step(metric));
+        const state = slmnet.checkpoint.load(slmnet.checkpoint.save({ optimizer })).optimizer;
+        assert.equal(state.scheduler.type, type);
+
+        // Новый оптимизатор без расписания: оно создается из состояния
+        const restored = newOptimizer();
+        restored.load_state_dict(state);
+        assert.ok(restored.scheduler instanceof scheduler.constructor);
+        assert.deepEqual(restored.param_groups.map(group => group.lr), optimizer.param_groups.map(group => group.lr));
+        for (const metric of METRICS.slice(5)) {
+            scheduler.step(metric);
+            restored.scheduler.step(metric);
+            assert.deepEqual(restored.param_groups.map(group => group.lr), optimizer.param_groups.map(group => group.lr));
+        }
+        assert.deepEqual(restored.scheduler.state_dict(), scheduler.state_dict());
+    });
+}
+
+test('состояние расписания другого или неизвестного типа отклоняется', () => {
+    const state = new CosineDecay(8).state_dict();
+    assert.throws(() => new StepDecay(3).load_state_dict(state), /не подходит/);
+    assert.throws(() => schedulers.LRScheduler.from_state_dict({ ...state, type: 'warmup_restarts' }), /Неизвестный тип/);
+});
+
+test('состояние без групп параметров (одна base_lr) восстанавливается', () => {
+    const scheduler = schedulers.LRScheduler.from_state_dict({ type: 'cosine', base_lr: 0.1, last_step: 4, total_steps: 8, min_factor: 0 });
+    assert.deepEqual(scheduler.base_lrs, [0.1]);
+    assertClose(scheduler.lr, 0.05, 1e-12, 'lr на середине затухания');
+});
@@ -0,0 +1,97 @@
+/**
+ * @file test/tokenizer.test.js
+ * @description Токенизаторы: обучение BPE и кодирование Unicode без потерь (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+
+const { Tokenizer, CharacterTokenizer, BPETokenizer } = slmnet.tokenizers;
+
+const CORPUS = 'the cat sat on the mat. the cat ate the rat, then the rat sat on the hat. '.repeat(3) +
+    'кот сидел на коврике, кот ел. 猫が座った。 🙂🙂 naïve café ';
+const UNICODE_TEXT = 'Привет, мир! 你好，世界 🙂👍🏽 é naïve ∑x² <eos> tab\tи\nстрока  ';
+
+/**
+ * Эталонное обучение BPE: частоты пар пересчитываются по всему корпусу после каждого слияния.
+ * Правило выбора то же: самая частая пара, при равенстве - с меньшими ID.
+ */
+function naiveMerges(text, num_merges, byte_offset = 3) {
+    let words = (text.match(/ ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu) || [])
+        .map(word => Array.from(new TextEncoder().encode(word), b => b + byte_offset));
+    const merges = [];
+    while (merges.length < num_merges) {
+        const counts = new Map();
+        for (const ids of words) {
+            for (let i = 0; i < ids.length - 1; i++) {
+                const key = `${ids[i]},${ids[i + 1]}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+        const candidates = [...counts].filter(([_, count]) => count >= 2)
+            .map(([key, count]) => [...key.split(',').map(Number), count])
+            .sort((x, y) => y[2] - x[2] || x[0] - y[0] || x[1] - y[1]);
+        if (candidates.length === 0) break;
+        const [a, b] = candidates[0];
+        const new_id = byte_offset + 256 + merges.length;
+        merges.push([a, b]);
+        words = words.map(ids => BPETokenizer._merge_pair(ids, a, b, new_id));
+    }
+    return merges;
+}
+
+test('BPETokenizer.train: инкрементальные частоты пар дают те же слияния, что и полный пересчет', () => {
+    const tokenizer = BPETokenizer.train(CORPUS, 3 + 256 + 40);
+    assert.deepEqual(tokenizer.merges, naiveMerges(CORPUS, 40));
+    assert.deepEqual(BPETokenizer.train(CORPUS, 3 + 256 + 40).merges, tokenizer.merges, 'обучение детерминировано');
+});
+
+test('BPETokenizer.train останавливается, когда не осталось повторяющихся пар, и сообщает настоящий размер словаря', () => {
+    const tokenizer = BPETokenizer.train(CORPUS, 5000);
+    assert.ok(tokenizer.vocab_size < 5000);
+    assert.equal(tokenizer.vocab_size, 3 + 256 + tokenizer.merges.length);
+    assert.deepEqual(tokenizer.merges, naiveMerges(CORPUS, Infinity));
+
+    // min_frequency = 1 объединяет и единичные пары, пока слова не станут одним токеном
+    const eager = BPETokenizer.train(CORPUS, 5000, { min_frequency: 1 });
+    assert.ok(eager.vocab_size > tokenizer.vocab_size);
+    for (const word of new Set(CORPUS.match(/ ?\p{L}+/gu))) {
+        assert.equal(eager.encode(word).length, 1, word);
+    }
+    assert.throws(() => BPETokenizer.train(CORPUS, 200), /не меньше 259/);
+    assert.throws(() => BPETokenizer.train(CORPUS, 300, { min_frequency: 0 }), /min_frequency/);
+});
+
+test('BPETokenizer кодирует и декодирует Unicode без потерь, в том числе после сериализации', () => {
+    const tokenizer = BPETokenizer.train(CORPUS, 3 + 256 + 60);
+    const encoded = tokenizer.encode(UNICODE_TEXT);
+    assert.equal(tokenizer.decode(encoded), UNICODE_TEXT);
+    assert.ok(encoded.includes(tokenizer.special_token_id('<eos>')));
+    assert.ok(encoded.every(id => Number.isInteger(id) && id >= 0 && id < tokenizer.vocab_size));
+    // Текст корпуса сжимается выученными слияниями
+    assert.ok(tokenizer.encode(CORPUS).length < new TextEncoder().encode(CORPUS).length / 2);
+
+    const restored = Tokenizer.from_json(JSON.parse(JSON.stringify(tokenizer.to_json())));
+    assert.deepEqual(restored.encode(UNICODE_TEXT), encoded);
+    assert.equal(restored.decode(encoded), UNICODE_TEXT);
+});
+
+test('CharacterTokenizer кодирует Unicode по кодовым точкам без потерь', () => {
+    const tokenizer = new CharacterTokenizer(UNICODE_TEXT);
+    const encoded = tokenizer.encode(UNICODE_TEXT);
+    assert.equal(encoded.length, [...UNICODE_TEXT].length);
+    assert.equal(tokenizer.decode(encoded), UNICODE_TEXT);
+    const restored = Tokenizer.from_json(tokenizer.to_json());
+    assert.deepEqual(restored.encode(UNICODE_TEXT), encoded);
+});
+
+test('count_unknown: сколько символов encode пропустит', () => {
+    const tokenizer = new CharacterTokenizer('abc');
+    // Кодовые точки: смайлик вне BMP считается одним символом
+    assert.equal(tokenizer.count_unknown('abxc🙂a'), 2);
+    assert.equal(tokenizer.encode('abxc🙂a').length, [...'abxc🙂a'].length - 2);
+    assert.equal(tokenizer.count_unknown('cab'), 0);
+    // BPE кодирует любой текст через байты
+    assert.equal(BPETokenizer.train(CORPUS, 3 + 256 + 10).count_unknown(UNICODE_TEXT), 0);
+});
@@ -0,0 +1,218 @@
+/**
+ * @file test/trainer.test.js
+ * @description Trainer: накопление градиентов, ограничение градиентов, обратные вызовы, остановка и NaN (запуск: node --test test/).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import slmnet from '../slmnet/slmnet.js';
+import { weights } from './helpers.js';
+
+const { Tensor, Ops, Trainer, layers, optimizers } = slmnet;
+const { clip_grad_norm, clip_grad_value } = slmnet.training;
+
+// Четыре примера с тремя признаками и классами из четырех
+const X = [0.5, -1, 2, 1, 0.25, -0.5, -2, 1.5, 0.5, 0.75, 0, -1];
+const Y = [0, 3, 1, 2];
+
+function tinyModel() {
+    const rng = new slmnet.random.RNG(3);
+    return new layers.Sequential([new layers.Dense(3, 8, true, rng), new layers.Tanh(), new layers.Dense(8, 4, true, rng)]);
+}
+
+// Источник батчей, по очереди выдающий части X размером batch_size
+function batches(batch_size) {
+    let position = 0;
+    return () => {
+        const rows = Array.from({ length: batch_size }, (_, i) => (position + i) % Y.length);
+        position = (position + batch_size) % Y.length;
+        return {
+            x: new Tensor(rows.flatMap(row => X.slice(row * 3, row * 3 + 3)), [batch_size, 3]),
+            y: new Tensor(rows.map(row => Y[row]), [batch_size])
+        };
+    };
+}
+
+test('накопление по двум микро-батчам совпадает с шагом по всему батчу', () => {
+    const full = tinyModel();
+    const full_trainer = new Trainer(full, new optimizers.SGD(full.parameters(), 0.5), { train_data: batches(4) });
+    const accumulated = tinyModel();
+    const accumulated_trainer = new Trainer(accumulated, new optimizers.SGD(accumulated.parameters(), 0.5), {
+        train_data: batches(2),
+        accumulation_steps: 2
+    });
+    for (let step = 0; step < 3; step++) {
+        const a = full_trainer.train_step();
+        const b = accumulated_trainer.train_step();
+        assert.ok(Math.abs(a.loss - b.loss) < 1e-6, `шаг ${step}: ${a.loss} и ${b.loss}`);
+        assert.ok(Math.abs(a.grad_norm - b.grad_norm) < 1e-5);
+    }
+    const expected = weights(full);
+    weights(accumulated).forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-5));
+    assert.throws(() => new Trainer(full, null, { train_data: batches(4), accumulation_steps: 0 }), /accumulation_steps/);
+});
+
+test('clip_grad_norm и clip_grad_value изменяют градиенты на месте', () => {
+    const a = new Tensor([0, 0], [2], true);
+    const b = new Tensor([0], [1], true);
+    a.grad_data().set([3, -4]);
+    b.grad_data().set([12]);
+    assert.equal(clip_grad_norm([a, b], 26), 13);
+    assert.deepEqual(Array.from(b.grad.data), [12]);
+    assert.equal(clip_grad_norm([a, b], 6.5), 13);
+    assert.deepEqual([...a.grad.data, ...b.grad.data], [1.5, -2, 6]);
+
+    clip_grad_value([a, b], 1.75);
+    assert.deepEqual([...a.grad.data, ...b.grad.data], [1.5, -1.75, 1.75]);
+});
+
+test('Trainer ограничивает норму и значения градиентов перед шагом оптимизатора', () => {
+    // SGD с lr = 1: изменение весов равно градиенту после ограничения
+    const unclipped = tinyModel();
+    const reference = new Trainer(unclipped, new optimizers.SGD(unclipped.parameters(), 1), { train_data: batches(4) });
+    const before = weights(unclipped);
+    const { grad_norm } = reference.train_step();
+    const raw_update = weights(unclipped).map((value, i) => before[i] - value);
+
+    const by_norm = tinyModel();
+    const norm_trainer = new Trainer(by_norm, new optimizers.SGD(by_norm.parameters(), 1), { train_data: batches(4), max_grad_norm: grad_norm / 2 });
+    const norm_step = norm_trainer.train_step();
+    assert.ok(Math.abs(norm_step.grad_norm - grad_norm) < 1e-6, 'grad_norm - норма до ограничения');
+    weights(by_norm).forEach((value, i) => assert.ok(Math.abs(before[i] - value - raw_update[i] / 2) < 1e-6));
+
+    const clip_value = Math.max(...raw_update.map(Math.abs)) / 3;
+    const by_value = tinyModel();
+    new Trainer(by_value, new optimizers.SGD(by_value.parameters(), 1), { train_data: batches(4), clip_value }).train_step();
+    weights(by_value).forEach((value, i) => {
+        const expected = Math.min(clip_value, Math.max(-clip_value, raw_update[i]));
+        assert.ok(Math.abs(before[i] - value - expected) < 1e-6);
+    });
+});
+
+test('обратные вызовы приходят по порядку, асинхронные дожидаются', async () => {
+    const model = tinyModel();
+    const events = [];
+    const trainer = new Trainer(model, new optimizers.SGD(model.parameters(), 0.1), {
+        train_data: batches(2),
+        eval_data: batches(4),
+        eval_batches: 1,
+        eval_every: 2,
+        checkpoint_every: 3,
+        step: 10,
+        callbacks: {
+            onStepEnd: async ({ step }) => {
+                await new Promise(resolve => setTimeout(resolve, 1));
+                events.push(`step ${step}`);
+            },
+            onEvalEnd: ({ step, loss }) => {
+                assert.ok(Number.isFinite(loss));
+                events.push(`eval ${step}`);
+            },
+            onCheckpoint: ({ step }) => events.push(`checkpoint ${step}`)
+        }
+    });
+    const result = await trainer.fit(4);
+    assert.deepEqual(result, { reason: 'completed', step: 14 });
+    // onStepEnd получает номер шага до увеличения, проверка и чекпоинт - после
+    assert.deepEqual(events, ['step 10', 'step 11', 'eval 12', 'checkpoint 12', 'step 12', 'step 13', 'eval 14']);
+});
+
+test('stop() завершает fit перед следующим шагом', async () => {
+    const model = tinyModel();
+    let steps = 0;
+    const trainer = new Trainer(model, new optimizers.SGD(model.parameters(), 0.1), {
+        train_data: batches(2),
+        callbacks: {
+            onStepEnd: ({ step }) => {
+                steps++;
+                if (step === 2) trainer.stop();
+            }
+        }
+    });
+    assert.deepEqual(await trainer.fit(10), { reason: 'cancelled', step: 3 });
+    assert.equal(steps, 3);
+    // Следующий fit снова работает
+    assert.deepEqual(await trainer.fit(2), { reason: 'completed', step: 5 });
+});
+
+test('NaN в ошибке: без onNaN обучение останавливается, с ответом skip шаг пропускается и не засчитывается', async () => {
+    let calls = 0;
+    // Ошибка второго вызова - NaN
+    const loss_fn = (logits, y) => {
+        const loss = slmnet.losses.cross_entropy_loss(logits, y);
+        return ++calls === 2 ? loss.mul(NaN) : loss;
+    };
+
+    const model = tinyModel();
+    const trainer = new Trainer(model, new optimizers.SGD(model.parameters(), 0.1), { train_data: batches(2), loss_fn });
+    trainer.train_step();
+    const before = weights(model);
+    assert.deepEqual(await trainer.fit(3), { reason: 'nan', step: 0 });
+    assert.deepEqual(weights(model), before, 'шаг с NaN не меняет веса');
+
+    calls = 0;
+    const skipped = [];
+    const other = tinyModel();
+    const skipping = new Trainer(other, new optimizers.SGD(other.parameters(), 0.1), {
+        train_data: batches(2),
+        loss_fn,
+        callbacks: { onNaN: ({ step, loss }) => { skipped.push([step, loss]); return 'skip'; } }
+    });
+    // fit(3) делает три шага оптимизатора: пропущенный батч заменяется следующим
+    assert.deepEqual(await skipping.fit(3), { reason: 'completed', step: 3 });
+    assert.deepEqual(skipped, [[1, NaN]]);
+    assert.equal(calls, 4);
+});
+
+test('конечная ошибка с нечисловыми градиентами не доходит до оптимизатора', async () => {
+    let calls = 0;
+    // Ошибка первого вызова конечна (прибавляется sqrt(0) = 0), но производная sqrt в нуле бесконечна
+    const loss_fn = (logits, y) => {
+        const loss = slmnet.losses.cross_entropy_loss(logits, y);
+        return ++calls === 1 ? loss.add(Ops.sum(logits.mul(0).sqrt())) : loss;
+    };
+    const model = tinyModel();
+    const before = weights(model);
+    const trainer = new Trainer(model, new optimizers.SGD(model.parameters(), 0.1), { train_data: batches(2), loss_fn });
+    const { loss, grad_norm } = trainer.train_step();
+    assert.ok(Number.isFinite(loss));
+    assert.ok(!Number.isFinite(grad_norm));
+    assert.deepEqual(weights(model), before, 'шаг с нечисловыми градиентами не меняет веса');
+
+    calls = 0;
+    const reports = [];
+    const stopping = new Trainer(model, new optimizers.SGD(model.parameters(), 0.1), {
+        train_data: batches(2),
+        loss_fn,
+        callbacks: { onNaN: (report) => { reports.push(report); } }
+    });
+    assert.deepEqual(await stopping.fit(2), { reason: 'nan', step: 0 });
+    assert.equal(reports.length, 1);
+    assert.ok(Number.isFinite(reports[0].loss) && !Number.isFinite(reports[0].grad_norm));
+    assert.deepEqual(weights(model), before);
+});
+
+test('evaluate переводит модель в eval и возвращает режим обучения даже при исключении', () => {
+    const model = tinyModel();
+    const modes = [];
+    const trainer = new Trainer(model, new optimizers.SGD(model.parameters(), 0.1), {
+        train_data: batches(2),
+        eval_fn: () => {
+            modes.push(model.training);
+            throw new Error('сбой проверки');
+        }
+    });
+    assert.throws(() => trainer.evaluate(), /сбой проверки/);
+    assert.deepEqual(modes, [false]);
+    assert.equal(model.training, true);
+
+    const failing_data = new Trainer(model, null, { train_data: batches(2), eval_data: () => { throw new Error('нет данных'); } });
+    assert.throws(() => failing_data.evaluate(), /нет данных/);
+    assert.equal(model.training, true);
+
+    // Модель, которая была в режиме eval, в нем и остается
+    model.eval();
+    assert.ok(Number.isFinite(new Trainer(model, null, { train_data: batches(2), eval_data: batches(4), eval_batches: 2 }).evaluate().loss));
+    assert.equal(model.training, false);
+    assert.throws(() => new Trainer(model, null, { train_data: batches(2) }).evaluate(), /не задан источник/);
+});